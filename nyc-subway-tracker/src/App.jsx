@@ -12,7 +12,7 @@ function readSystemCookie() {
     const match = document.cookie.split(";").map((c) => c.trim()).find((c) => c.startsWith(`${SYSTEM_COOKIE}=`));
     if (!match) return null;
     const val = match.split("=")[1];
-    return ["nyc", "dc", "path"].includes(val) ? val : null;
+    return isKnownSystem(val) ? val : null;
   } catch { return null; }
 }
 function writeSystemCookie(system) {
@@ -127,11 +127,23 @@ function PATHVisual() {
   );
 }
 
+/* Systems loaded from a definition file: one stripe per line. */
+function DefinitionVisual({ def }) {
+  return (
+    <div style={{display:"flex",flexDirection:"column",gap:"0.45rem",width:180}}>
+      {def.lines.slice(0, 6).map((l, i) => (
+        <motion.div key={l.id} initial={{scaleX:0}} animate={{scaleX:1}} transition={{delay:0.05+i*0.06,duration:0.4}}
+          style={{height:6,borderRadius:3,background:l.color,transformOrigin:"left",boxShadow:`0 2px 10px ${l.color}55`}}/>
+      ))}
+    </div>
+  );
+}
 
 function SystemCard({ id, label, description, features, onSelect, delay }) {
   const isNYC = id === "nyc";
   const isPATH = id === "path";
-  const accentColor = isNYC ? "#FCCC0A" : isPATH ? "#D41F3A" : "rgba(255,255,255,0.15)";
+  const def = systemDefinition(id);
+  const accentColor = isNYC ? "#FCCC0A" : isPATH ? "#D41F3A" : def ? def.accent : "rgba(255,255,255,0.15)";
   return (
     <motion.button
       initial={{opacity:0,y:20}} animate={{opacity:1,y:0}}
@@ -141,7 +153,7 @@ function SystemCard({ id, label, description, features, onSelect, delay }) {
       <div style={{border:"1px solid rgba(255,255,255,0.1)",borderRadius:isNYC?0:4,overflow:"hidden",background:isNYC?"#111116":isPATH?"#0c0d10":"#0d0e0f",display:"flex",flexDirection:"column",height:"100%"}}>
         <div style={{height:140,position:"relative",overflow:"hidden",display:"flex",alignItems:"center",justifyContent:"center",
           background:isNYC?"linear-gradient(135deg,#111116 0%,#1a1a22 100%)":isPATH?"linear-gradient(135deg,#0c0d10 0%,#131620 100%)":"linear-gradient(135deg,#0d0e0f 0%,#14161a 100%)"}}>
-          {isNYC ? <NYCVisual/> : isPATH ? <PATHVisual/> : <DCVisual/>}
+          {isNYC ? <NYCVisual/> : isPATH ? <PATHVisual/> : def ? <DefinitionVisual def={def}/> : <DCVisual/>}
         </div>
         <div style={{padding:"1.25rem",borderTop:`3px solid ${accentColor}`,flex:1}}>
           <div style={{fontFamily:isNYC?"'Barlow Condensed',sans-serif":isPATH?"'IBM Plex Mono',monospace":"'IBM Plex Sans',sans-serif",fontWeight:isNYC?900:isPATH?700:500,
@@ -166,10 +178,16 @@ function SystemCard({ id, label, description, features, onSelect, delay }) {
 }
 
 function SystemSelector({ onSelect }) {
+  const [showBackup, setShowBackup] = useState(false);
   const systems = [
     { id:"nyc", label:"NYC Subway", description:"Log every train car you've ridden on the MTA network.", features:["Rolling stock IDs","All 24 lines","Ride history"] },
     { id:"dc",  label:"WMATA",      description:"Track every station you've visited across 6 Metro lines.", features:["6 lines","98 stations","Per-line progress"] },
     { id:"path", label:"PATH train", description:"Log trips across the Port Authority Trans-Hudson system between NJ and NYC.", features:["4 lines","29 stations","Trip log"] },
+    ...SYSTEM_DEFINITIONS.map(def => ({ id:def.id, label:def.name, description:def.description, features:[
+      `${def.lines.length} line${def.lines.length === 1 ? "" : "s"}`,
+      `${new Set(def.lines.flatMap(l => l.stations)).size} stations`,
+      def.logging === "car-number" ? "Car numbers" : "Trip log",
+    ] })),
   ];
   return (
     <>
@@ -190,10 +208,29 @@ function SystemSelector({ onSelect }) {
           <div style={{display:"flex",gap:"1.25rem",justifyContent:"center",flexWrap:"wrap",alignItems:"stretch"}}>
             {systems.map((s,i) => (<SystemCard key={s.id} {...s} onSelect={onSelect} delay={0.2+i*0.1}/>))}
           </div>
+          <motion.div initial={{opacity:0}} animate={{opacity:1}} transition={{delay:0.55}} style={{textAlign:"center",marginTop:"1.5rem"}}>
+            <button onClick={() => onSelect("all")}
+              style={{padding:"0.6rem 1.4rem",border:"1px solid rgba(255,255,255,0.18)",borderRadius:999,background:"rgba(255,255,255,0.04)",
+                color:"rgba(255,255,255,0.7)",fontFamily:"'IBM Plex Sans',sans-serif",fontSize:"0.85rem",letterSpacing:"0.02em",cursor:"pointer"}}>
+              All systems dashboard →</button>
+          </motion.div>
           <motion.div initial={{opacity:0}} animate={{opacity:1}} transition={{delay:0.7}}
             style={{marginTop:"2rem",textAlign:"center",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.58rem",
               color:"rgba(255,255,255,0.15)",letterSpacing:"0.08em",textTransform:"uppercase"}}>
-            All data stored locally in your browser · No account required</motion.div>
+            All data stored locally in your browser · No account required
+            <button onClick={() => setShowBackup(v => !v)}
+              style={{marginLeft:"0.75rem",background:"none",border:"none",padding:0,cursor:"pointer",font:"inherit",letterSpacing:"inherit",
+                textTransform:"inherit",color:"rgba(255,255,255,0.4)",textDecoration:"underline"}}>
+              {showBackup ? "Hide backup" : "Backup & restore"}</button>
+          </motion.div>
+          <AnimatePresence>
+            {showBackup && (
+              <motion.div key="backup" initial={{opacity:0,y:8}} animate={{opacity:1,y:0}} exit={{opacity:0,y:8}}
+                style={{maxWidth:640,margin:"1.25rem auto 0"}}>
+                <BackupRestorePanel onRestored={(system) => { if (system) onSelect(system); }}/>
+              </motion.div>
+            )}
+          </AnimatePresence>
         </div>
       </div>
     </>
@@ -206,22 +243,15 @@ function SystemSelector({ onSelect }) {
 const RIDES_KEY = "nyc_subway_rides_v2";
 const USER_DATA_KEY = "nyc_subway_datasets_v1";
 const REMOTE_CACHE_KEY = "nyc_subway_remote_cache_v1";
+const NYC_VISITED_KEY = "nyc_visited_v1";
 const REMOTE_CACHE_TTL_MS = 60 * 60 * 1000;
 
 function readRidesFromStorage() {
-  try {
-    const raw = localStorage.getItem(RIDES_KEY);
-    if (!raw) return [];
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  } catch { return []; }
+  const arr = readStorageJSON(RIDES_KEY);
+  return Array.isArray(arr) ? arr : [];
 }
 function writeRidesToStorage(rides) {
-  try {
-    localStorage.setItem(RIDES_KEY, JSON.stringify(rides));
-  } catch (e) {
-    console.warn("[HaveIRidden] Could not save rides:", e);
-  }
+  writeStorageJSON(RIDES_KEY, rides);
 }
 
 function migrateFromCookie() {
@@ -234,7 +264,7 @@ function migrateFromCookie() {
       const existing = readRidesFromStorage();
       if (existing.length === 0) {
         writeRidesToStorage(arr);
-        console.log(`[HaveIRidden] Migrated ${arr.length} rides from cookie to localStorage`);
+        console.log(`[HaveIRidden] Migrated ${arr.length} rides from cookie to storage`);
       }
     }
     document.cookie = `${COOKIE_NAME}=; Max-Age=0; Path=/`;
@@ -242,14 +272,23 @@ function migrateFromCookie() {
 }
 
 function useRides() {
-  const [rides, setRides] = useState(() => {
-    migrateFromCookie();
-    return readRidesFromStorage();
-  });
+  const [rides, setRides] = useState(readRidesFromStorage);
   useEffect(() => writeRidesToStorage(rides), [rides]);
+  useStorageKeySync(RIDES_KEY, React.useCallback(v => setRides(Array.isArray(v) ? v : []), []));
   return [rides, setRides];
 }
 
+function loadNYCVisited() { return new Set(readStorageJSON(NYC_VISITED_KEY) || []); }
+function saveNYCVisited(set) { writeStorageJSON(NYC_VISITED_KEY, [...set]); }
+function useNYCVisited() {
+  const [visited, setV] = useState(loadNYCVisited);
+  const setVisited = React.useCallback((fn) => {
+    setV(prev => { const next = typeof fn === "function" ? fn(prev) : fn; saveNYCVisited(next); return next; });
+  }, []);
+  useStorageKeySync(NYC_VISITED_KEY, React.useCallback(v => setV(new Set(v || [])), []));
+  return [visited, setVisited];
+}
+
 async function fetchRemoteDatasets() {
   const res = await fetch(`/data/datasets.json?v=${Date.now()}`);
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
@@ -292,40 +331,229 @@ const FALLBACK_DATASETS = {
     {model:"R211S (SIR)",ranges:[[100,199]],division:"SIR"},
   ],
   lines:[
-    {id:"1",label:"1",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Van Cortlandt Park–242 St","South Ferry"]},
-    {id:"2",label:"2",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Wakefield–241 St","Flatbush Av–Bklyn College"]},
-    {id:"3",label:"3",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Harlem–148 St","New Lots Av"]},
-    {id:"4",label:"4",division:"A",color:"#00933C",textColor:"#fff",terminals:["Woodlawn","Crown Hts–Utica Av"]},
-    {id:"5",label:"5",division:"A",color:"#00933C",textColor:"#fff",terminals:["Eastchester–Dyre Av","Flatbush Av"]},
-    {id:"6",label:"6",division:"A",color:"#00933C",textColor:"#fff",terminals:["Pelham Bay Park","Brooklyn Bridge–City Hall"]},
-    {id:"7",label:"7",division:"A",color:"#B933AD",textColor:"#fff",terminals:["Flushing–Main St","34 St–Hudson Yards"]},
-    {id:"A",label:"A",division:"B",color:"#2850AD",textColor:"#fff",terminals:["Inwood–207 St","Far Rockaway / Lefferts Blvd"]},
-    {id:"B",label:"B",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Bedford Park Blvd","Brighton Beach"]},
-    {id:"C",label:"C",division:"B",color:"#2850AD",textColor:"#fff",terminals:["168 St","Euclid Av"]},
-    {id:"D",label:"D",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Norwood–205 St","Coney Island–Stillwell Av"]},
-    {id:"E",label:"E",division:"B",color:"#2850AD",textColor:"#fff",terminals:["Jamaica Center","World Trade Center"]},
-    {id:"F",label:"F",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Jamaica–179 St","Coney Island–Stillwell Av"]},
-    {id:"G",label:"G",division:"B",color:"#6CBE45",textColor:"#fff",terminals:["Court Sq","Church Av"]},
-    {id:"J",label:"J",division:"B",color:"#996633",textColor:"#fff",terminals:["Jamaica Center","Broad St"]},
-    {id:"Z",label:"Z",division:"B",color:"#996633",textColor:"#fff",terminals:["Jamaica Center","Broad St"]},
-    {id:"L",label:"L",division:"B",color:"#A7A9AC",textColor:"#fff",terminals:["8 Av","Canarsie–Rockaway Pkwy"]},
-    {id:"M",label:"M",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Forest Hills–71 Av","Delancey–Essex"]},
-    {id:"N",label:"N",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Astoria–Ditmars Blvd","Coney Island–Stillwell Av"]},
-    {id:"Q",label:"Q",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["96 St","Coney Island–Stillwell Av"]},
-    {id:"R",label:"R",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Forest Hills–71 Av","Bay Ridge–95 St"]},
-    {id:"W",label:"W",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Astoria–Ditmars Blvd","Whitehall St"]},
-    {id:"S",label:"S",division:"A",color:"#808183",textColor:"#fff",terminals:["Times Sq–42 St","Grand Central–42 St"]},
-    {id:"SIR",label:"SIR",division:"SIR",color:"#0039A6",textColor:"#fff",terminals:["St George","Tottenville"]},
+    {id:"1",label:"1",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Van Cortlandt Park–242 St","South Ferry"],models:["R62A"]},
+    {id:"2",label:"2",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Wakefield–241 St","Flatbush Av–Bklyn College"],models:["R142"]},
+    {id:"3",label:"3",division:"A",color:"#EE352E",textColor:"#fff",terminals:["Harlem–148 St","New Lots Av"],models:["R62"]},
+    {id:"4",label:"4",division:"A",color:"#00933C",textColor:"#fff",terminals:["Woodlawn","Crown Hts–Utica Av"],models:["R142","R142 / R188"]},
+    {id:"5",label:"5",division:"A",color:"#00933C",textColor:"#fff",terminals:["Eastchester–Dyre Av","Flatbush Av"],models:["R142"]},
+    {id:"6",label:"6",division:"A",color:"#00933C",textColor:"#fff",terminals:["Pelham Bay Park","Brooklyn Bridge–City Hall"],models:["R62A","R142 / R188"]},
+    {id:"7",label:"7",division:"A",color:"#B933AD",textColor:"#fff",terminals:["Flushing–Main St","34 St–Hudson Yards"],models:["R142 / R188"]},
+    {id:"A",label:"A",division:"B",color:"#2850AD",textColor:"#fff",terminals:["Inwood–207 St","Far Rockaway / Lefferts Blvd"],models:["R46","R179","R211A"]},
+    {id:"B",label:"B",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Bedford Park Blvd","Brighton Beach"],models:["R68","R68A","R160"]},
+    {id:"C",label:"C",division:"B",color:"#2850AD",textColor:"#fff",terminals:["168 St","Euclid Av"],models:["R46","R179","R211A","R211T"]},
+    {id:"D",label:"D",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Norwood–205 St","Coney Island–Stillwell Av"],models:["R68","R68A","R160"]},
+    {id:"E",label:"E",division:"B",color:"#2850AD",textColor:"#fff",terminals:["Jamaica Center","World Trade Center"],models:["R160","R211A"]},
+    {id:"F",label:"F",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Jamaica–179 St","Coney Island–Stillwell Av"],models:["R46","R160","R211A"]},
+    {id:"G",label:"G",division:"B",color:"#6CBE45",textColor:"#fff",terminals:["Court Sq","Church Av"],models:["R68A","R160"]},
+    {id:"J",label:"J",division:"B",color:"#996633",textColor:"#fff",terminals:["Jamaica Center","Broad St"],models:["R143","R160","R179"]},
+    {id:"Z",label:"Z",division:"B",color:"#996633",textColor:"#fff",terminals:["Jamaica Center","Broad St"],models:["R143","R160","R179"]},
+    {id:"L",label:"L",division:"B",color:"#A7A9AC",textColor:"#fff",terminals:["8 Av","Canarsie–Rockaway Pkwy"],models:["R143","R160"]},
+    {id:"M",label:"M",division:"B",color:"#FF6319",textColor:"#fff",terminals:["Forest Hills–71 Av","Delancey–Essex"],models:["R160"]},
+    {id:"N",label:"N",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Astoria–Ditmars Blvd","Coney Island–Stillwell Av"],models:["R46","R160"]},
+    {id:"Q",label:"Q",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["96 St","Coney Island–Stillwell Av"],models:["R46","R160"]},
+    {id:"R",label:"R",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Forest Hills–71 Av","Bay Ridge–95 St"],models:["R46","R160"]},
+    {id:"W",label:"W",division:"B",color:"#FCCC0A",textColor:"#000",terminals:["Astoria–Ditmars Blvd","Whitehall St"],models:["R160"]},
+    {id:"S",label:"S",division:"A",color:"#808183",textColor:"#fff",terminals:["Times Sq–42 St","Grand Central–42 St"],models:["R62A"]},
+    {id:"SIR",label:"SIR",division:"SIR",color:"#0039A6",textColor:"#fff",terminals:["St George","Tottenville"],models:["R211S (SIR)"]},
   ],
 };
 
-function detectModelFromNumber(numStr, rollingStock) {
+/* Station lists per NYC line id, in running order (terminal → terminal).
+   Branches are listed after the trunk. A line in datasets.json may carry its
+   own `stations` array, which takes precedence over these. */
+const NYC_LINE_STATIONS = {
+  "1":["Van Cortlandt Park–242 St","238 St","231 St","Marble Hill–225 St","215 St","207 St","Dyckman St","191 St","181 St","168 St–Washington Hts","157 St","145 St","137 St–City College","125 St","116 St–Columbia University","Cathedral Pkwy (110 St)","103 St","96 St","86 St","79 St","72 St","66 St–Lincoln Center","59 St–Columbus Circle","50 St","Times Sq–42 St","34 St–Penn Station","28 St","23 St","18 St","14 St","Christopher St–Stonewall","Houston St","Canal St","Franklin St","Chambers St","WTC Cortlandt","Rector St","South Ferry"],
+  "2":["Wakefield–241 St","Nereid Av","233 St","225 St","219 St","Gun Hill Rd","Burke Av","Allerton Av","Pelham Pkwy","Bronx Park East","E 180 St","West Farms Sq–E Tremont Av","174 St","Freeman St","Simpson St","Intervale Av","Prospect Av","Jackson Av","3 Av–149 St","149 St–Grand Concourse","135 St","125 St","116 St","Central Park North (110 St)","96 St","72 St","Times Sq–42 St","34 St–Penn Station","14 St","Chambers St","Park Place","Fulton St","Wall St","Clark St","Borough Hall","Hoyt St","Nevins St","Atlantic Av–Barclays Ctr","Bergen St","Grand Army Plaza","Eastern Pkwy–Brooklyn Museum","Franklin Av–Medgar Evers College","President St–Medgar Evers College","Sterling St","Winthrop St","Church Av","Beverly Rd","Newkirk Av–Little Haiti","Flatbush Av–Brooklyn College"],
+  "3":["Harlem–148 St","145 St","135 St","125 St","116 St","Central Park North (110 St)","96 St","72 St","Times Sq–42 St","34 St–Penn Station","14 St","Chambers St","Park Place","Fulton St","Wall St","Clark St","Borough Hall","Hoyt St","Nevins St","Atlantic Av–Barclays Ctr","Bergen St","Grand Army Plaza","Eastern Pkwy–Brooklyn Museum","Franklin Av–Medgar Evers College","Nostrand Av","Kingston Av","Crown Hts–Utica Av","Sutter Av–Rutland Rd","Saratoga Av","Rockaway Av","Junius St","Pennsylvania Av","Van Siclen Av","New Lots Av"],
+  "4":["Woodlawn","Mosholu Pkwy","Bedford Park Blvd–Lehman College","Kingsbridge Rd","Fordham Rd","183 St","Burnside Av","176 St","Mt Eden Av","170 St","167 St","161 St–Yankee Stadium","149 St–Grand Concourse","138 St–Grand Concourse","125 St","86 St","59 St","Grand Central–42 St","14 St–Union Sq","Brooklyn Bridge–City Hall","Fulton St","Wall St","Bowling Green","Borough Hall","Nevins St","Atlantic Av–Barclays Ctr","Franklin Av–Medgar Evers College","Crown Hts–Utica Av"],
+  "5":["Eastchester–Dyre Av","Baychester Av","Gun Hill Rd","Pelham Pkwy","Morris Park","E 180 St","West Farms Sq–E Tremont Av","174 St","Freeman St","Simpson St","Intervale Av","Prospect Av","Jackson Av","3 Av–149 St","149 St–Grand Concourse","138 St–Grand Concourse","125 St","86 St","59 St","Grand Central–42 St","14 St–Union Sq","Brooklyn Bridge–City Hall","Fulton St","Wall St","Bowling Green","Borough Hall","Nevins St","Atlantic Av–Barclays Ctr","Franklin Av–Medgar Evers College","President St–Medgar Evers College","Sterling St","Winthrop St","Church Av","Beverly Rd","Newkirk Av–Little Haiti","Flatbush Av–Brooklyn College"],
+  "6":["Pelham Bay Park","Buhre Av","Middletown Rd","Westchester Sq–E Tremont Av","Zerega Av","Castle Hill Av","Parkchester","St Lawrence Av","Morrison Av–Soundview","Elder Av","Whitlock Av","Hunts Point Av","Longwood Av","E 149 St","E 143 St–St Mary's St","Cypress Av","Brook Av","3 Av–138 St","125 St","116 St","110 St","103 St","96 St","86 St","77 St","68 St–Hunter College","59 St","51 St","Grand Central–42 St","33 St","28 St","23 St","14 St–Union Sq","Astor Pl","Bleecker St","Spring St","Canal St","Brooklyn Bridge–City Hall"],
+  "7":["Flushing–Main St","Mets–Willets Point","111 St","103 St–Corona Plaza","Junction Blvd","90 St–Elmhurst Av","82 St–Jackson Hts","74 St–Broadway","69 St","61 St–Woodside","52 St","46 St–Bliss St","40 St–Lowery St","33 St–Rawson St","Queensboro Plaza","Court Sq","Hunters Point Av","Vernon Blvd–Jackson Av","Grand Central–42 St","5 Av","Times Sq–42 St","34 St–Hudson Yards"],
+  "S":["Times Sq–42 St","Grand Central–42 St"],
+  "A":["Inwood–207 St","Dyckman St","190 St","181 St","175 St","168 St","145 St","125 St","59 St–Columbus Circle","42 St–Port Authority Bus Terminal","34 St–Penn Station","14 St","W 4 St–Wash Sq","Canal St","Chambers St","Fulton St","High St","Jay St–MetroTech","Hoyt–Schermerhorn Sts","Nostrand Av","Utica Av","Broadway Junction","Euclid Av","Grant Av","80 St","88 St","Rockaway Blvd","Aqueduct Racetrack","Aqueduct–N Conduit Av","Howard Beach–JFK Airport","Broad Channel","Beach 67 St","Beach 60 St","Beach 44 St","Beach 36 St","Beach 25 St","Far Rockaway–Mott Av","104 St","111 St","Ozone Park–Lefferts Blvd","Beach 90 St","Beach 98 St","Beach 105 St","Rockaway Park–Beach 116 St"],
+  "B":["Bedford Park Blvd","Kingsbridge Rd","Fordham Rd","182–183 Sts","Tremont Av","174–175 Sts","170 St","167 St","161 St–Yankee Stadium","155 St","145 St","135 St","125 St","116 St","Cathedral Pkwy (110 St)","103 St","96 St","86 St","81 St–Museum of Natural History","72 St","59 St–Columbus Circle","7 Av–53 St","47–50 Sts–Rockefeller Ctr","42 St–Bryant Pk","34 St–Herald Sq","W 4 St–Wash Sq","Broadway–Lafayette St","Grand St","DeKalb Av","Atlantic Av–Barclays Ctr","7 Av","Prospect Park","Church Av","Newkirk Plaza","Kings Hwy","Sheepshead Bay","Brighton Beach"],
+  "C":["168 St","163 St–Amsterdam Av","155 St","145 St","135 St","125 St","116 St","Cathedral Pkwy (110 St)","103 St","96 St","86 St","81 St–Museum of Natural History","72 St","59 St–Columbus Circle","50 St","42 St–Port Authority Bus Terminal","34 St–Penn Station","23 St","14 St","W 4 St–Wash Sq","Spring St","Canal St","Chambers St","Fulton St","High St","Jay St–MetroTech","Hoyt–Schermerhorn Sts","Lafayette Av","Clinton–Washington Avs","Franklin Av","Nostrand Av","Kingston–Throop Avs","Utica Av","Ralph Av","Rockaway Av","Broadway Junction","Liberty Av","Van Siclen Av","Shepherd Av","Euclid Av"],
+  "D":["Norwood–205 St","Bedford Park Blvd","Kingsbridge Rd","Fordham Rd","182–183 Sts","Tremont Av","174–175 Sts","170 St","167 St","161 St–Yankee Stadium","155 St","145 St","125 St","59 St–Columbus Circle","7 Av–53 St","47–50 Sts–Rockefeller Ctr","42 St–Bryant Pk","34 St–Herald Sq","W 4 St–Wash Sq","Broadway–Lafayette St","Grand St","Atlantic Av–Barclays Ctr","36 St","9 Av","Fort Hamilton Pkwy","50 St","55 St","62 St","71 St","79 St","18 Av","20 Av","Bay Pkwy","25 Av","Bay 50 St","Coney Island–Stillwell Av"],
+  "E":["Jamaica Center–Parsons/Archer","Sutphin Blvd–Archer Av–JFK Airport","Jamaica–Van Wyck","Briarwood","Kew Gardens–Union Tpke","75 Av","Forest Hills–71 Av","Jackson Hts–Roosevelt Av","Queens Plaza","Court Sq–23 St","Lexington Av/53 St","5 Av/53 St","7 Av–53 St","50 St","42 St–Port Authority Bus Terminal","34 St–Penn Station","23 St","14 St","W 4 St–Wash Sq","Spring St","Canal St","World Trade Center"],
+  "F":["Jamaica–179 St","169 St","Parsons Blvd","Sutphin Blvd","Briarwood","Kew Gardens–Union Tpke","75 Av","Forest Hills–71 Av","Jackson Hts–Roosevelt Av","21 St–Queensbridge","Roosevelt Island","Lexington Av/63 St","57 St","47–50 Sts–Rockefeller Ctr","42 St–Bryant Pk","34 St–Herald Sq","23 St","14 St","W 4 St–Wash Sq","Broadway–Lafayette St","2 Av","Delancey St–Essex St","East Broadway","York St","Jay St–MetroTech","Bergen St","Carroll St","Smith–9 Sts","4 Av–9 St","7 Av","15 St–Prospect Park","Fort Hamilton Pkwy","Church Av","Ditmas Av","18 Av","Avenue I","Bay Pkwy","Avenue N","Avenue P","Kings Hwy","Avenue U","Avenue X","Neptune Av","W 8 St–NY Aquarium","Coney Island–Stillwell Av"],
+  "G":["Court Sq","21 St","Greenpoint Av","Nassau Av","Metropolitan Av","Broadway","Flushing Av","Myrtle–Willoughby Avs","Bedford–Nostrand Avs","Classon Av","Clinton–Washington Avs","Fulton St","Hoyt–Schermerhorn Sts","Bergen St","Carroll St","Smith–9 Sts","4 Av–9 St","7 Av","15 St–Prospect Park","Fort Hamilton Pkwy","Church Av"],
+  "J":["Jamaica Center–Parsons/Archer","Sutphin Blvd–Archer Av–JFK Airport","121 St","111 St","104 St","Woodhaven Blvd","85 St–Forest Pkwy","75 St–Elderts Ln","Cypress Hills","Crescent St","Norwood Av","Cleveland St","Van Siclen Av","Alabama Av","Broadway Junction","Chauncey St","Halsey St","Gates Av","Kosciuszko St","Myrtle Av","Flushing Av","Lorimer St","Hewes St","Marcy Av","Delancey St–Essex St","Bowery","Canal St","Chambers St","Fulton St","Broad St"],
+  "Z":["Jamaica Center–Parsons/Archer","Sutphin Blvd–Archer Av–JFK Airport","121 St","Woodhaven Blvd","75 St–Elderts Ln","Crescent St","Norwood Av","Alabama Av","Broadway Junction","Gates Av","Myrtle Av","Marcy Av","Delancey St–Essex St","Bowery","Canal St","Chambers St","Fulton St","Broad St"],
+  "L":["8 Av","6 Av","14 St–Union Sq","3 Av","1 Av","Bedford Av","Lorimer St","Graham Av","Grand St","Montrose Av","Morgan Av","Jefferson St","DeKalb Av","Myrtle–Wyckoff Avs","Halsey St","Wilson Av","Bushwick Av–Aberdeen St","Broadway Junction","Atlantic Av","Sutter Av","Livonia Av","New Lots Av","East 105 St","Canarsie–Rockaway Pkwy"],
+  "M":["Forest Hills–71 Av","67 Av","63 Dr–Rego Park","Woodhaven Blvd","Grand Av–Newtown","Elmhurst Av","Jackson Hts–Roosevelt Av","65 St","Northern Blvd","46 St","Steinway St","36 St (Queens)","Queens Plaza","Court Sq–23 St","Lexington Av/53 St","5 Av/53 St","47–50 Sts–Rockefeller Ctr","42 St–Bryant Pk","34 St–Herald Sq","23 St","14 St","W 4 St–Wash Sq","Broadway–Lafayette St","Delancey St–Essex St","Marcy Av","Hewes St","Lorimer St","Flushing Av","Myrtle Av","Central Av","Knickerbocker Av","Myrtle–Wyckoff Avs","Seneca Av","Forest Av","Fresh Pond Rd","Middle Village–Metropolitan Av"],
+  "N":["Astoria–Ditmars Blvd","Astoria Blvd","30 Av","Broadway","36 Av","39 Av–Dutch Kills","Queensboro Plaza","Lexington Av/59 St","5 Av/59 St","57 St–7 Av","49 St","Times Sq–42 St","34 St–Herald Sq","28 St","23 St","14 St–Union Sq","Canal St","Atlantic Av–Barclays Ctr","36 St","59 St","8 Av","Fort Hamilton Pkwy","New Utrecht Av","18 Av","20 Av","Bay Pkwy","Kings Hwy","Avenue U","86 St","Coney Island–Stillwell Av"],
+  "Q":["96 St","86 St","72 St","Lexington Av/63 St","57 St–7 Av","Times Sq–42 St","34 St–Herald Sq","14 St–Union Sq","Canal St","DeKalb Av","Atlantic Av–Barclays Ctr","7 Av","Prospect Park","Parkside Av","Church Av","Beverley Rd","Cortelyou Rd","Newkirk Plaza","Avenue H","Avenue J","Avenue M","Kings Hwy","Avenue U","Neck Rd","Sheepshead Bay","Brighton Beach","Ocean Pkwy","W 8 St–NY Aquarium","Coney Island–Stillwell Av"],
+  "R":["Forest Hills–71 Av","67 Av","63 Dr–Rego Park","Woodhaven Blvd","Grand Av–Newtown","Elmhurst Av","Jackson Hts–Roosevelt Av","65 St","Northern Blvd","46 St","Steinway St","36 St (Queens)","Queens Plaza","Lexington Av/59 St","5 Av/59 St","57 St–7 Av","49 St","Times Sq–42 St","34 St–Herald Sq","28 St","23 St","14 St–Union Sq","8 St–NYU","Prince St","Canal St","City Hall","Cortlandt St","Rector St","Whitehall St–South Ferry","Court St","Jay St–MetroTech","DeKalb Av","Atlantic Av–Barclays Ctr","Union St","4 Av–9 St","Prospect Av","25 St","36 St","45 St","53 St","59 St","Bay Ridge Av","77 St","86 St","Bay Ridge–95 St"],
+  "W":["Astoria–Ditmars Blvd","Astoria Blvd","30 Av","Broadway","36 Av","39 Av–Dutch Kills","Queensboro Plaza","Lexington Av/59 St","5 Av/59 St","57 St–7 Av","49 St","Times Sq–42 St","34 St–Herald Sq","28 St","23 St","14 St–Union Sq","8 St–NYU","Prince St","Canal St","City Hall","Cortlandt St","Rector St","Whitehall St–South Ferry"],
+  "SIR":["St George","Tompkinsville","Stapleton","Clifton","Grasmere","Old Town","Dongan Hills","Jefferson Av","Grant City","New Dorp","Oakwood Heights","Bay Terrace","Great Kills","Eltingville","Annadale","Huguenot","Prince's Bay","Pleasant Plains","Richmond Valley","Arthur Kill","Tottenville"],
+};
+
+function nycStationsForLine(line) {
+  if (!line) return [];
+  if (Array.isArray(line.stations) && line.stations.length) return line.stations;
+  return NYC_LINE_STATIONS[line.id] || [];
+}
+
+/* Every model whose ranges contain the number, narrowest matching range first.
+   Sub-fleets (e.g. R211T 4040–4059 inside R211A 3400–4499) sort ahead of
+   the fleet they're carved out of. */
+function findModelCandidates(numStr, rollingStock) {
   const n = parseInt(numStr, 10);
-  if (Number.isNaN(n)) return null;
-  for (const entry of rollingStock)
-    for (const [lo, hi] of entry.ranges)
-      if (n >= lo && n <= hi) return { model: entry.model, division: entry.division };
-  return null;
+  if (Number.isNaN(n)) return [];
+  const byModel = new Map();
+  for (const entry of rollingStock) {
+    for (const [lo, hi] of entry.ranges) {
+      if (!(n >= lo && n <= hi)) continue;
+      const span = hi - lo;
+      const prev = byModel.get(entry.model);
+      if (!prev || span < prev.span) byModel.set(entry.model, { model: entry.model, division: entry.division, range: [lo, hi], span });
+    }
+  }
+  return [...byModel.values()].sort((a, b) => a.span - b.span);
+}
+
+/* Resolve a car number to a model. The narrowest candidate wins only when its
+   range sits strictly inside every other candidate's range; anything else
+   (equal spans, partial overlaps) is ambiguous and left for the rider to pick. */
+function resolveModelFromNumber(numStr, rollingStock) {
+  const candidates = findModelCandidates(numStr, rollingStock);
+  if (candidates.length <= 1) return { match: candidates[0] || null, candidates, ambiguous: false };
+  const [best, ...rest] = candidates;
+  const nested = rest.every(c => c.span > best.span && c.range[0] <= best.range[0] && c.range[1] >= best.range[1]);
+  return nested ? { match: best, candidates, ambiguous: false } : { match: null, candidates, ambiguous: true };
+}
+
+/* Every car on a ride — the logged consist, or just its one car. A consist
+   always starts with the ride's own trainNumber/model, so code that only
+   knows about one car keeps working. */
+function rideCars(ride) {
+  return ride.consist || (ride.trainNumber ? [{ trainNumber: ride.trainNumber, model: ride.model, division: ride.division }] : []);
+}
+/* A car whose number isn't in any range says nothing about the mix. */
+const knownModels = (cars) => [...new Set(cars.map(c => c.model).filter(m => m && m !== "Unknown"))];
+function isMixedConsist(ride) { return knownModels(rideCars(ride)).length > 1; }
+
+/* The rest of a consist as typed: [{ number, picked }] → cars, blanks dropped. */
+function consistCars(entries, rollingStock) {
+  return entries.filter(e => e.number).map(e => {
+    const resolved = resolveModelFromNumber(e.number, rollingStock);
+    const found = resolved.match || resolved.candidates.find(c => c.model === e.picked);
+    return { trainNumber: e.number, model: found?.model || "Unknown", division: found?.division || "?" };
+  });
+}
+function consistReady(entries, rollingStock) { return entries.every(e => carNumberReady(e.number, rollingStock, e.picked)); }
+
+/* Ride fields derived from the rider's picks — shared by LiveRider and the
+   history editor so a corrected ride looks exactly like a freshly logged one. */
+function buildNYCRide({ trainNumber, line, found, resolved, boardStation, exitStation, exitLine, extraCars = [] }) {
+  const exit = exitStation ? (exitLine || line) : null;
+  const isTransfer = !!exit && exit.id !== line.id;
+  const lead = { trainNumber: trainNumber.trim(), model: found?.model || "Unknown", division: found?.division || "?" };
+  const rest = extraCars.filter((c, i) => c.trainNumber !== lead.trainNumber && extraCars.findIndex(o => o.trainNumber === c.trainNumber) === i);
+  return {
+    trainNumber: lead.trainNumber,
+    line: line.id, lineLabel: line.label, lineColor: line.color, lineTextColor: line.textColor || "#fff",
+    model: lead.model, division: lead.division,
+    consist: rest.length ? [lead, ...rest] : undefined,
+    modelCandidates: resolved?.ambiguous ? resolved.candidates.map(c => c.model) : undefined,
+    boardStation: boardStation || null, exitStation: exitStation || null,
+    exitLineId: exit ? exit.id : null, exitLineLabel: exit ? exit.label : null, exitLineColor: exit ? exit.color : null,
+    transferLineId: isTransfer ? exit.id : null, transferLineLabel: isTransfer ? exit.label : null,
+  };
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   DATASET VALIDATION (NYC Settings editor)
+   Errors block Save; warnings are shown but allowed through.
+───────────────────────────────────────────────────────────────── */
+const NYC_DIVISIONS = ["A", "B", "SIR"];
+
+function validateDatasets(ds) {
+  const errors = [], warnings = [];
+  const issue = (list, scope, index, label, message) => list.push({ scope, index, label, message });
+
+  const stock = ds.rollingStock || [];
+  const modelNames = new Map();
+  stock.forEach((s, idx) => {
+    const label = s.model?.trim() || `Model #${idx + 1}`;
+    if (!s.model?.trim()) issue(errors, "model", idx, label, "Model name is empty.");
+    else if (modelNames.has(s.model.trim())) issue(errors, "model", idx, label, `Duplicate model name (also model #${modelNames.get(s.model.trim()) + 1}).`);
+    else modelNames.set(s.model.trim(), idx);
+    if (!NYC_DIVISIONS.includes(s.division)) issue(errors, "model", idx, label, `Unknown division "${s.division ?? ""}".`);
+    if (!Array.isArray(s.ranges) || s.ranges.length === 0) {
+      issue(errors, "model", idx, label, "No number ranges — this model can never be detected.");
+      return;
+    }
+    s.ranges.forEach((r, rIdx) => {
+      const [lo, hi] = r;
+      const tag = `Range ${rIdx + 1} (${lo}–${hi})`;
+      if (!Number.isInteger(lo) || !Number.isInteger(hi)) issue(errors, "model", idx, label, `${tag} must be whole numbers.`);
+      else if (lo <= 0 || hi <= 0) issue(errors, "model", idx, label, `${tag} must start at car 1 or higher.`);
+      else if (lo > hi) issue(errors, "model", idx, label, `${tag} is inverted — the first number must not exceed the second.`);
+    });
+    // Ranges within the same model that overlap are harmless but redundant
+    s.ranges.forEach((a, i) => s.ranges.slice(i + 1).forEach((b, j) => {
+      if (a[0] <= b[1] && b[0] <= a[1]) issue(warnings, "model", idx, label, `Ranges ${i + 1} and ${i + j + 2} overlap each other.`);
+    }));
+  });
+
+  // Cross-model overlaps: strict nesting is a sub-fleet (narrowest wins);
+  // anything else leaves resolveModelFromNumber unable to pick a model.
+  const valid = (r) => Number.isInteger(r[0]) && Number.isInteger(r[1]) && r[0] > 0 && r[0] <= r[1];
+  stock.forEach((a, ai) => stock.forEach((b, bi) => {
+    if (bi <= ai || a.model === b.model) return;
+    (a.ranges || []).filter(valid).forEach(ra => (b.ranges || []).filter(valid).forEach(rb => {
+      if (!(ra[0] <= rb[1] && rb[0] <= ra[1])) return;
+      const aInB = rb[0] <= ra[0] && ra[1] <= rb[1];
+      const bInA = ra[0] <= rb[0] && rb[1] <= ra[1];
+      const same = ra[0] === rb[0] && ra[1] === rb[1];
+      if (same) issue(errors, "model", bi, b.model, `Identical range to ${a.model} (${ra[0]}–${ra[1]}) — cars can't be told apart.`);
+      else if (aInB || bInA) {
+        const [inner, outer, innerIdx, outerRange] = aInB ? [a, b, ai, rb] : [b, a, bi, ra];
+        issue(warnings, "model", innerIdx, inner.model, `Sub-fleet inside ${outer.model} ${outerRange[0]}–${outerRange[1]} — ${inner.model} wins for its cars.`);
+      } else {
+        const lo = Math.max(ra[0], rb[0]), hi = Math.min(ra[1], rb[1]);
+        issue(errors, "model", bi, b.model, `Range ${rb[0]}–${rb[1]} partially overlaps ${a.model} ${ra[0]}–${ra[1]} — cars ${lo}–${hi} are ambiguous.`);
+      }
+    }));
+  }));
+
+  const lines = ds.lines || [];
+  const lineIds = new Map(), lineLabels = new Map();
+  lines.forEach((l, idx) => {
+    const label = l.label?.trim() || l.id?.trim() || `Line #${idx + 1}`;
+    const id = l.id?.trim();
+    if (!id) issue(errors, "line", idx, label, "Line ID is empty.");
+    else if (lineIds.has(id)) issue(errors, "line", idx, label, `Duplicate line ID "${id}" (also line #${lineIds.get(id) + 1}) — the line picker and ride history can't tell them apart.`);
+    else lineIds.set(id, idx);
+    if (l.id !== undefined && id !== l.id) issue(warnings, "line", idx, label, "Line ID has leading or trailing spaces.");
+    if (!l.label?.trim()) issue(errors, "line", idx, label, "Line label is empty.");
+    else if (lineLabels.has(l.label.trim())) issue(warnings, "line", idx, label, `Same label as line #${lineLabels.get(l.label.trim()) + 1}.`);
+    else lineLabels.set(l.label.trim(), idx);
+    if (!NYC_DIVISIONS.includes(l.division)) issue(errors, "line", idx, label, `Unknown division "${l.division ?? ""}".`);
+    if (!/^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/.test(l.color || "")) issue(errors, "line", idx, label, `"${l.color ?? ""}" is not a hex colour like #FF6319.`);
+    if (!l.terminals?.[0]?.trim() || !l.terminals?.[1]?.trim()) issue(warnings, "line", idx, label, "Missing a terminal name.");
+    if (id && NYC_DIVISIONS.includes(l.division) && !stock.some(s => s.division === l.division))
+      issue(warnings, "line", idx, label, `No rolling stock is assigned to division ${l.division}.`);
+    // Car assignments are optional; without them every model of the division is expected
+    if (l.models !== undefined && !Array.isArray(l.models)) issue(errors, "line", idx, label, "Car assignments must be a list of model names.");
+    else (l.models || []).forEach(m => {
+      const s = stock.find(s => s.model === m);
+      if (!s) issue(errors, "line", idx, label, `Assigned model "${m}" isn't in Rolling Stock.`);
+      else if (s.division !== l.division) issue(warnings, "line", idx, label, `${m} is a division ${s.division} model on a division ${l.division} line.`);
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/* For datasets that didn't come through the Settings editor (backups):
+   validateDatasets() assumes both lists exist and holds text where it expects it. */
+function isUsableDatasets(ds) {
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  if (!isObject(ds) || !Array.isArray(ds.rollingStock) || !Array.isArray(ds.lines)) return false;
+  if (!ds.rollingStock.every(isObject) || !ds.lines.every(isObject)) return false;
+  try { return validateDatasets(ds).errors.length === 0; } catch { return false; }
 }
 
 /* ─────────────────────────────────────────────────────────────────
@@ -360,52 +588,166 @@ function ProgressBar({ value, color="#00933C" }) {
 ───────────────────────────────────────────────────────────────── */
 const DIV_LABELS = { A:"A Division · IRT", B:"B Division · IND/BMT", SIR:"Staten Island Rwy" };
 
-function LiveRider({ datasets, rides, setRides }) {
+/* The rest of the consist after the main car number — both cab cars, or the
+   whole train. Flags a mixed consist as soon as a second model shows up. */
+function ConsistField({ entries, onChange, rollingStock, leadModel }) {
+  const update = (i, patch) => onChange(entries.map((e, j) => j === i ? { ...e, ...patch } : e));
+  const models = knownModels([{ model: leadModel }, ...consistCars(entries, rollingStock)]);
+  return (
+    <div>
+      {entries.map((e, i) => {
+        const resolved = resolveModelFromNumber(e.number, rollingStock);
+        const found = resolved.match || resolved.candidates.find(c => c.model === e.picked) || null;
+        return (
+          <div key={i} style={{marginBottom:"0.6rem"}}>
+            <div style={{display:"flex",alignItems:"center",gap:"0.5rem"}}>
+              <input type="text" inputMode="numeric" placeholder={`Car ${i + 2}`} value={e.number}
+                onChange={ev => update(i, { number: ev.target.value.replace(/[^0-9]/g, ""), picked: null })}
+                style={{...inputStyle,width:120,fontWeight:700,letterSpacing:"0.1em"}}/>
+              <span style={{flex:1,fontSize:"0.85rem",fontWeight:600,color:!e.number ? "rgba(255,255,255,0.3)" : found ? "#4ade80" : resolved.ambiguous ? "#FCCC0A" : "#f87171"}}>
+                {!e.number ? "—" : found ? found.model : resolved.ambiguous ? "Pick a model" : "Unknown"}
+              </span>
+              <SmallBtn onClick={() => onChange(entries.filter((_, j) => j !== i))} danger title="Remove car">✕</SmallBtn>
+            </div>
+            {resolved.ambiguous && (
+              <div style={{display:"flex",flexWrap:"wrap",gap:"0.4rem",marginTop:"0.4rem"}}>
+                {resolved.candidates.map(c => (
+                  <SmallBtn key={c.model} onClick={() => update(i, { picked: c.model })}
+                    style={e.picked===c.model?{background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}:{}}>{c.model}</SmallBtn>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <SmallBtn onClick={() => onChange([...entries, { number: "", picked: null }])}>＋ Add car</SmallBtn>
+      {models.length > 1 && (
+        <div style={{marginTop:"0.6rem",fontSize:"0.8rem",color:"#FCCC0A"}}>⚠ Mixed consist: {models.join(" + ")}</div>
+      )}
+    </div>
+  );
+}
+
+function LiveRider({ datasets, rides, setRides, visited, setVisited }) {
   const [trainNumber, setTrainNumber] = useState("");
   const [selectedLine, setSelectedLine] = useState(null);
+  const [boardStation, setBoardStation] = useState("");
+  const [exitStation, setExitStation] = useState("");
+  const [exitLineId, setExitLineId] = useState(null);
   const [lastRide, setLastRide] = useState(null);
-  const found = useMemo(() => detectModelFromNumber(trainNumber, datasets.rollingStock), [trainNumber, datasets.rollingStock]);
+  const [pickedModel, setPickedModel] = useState(null);
+  const [rideTime, setRideTime] = useState("");
+  const [extraCars, setExtraCars] = useState([]);
+  const resolved = useMemo(() => resolveModelFromNumber(trainNumber, datasets.rollingStock), [trainNumber, datasets.rollingStock]);
+  const found = resolved.match || resolved.candidates.find(c => c.model === pickedModel) || null;
   const linesByDivision = useMemo(() => {
     const map = {};
     datasets.lines.forEach(l => { if (!map[l.division]) map[l.division] = []; map[l.division].push(l); });
     return map;
   }, [datasets.lines]);
+  const boardStations = useMemo(() => nycStationsForLine(selectedLine), [selectedLine]);
+  const exitLine = useMemo(() => datasets.lines.find(l => l.id === exitLineId) || selectedLine, [datasets.lines, exitLineId, selectedLine]);
+  // Board line first, then every other line — the same grouping the WMATA exit picker uses
+  const exitLineGroups = useMemo(() => {
+    if (!selectedLine) return [];
+    const others = datasets.lines.filter(l => l.id !== selectedLine.id);
+    return [selectedLine, ...others]
+      .map(l => ({ line: l, stations: nycStationsForLine(l).filter(s => !(l.id === selectedLine.id && s === boardStation)) }))
+      .filter(g => g.stations.length > 0);
+  }, [datasets.lines, selectedLine, boardStation]);
+
+  function handleSelectLine(line) {
+    setSelectedLine(prev => prev?.id === line.id ? null : line);
+    setBoardStation(nextLegBoardStation(readNextLeg(), "nyc", nycStationsForLine(line)) || ""); setExitStation(""); setExitLineId(null);
+  }
+  function handleSelectExit(value) {
+    if (!value) { setExitStation(""); setExitLineId(null); return; }
+    const [lineId, ...rest] = value.split("::");
+    setExitLineId(lineId); setExitStation(rest.join("::"));
+  }
 
   function handleLog() {
     if (!trainNumber || !selectedLine) return;
-    const ride = {
-      id: crypto.randomUUID(), trainNumber: trainNumber.trim(),
-      line: selectedLine.id, lineLabel: selectedLine.label, lineColor: selectedLine.color,
-      lineTextColor: selectedLine.textColor || "#fff", model: found?.model || "Unknown",
-      division: found?.division || "?", timestamp: new Date().toISOString()
-    };
+    const ride = joinPendingJourney({
+      id: crypto.randomUUID(),
+      ...buildNYCRide({ trainNumber, line: selectedLine, found, resolved, boardStation, exitStation, exitLine,
+        extraCars: consistCars(extraCars, datasets.rollingStock) }),
+      timestamp: rideTimestamp(rideTime)
+    });
     setRides(prev => [...prev, ride]);
+    if (boardStation || exitStation) {
+      setVisited(prev => {
+        const next = new Set(prev);
+        if (boardStation) next.add(`${selectedLine.id}::${boardStation}`);
+        if (exitStation) next.add(`${exitLine.id}::${exitStation}`);
+        return next;
+      });
+    }
     setLastRide(ride);
-    setTrainNumber("");
+    setTrainNumber(""); setPickedModel(null); setRideTime(""); setExtraCars([]);
+    setBoardStation(""); setExitStation(""); setExitLineId(null);
   }
 
-  const canLog = trainNumber.length > 0 && selectedLine;
+  const unusual = unusualForLine(selectedLine, [found?.model, ...consistCars(extraCars, datasets.rollingStock).map(c => c.model)]);
+  const canLog = trainNumber.length > 0 && selectedLine && !(resolved.ambiguous && !found) && consistReady(extraCars, datasets.rollingStock) && !isFutureRideTime(rideTime);
+  const achievementCtx = useMemo(() => ({ records: rides, visited, datasets }), [rides, visited, datasets]);
+  const [unlocked, dismissUnlocked] = useAchievementUnlocks("nyc", achievementCtx);
   return (
     <div style={{maxWidth:640,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      <AchievementToast unlocked={unlocked} onDone={dismissUnlocked}/>
+      <NextLegBanner system="nyc"/>
       <div style={{marginBottom:"1.5rem"}}>
         <label style={labelStyle}>Train Car Number</label>
         <input type="text" inputMode="numeric" placeholder="e.g. 8778" value={trainNumber}
-          onChange={e => setTrainNumber(e.target.value.replace(/[^0-9]/g, ""))}
-          onKeyDown={e => e.key === "Enter" && handleLog()}
+          onChange={e => { setTrainNumber(e.target.value.replace(/[^0-9]/g, "")); setPickedModel(null); }}
+          onKeyDown={e => e.key === "Enter" && canLog && handleLog()}
           style={{...inputStyle,fontSize:"2.4rem",fontWeight:800,textAlign:"center",letterSpacing:"0.15em",padding:"0.8rem"}}/>
       </div>
+      {trainNumber && (
+        <div style={{marginBottom:"1.5rem"}}>
+          <label style={labelStyle}>Rest of the consist <span style={{opacity:0.6,textTransform:"none",letterSpacing:0}}>(optional)</span></label>
+          <ConsistField entries={extraCars} onChange={setExtraCars} rollingStock={datasets.rollingStock} leadModel={found?.model || (resolved.ambiguous ? null : "Unknown")}/>
+        </div>
+      )}
+      <AnimatePresence>
+        {resolved.ambiguous && (
+          <motion.div key="candidates" initial={{opacity:0,y:8}} animate={{opacity:1,y:0}} exit={{opacity:0,y:-8}}
+            style={{background:"rgba(252,204,10,0.07)",border:"1px solid rgba(252,204,10,0.3)",borderRadius:14,padding:"1rem 1.25rem",marginBottom:"1.5rem"}}>
+            <div style={{fontSize:"0.85rem",color:"rgba(255,255,255,0.6)",marginBottom:"0.65rem"}}>
+              Car #{trainNumber} matches {resolved.candidates.length} models — which one are you on?
+            </div>
+            <div style={{display:"flex",flexWrap:"wrap",gap:"0.5rem"}}>
+              {resolved.candidates.map(c => (
+                <SmallBtn key={c.model} onClick={() => setPickedModel(c.model)}
+                  style={pickedModel===c.model?{background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}:{}}>
+                  {c.model} <span style={{opacity:0.6,fontWeight:400}}>{c.range[0]}–{c.range[1]}</span>
+                </SmallBtn>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
       <AnimatePresence>
         {trainNumber && selectedLine && (
           <motion.div key="preview" initial={{opacity:0,y:8}} animate={{opacity:1,y:0}} exit={{opacity:0,y:-8}}
             style={{background:"rgba(255,255,255,0.05)",border:"1px solid rgba(255,255,255,0.1)",borderRadius:16,
               padding:"1.25rem 1.5rem",textAlign:"center",marginBottom:"1.5rem"}}>
             <div style={{fontSize:"1rem",color:"rgba(255,255,255,0.55)",marginBottom:"0.4rem"}}>You're riding a</div>
-            <div style={{fontSize:"2.8rem",fontWeight:900,fontFamily:"'Barlow Condensed',sans-serif",lineHeight:1,color:found?"#4ade80":"#f87171"}}>
-              {found?.model || "Unknown"}</div>
+            <div style={{fontSize:"2.8rem",fontWeight:900,fontFamily:"'Barlow Condensed',sans-serif",lineHeight:1,
+              color:found?"#4ade80":resolved.ambiguous?"#FCCC0A":"#f87171"}}>
+              {found?.model || (resolved.ambiguous ? "Pick a model" : "Unknown")}</div>
             <div style={{marginTop:"0.5rem",fontSize:"1.05rem",color:"rgba(255,255,255,0.6)"}}>
               on the <span style={{color:selectedLine.color,fontWeight:700}}>{selectedLine.label}</span> line 🚇</div>
-            {!found && <div style={{marginTop:"0.5rem",fontSize:"0.78rem",color:"#f87171"}}>
+            {resolved.match && resolved.candidates.length > 1 && (
+              <div style={{marginTop:"0.35rem",fontSize:"0.75rem",color:"rgba(255,255,255,0.4)"}}>
+                Sub-fleet within {resolved.candidates.slice(1).map(c => c.model).join(", ")}
+              </div>
+            )}
+            {!found && !resolved.ambiguous && <div style={{marginTop:"0.5rem",fontSize:"0.78rem",color:"#f87171"}}>
               Car not found — check number or update ranges in Stats → Settings</div>}
+            {unusual.length > 0 && <div style={{marginTop:"0.5rem",fontSize:"0.78rem",color:"#FCCC0A"}}>
+              ⚠ {unusual.join(" and ")} {unusual.length === 1 ? "isn't" : "aren't"} usually on the {selectedLine.label} — it runs {selectedLine.models.join(", ")}.
+              Double-check the car number and line.</div>}
           </motion.div>
         )}
       </AnimatePresence>
@@ -417,11 +759,43 @@ function LiveRider({ datasets, rides, setRides }) {
               {DIV_LABELS[div] || div}</div>
             <div style={{display:"flex",flexWrap:"wrap",gap:"0.55rem"}}>
               {lines.map(l => <LineBullet key={l.id} label={l.label} color={l.color} textColor={l.textColor} size={54}
-                selected={selectedLine?.id === l.id} onClick={() => setSelectedLine(prev => prev?.id === l.id ? null : l)}/>)}
+                selected={selectedLine?.id === l.id} onClick={() => handleSelectLine(l)}/>)}
             </div>
           </div>
         ))}
       </div>
+      <AnimatePresence>
+        {selectedLine && boardStations.length > 0 && (
+          <motion.div key="stations" initial={{opacity:0,y:8}} animate={{opacity:1,y:0}} exit={{opacity:0,y:-8}}
+            style={{marginBottom:"1.5rem",display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(220px,1fr))",gap:"0.75rem"}}>
+            <div>
+              <label style={labelStyle}>Boarded at <span style={{opacity:0.6,textTransform:"none",letterSpacing:0}}>(optional)</span></label>
+              <select value={boardStation} onChange={e => { setBoardStation(e.target.value); if (exitLine?.id === selectedLine.id && exitStation === e.target.value) handleSelectExit(""); }}
+                style={{...inputStyle,borderLeft:`4px solid ${selectedLine.color}`}}>
+                <option value="">— Select station —</option>
+                {boardStations.map(st => (
+                  <option key={st} value={st}>{st}{visited.has(`${selectedLine.id}::${st}`) ? " ✓" : ""}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Exited at <span style={{opacity:0.6,textTransform:"none",letterSpacing:0}}>(optional)</span></label>
+              <select value={exitStation ? `${exitLine.id}::${exitStation}` : ""} onChange={e => handleSelectExit(e.target.value)}
+                style={{...inputStyle,borderLeft:`4px solid ${exitStation ? exitLine.color : "rgba(255,255,255,0.12)"}`}}>
+                <option value="">— Select station —</option>
+                {exitLineGroups.map((g, gi) => (
+                  <optgroup key={g.line.id} label={`${g.line.label} line${gi === 0 ? " (your line)" : " · transfer"}`}>
+                    {g.stations.map(st => (
+                      <option key={`${g.line.id}::${st}`} value={`${g.line.id}::${st}`}>{st}{visited.has(`${g.line.id}::${st}`) ? " ✓" : ""}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      <RideTimePicker value={rideTime} onChange={setRideTime} style={{marginBottom:"1rem"}}/>
       <motion.button onClick={handleLog} disabled={!canLog} whileTap={canLog ? {scale:0.97} : {}}
         style={{width:"100%",padding:"1rem",borderRadius:14,border:"none",
           background:canLog?"#FCCC0A":"rgba(255,255,255,0.08)",color:canLog?"#000":"rgba(255,255,255,0.3)",
@@ -437,7 +811,16 @@ function LiveRider({ datasets, rides, setRides }) {
             <LineBullet label={lastRide.lineLabel} color={lastRide.lineColor} textColor={lastRide.lineTextColor} size={46}/>
             <div>
               <div style={{fontWeight:700,fontSize:"1rem"}}>✓ Ride logged!</div>
-              <div style={{color:"rgba(255,255,255,0.55)",fontSize:"0.85rem"}}>{lastRide.model} · Car #{lastRide.trainNumber}</div>
+              <div style={{color:"rgba(255,255,255,0.55)",fontSize:"0.85rem"}}>
+                {[...new Set(rideCars(lastRide).map(c => c.model))].join(" + ")} · {lastRide.consist ? "Cars" : "Car"} {rideCars(lastRide).map(c => `#${c.trainNumber}`).join(", ")}
+                {isMixedConsist(lastRide) && " (mixed)"} · {new Date(lastRide.timestamp).toLocaleString()}</div>
+              {(lastRide.boardStation || lastRide.exitStation) && (
+                <div style={{color:"rgba(255,255,255,0.45)",fontSize:"0.8rem",marginTop:"0.15rem"}}>
+                  {lastRide.boardStation || "?"} → {lastRide.exitStation || "?"}
+                  {lastRide.transferLineLabel && <span style={{color:"rgba(255,255,255,0.35)"}}> via {lastRide.transferLineLabel}</span>}
+                </div>
+              )}
+              <NextLegButton system="nyc" record={lastRide} onStarted={journeyId => setLastRide(r => ({ ...r, journeyId }))}/>
             </div>
           </motion.div>
         )}
@@ -449,54 +832,147 @@ function LiveRider({ datasets, rides, setRides }) {
 /* ─────────────────────────────────────────────────────────────────
    NYC STATS PAGE
 ───────────────────────────────────────────────────────────────── */
-function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onForceRefresh, refreshing, rides, setRides }) {
+function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onForceRefresh, refreshing, rides, setRides, visited, setVisited }) {
   const [tab, setTab] = useState("progress");
-  const [query, setQuery] = useState("");
-  const riddenModels = useMemo(() => new Set(rides.map(r => r.model)), [rides]);
+  const search = useHistorySearch("nyc", rides);
+  const achievementCtx = useMemo(() => ({ records: rides, visited, datasets }), [rides, visited, datasets]);
+  const riddenModels = useMemo(() => new Set(rides.flatMap(rideCars).map(c => c.model)), [rides]);
   const riddenLines = useMemo(() => new Set(rides.map(r => r.line)), [rides]);
+  // Models that run on the lines already ridden, and which of those lines carry each
+  const possibleModels = useMemo(() => {
+    const byModel = new Map();
+    datasets.lines.filter(l => riddenLines.has(l.id))
+      .forEach(l => lineModels(l, datasets.rollingStock).forEach(s => byModel.set(s.model, [...(byModel.get(s.model) || []), l])));
+    return datasets.rollingStock.filter(s => byModel.has(s.model)).map(s => ({ model: s.model, lines: byModel.get(s.model) }));
+  }, [datasets, riddenLines]);
   const modelPct = datasets.rollingStock.length ? (riddenModels.size / datasets.rollingStock.length) * 100 : 0;
   const linePct = datasets.lines.length ? (riddenLines.size / datasets.lines.length) * 100 : 0;
 
-  function deleteRide(id) { setRides(prev => prev.filter(r => r.id !== id)); }
-  function clearRides() { if (confirm("Delete ALL rides?")) setRides([]); }
+  const [editing, setEditing] = useState(null);
+  function deleteRide(id) {
+    const ride = rides.find(r => r.id === id);
+    pushUndo("nyc", `Deleted ride · car #${ride?.trainNumber}`, [recordsChange(RIDES_KEY, rides, rides.filter(r => r.id !== id))]);
+    setRides(prev => prev.filter(r => r.id !== id));
+  }
+  function saveEdit(updated) {
+    setRides(prev => prev.map(r => r.id === updated.id ? updated : r));
+    setVisited(prev => updateVisitedForEdit(prev, "nyc", updated));
+    setEditing(null);
+  }
+  function clearRides() {
+    if (!confirm("Delete ALL rides?")) return;
+    pushUndo("nyc", `Cleared ${rides.length} rides`, [recordsChange(RIDES_KEY, rides, [])]);
+    setRides([]);
+  }
   function exportRides() {
-    const blob = new Blob([JSON.stringify(rides, null, 2)], {type:"application/json"});
+    const blob = new Blob([JSON.stringify(buildExport("nyc", rides, visited), null, 2)], {type:"application/json"});
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a"); a.href = url;
     a.download = `nyc-rides-${new Date().toISOString().slice(0,10)}.json`; a.click(); URL.revokeObjectURL(url);
   }
+  function exportCSV() { downloadCSV("nyc", rides, `nyc-rides-${new Date().toISOString().slice(0,10)}.csv`); }
+  const [pendingImport, setPendingImport] = useState(null);
   function importRides(e) {
     const file = e.target.files?.[0]; if (!file) return;
+    e.target.value = "";
     const reader = new FileReader();
     reader.onload = () => {
-      try { const p = JSON.parse(reader.result); if (!Array.isArray(p)) throw new Error("Expected array"); setRides(p); }
-      catch (err) { alert("Invalid JSON: " + err.message); }
+      try {
+        const text = String(reader.result);
+        setPendingImport(isCSVFile(file) ? readCSVImport("nyc", text, datasets) : readImportFile("nyc", JSON.parse(text)));
+      }
+      catch (err) { alert("Import failed: " + err.message); }
     }; reader.readAsText(file);
   }
-  function save() { setDatasets(datasets); alert("Saved to your device!"); }
-  function reset() { if (confirm("Reset to server defaults? Your local edits will be cleared.")) { onResetToRemote(); } }
-  function updateLine(idx, field, value) { setDatasets(d => ({...d,lines:d.lines.map((l,i)=>i===idx?{...l,[field]:value}:l)})); }
-  function removeLine(idx) { setDatasets(d => ({...d,lines:d.lines.filter((_,i)=>i!==idx)})); }
-  function addLine() { setDatasets(d => ({...d,lines:[...d.lines,{id:"X",label:"X",division:"B",color:"#444",textColor:"#fff",terminals:["",""]}]})); }
-  function updateStock(idx, field, value) { setDatasets(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>i===idx?{...s,[field]:value}:s)})); }
+  function applyImport({ mode, records, report }) {
+    const nextVisited = mode === "replace" ? new Set(pendingImport.visited) : new Set([...visited, ...pendingImport.visited]);
+    pushUndo("nyc", mode === "replace" ? "Replaced ride history from file" : "Imported rides from file",
+      [recordsChange(RIDES_KEY, rides, records), setChange(NYC_VISITED_KEY, visited, nextVisited)]);
+    setRides(records);
+    setVisited(nextVisited);
+    setPendingImport(null);
+    alert(describeImportReport(report, "ride"));
+  }
+  // Settings edits go to a draft; only a Save that passes validation reaches setDatasets
+  const [draft, setDraft] = useState(datasets);
+  const [validation, setValidation] = useState(null);
+  useEffect(() => { setDraft(datasets); setValidation(null); }, [datasets]);
+  const dirty = draft !== datasets;
+
+  function save() {
+    const result = validateDatasets(draft);
+    setValidation(result);
+    if (result.errors.length > 0) return;
+    setDatasets(draft);
+    alert(result.warnings.length ? `Saved to your device with ${result.warnings.length} warning${result.warnings.length === 1 ? "" : "s"}.` : "Saved to your device!");
+  }
+  function discard() { setDraft(datasets); setValidation(null); }
+  function reset() {
+    if (!confirm("Reset to server defaults? Your local edits will be cleared.")) return;
+    const edits = getUserDatasets();
+    if (edits) pushUndo("nyc", "Reset fleet data to server defaults", [valueChange(USER_DATA_KEY, edits)]);
+    onResetToRemote();
+  }
+  function updateLine(idx, field, value) { setDraft(d => ({...d,lines:d.lines.map((l,i)=>i===idx?{...l,[field]:value}:l)})); }
+  function removeLine(idx) { setDraft(d => ({...d,lines:d.lines.filter((_,i)=>i!==idx)})); }
+  function addLine() { setDraft(d => ({...d,lines:[...d.lines,{id:"X",label:"X",division:"B",color:"#444",textColor:"#fff",terminals:["",""]}]})); }
+  function toggleLineModel(idx, model) {
+    setDraft(d => ({...d,lines:d.lines.map((l,i) => {
+      if (i !== idx) return l;
+      const models = (l.models || []).includes(model) ? l.models.filter(m => m !== model) : [...(l.models || []), model];
+      const { models: _, ...rest } = l;
+      return models.length ? {...rest,models} : rest;
+    })}));
+  }
+  // Line assignments follow a model that's renamed or deleted
+  function assignedLines(lines, rename) {
+    return lines.map(l => {
+      if (!l.models) return l;
+      const { models, ...rest } = l;
+      const next = models.map(rename).filter(m => m !== null);
+      return next.length ? {...rest,models:next} : rest;
+    });
+  }
+  function updateStock(idx, field, value) {
+    setDraft(d => {
+      const old = d.rollingStock[idx].model;
+      return {...d,rollingStock:d.rollingStock.map((s,i)=>i===idx?{...s,[field]:value}:s),
+        lines:field === "model" ? assignedLines(d.lines, m => m === old ? value : m) : d.lines};
+    });
+  }
   function updateRange(idx, rIdx, which, value) {
-    setDatasets(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>{
+    setDraft(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>{
       if (i !== idx) return s;
       return {...s,ranges:s.ranges.map((r,j)=>j===rIdx?[which===0?+value:r[0],which===1?+value:r[1]]:r)};
     })}));
   }
-  function addRange(idx) { setDatasets(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>i===idx?{...s,ranges:[...s.ranges,[0,0]]}:s)})); }
-  function removeStock(idx) { setDatasets(d => ({...d,rollingStock:d.rollingStock.filter((_,i)=>i!==idx)})); }
-  function addStock() { setDatasets(d => ({...d,rollingStock:[...d.rollingStock,{model:"New Model",ranges:[[0,0]],division:"A"}]})); }
-
-  const filteredRides = rides.filter(r => {
-    const q = query.toLowerCase();
-    return !q || [r.trainNumber, r.model, r.line].some(v => v?.toLowerCase().includes(q));
-  });
-  const innerTabs = [{key:"progress",label:"Progress"},{key:"history",label:"History"},{key:"settings",label:"Settings"}];
+  function addRange(idx) { setDraft(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>i===idx?{...s,ranges:[...s.ranges,[0,0]]}:s)})); }
+  function removeRange(idx, rIdx) { setDraft(d => ({...d,rollingStock:d.rollingStock.map((s,i)=>i===idx?{...s,ranges:s.ranges.filter((_,j)=>j!==rIdx)}:s)})); }
+  function removeStock(idx) {
+    setDraft(d => ({...d,rollingStock:d.rollingStock.filter((_,i)=>i!==idx),
+      lines:assignedLines(d.lines, m => m === d.rollingStock[idx].model ? null : m)}));
+  }
+  function addStock() { setDraft(d => ({...d,rollingStock:[...d.rollingStock,{model:"New Model",ranges:[[0,0]],division:"A"}]})); }
+  const issuesFor = (scope, idx) => validation
+    ? { errors: validation.errors.filter(i => i.scope===scope && i.index===idx), warnings: validation.warnings.filter(i => i.scope===scope && i.index===idx) }
+    : { errors: [], warnings: [] };
+
+  const stationTotals = useMemo(() => {
+    let total = 0, seen = 0;
+    datasets.lines.forEach(l => nycStationsForLine(l).forEach(st => { total++; if (visited.has(`${l.id}::${st}`)) seen++; }));
+    return { total, seen };
+  }, [datasets.lines, visited]);
+  const innerTabs = [{key:"progress",label:"Progress"},{key:"cars",label:"Cars"},{key:"stations",label:"Stations"},{key:"history",label:"History"},{key:"settings",label:"Settings"}];
 
   return (
     <div style={{maxWidth:900,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      {editing && <NYCRideEditor ride={editing} datasets={datasets} onSave={saveEdit} onCancel={() => setEditing(null)}/>}
+      {pendingImport && (
+        <ImportMergeDialog title="Import NYC rides" noun="ride" current={rides} incoming={pendingImport.records} rejected={pendingImport.rejected}
+          fingerprint={RIDE_FINGERPRINTS.nyc} onApply={applyImport} onCancel={() => setPendingImport(null)}
+          describe={r => `Car ${r.trainNumber} · ${r.model} · ${r.lineLabel || r.line} · ${new Date(r.timestamp).toLocaleString()}`}
+          extra={mode => `${pendingImport.visited.length} visited stations in file · ${mode === "replace" ? "replaces" : "added to"} this device's ${visited.size}`}/>
+      )}
       <div style={{display:"flex",gap:"0.3rem",background:"rgba(255,255,255,0.05)",borderRadius:12,padding:"0.3rem",marginBottom:"1.5rem",overflowX:"auto"}}>
         {innerTabs.map(t => (
           <button key={t.key} onClick={() => setTab(t.key)}
@@ -515,7 +991,8 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
             {[{label:"Total Rides",value:rides.length,color:"#FCCC0A"},
               {label:"Models Ridden",value:`${riddenModels.size}/${datasets.rollingStock.length}`,color:"#4ade80"},
               {label:"Lines Ridden",value:`${riddenLines.size}/${datasets.lines.length}`,color:"#60a5fa"},
-              {label:"Unique Cars",value:new Set(rides.map(r=>r.trainNumber)).size,color:"#f472b6"}
+              {label:"Unique Cars",value:new Set(rides.flatMap(rideCars).map(c=>c.trainNumber)).size,color:"#f472b6"},
+              {label:"Line Stops",value:`${stationTotals.seen}/${stationTotals.total}`,color:"#fb923c"}
             ].map(({label,value,color}) => (
               <div key={label} style={{background:"rgba(255,255,255,0.05)",border:"1px solid rgba(255,255,255,0.08)",borderRadius:14,padding:"1rem 1.25rem"}}>
                 <div style={{fontSize:"0.72rem",color:"rgba(255,255,255,0.4)",textTransform:"uppercase",letterSpacing:"0.1em"}}>{label}</div>
@@ -523,6 +1000,8 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
               </div>
             ))}
           </div>
+          <RidingPatterns records={rides} noun="ride" accent="#FCCC0A" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          <JourneyStats system="nyc" accent="#FCCC0A" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
           <div style={cardStyle}>
             <div style={sectionHeadStyle}>Train Models <span style={badgeStyle}>{riddenModels.size}/{datasets.rollingStock.length}</span></div>
             <ProgressBar value={modelPct} color="#4ade80"/>
@@ -542,6 +1021,25 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
               })}
             </div>
           </div>
+          {possibleModels.length > 0 && (
+            <div style={cardStyle}>
+              <div style={sectionHeadStyle}>Possible on Your Lines <span style={badgeStyle}>{possibleModels.filter(p => riddenModels.has(p.model)).length}/{possibleModels.length}</span></div>
+              <div style={{fontSize:"0.8rem",color:"rgba(255,255,255,0.4)",marginBottom:"0.85rem"}}>Models assigned to the lines you've ridden.</div>
+              <div style={{display:"flex",flexDirection:"column",gap:"0.45rem"}}>
+                {possibleModels.map(p => {
+                  const ridden = riddenModels.has(p.model);
+                  return (
+                    <div key={p.model} style={{display:"flex",alignItems:"center",gap:"0.6rem",flexWrap:"wrap",opacity:ridden ? 0.55 : 1}}>
+                      <span style={{fontWeight:700,fontSize:"0.9rem",minWidth:110}}>{ridden ? "✓ " : ""}{p.model}</span>
+                      <div style={{display:"flex",gap:"0.25rem",flexWrap:"wrap"}}>
+                        {p.lines.map(l => <LineBullet key={l.id} label={l.label} color={l.color} textColor={l.textColor} size={22}/>)}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
           <div style={cardStyle}>
             <div style={sectionHeadStyle}>Subway Lines <span style={badgeStyle}>{riddenLines.size}/{datasets.lines.length}</span></div>
             <ProgressBar value={linePct} color="#60a5fa"/>
@@ -559,39 +1057,57 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
               })}
             </div>
           </div>
+          <LineModelMatrix rides={rides} datasets={datasets}/>
+          <AchievementGallery system="nyc" ctx={achievementCtx} accent="#FCCC0A" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
         </div>
       )}
 
+      {tab === "cars" && <CarCollection rides={rides} rollingStock={datasets.rollingStock}/>}
+
+      {tab === "stations" && <NYCLogPage lines={datasets.lines} visited={visited} onToggle={setVisited}/>}
+
       {tab === "history" && (
         <div style={cardStyle}>
           <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:"1rem",flexWrap:"wrap",gap:"0.5rem"}}>
             <span style={sectionHeadStyle}>Ride History <span style={badgeStyle}>{rides.length}</span></span>
             <div style={{display:"flex",gap:"0.5rem",flexWrap:"wrap"}}>
               <SmallBtn onClick={exportRides}>⬇ Export</SmallBtn>
-              <label style={{...smallBtnStyle,cursor:"pointer"}}>⬆ Import<input type="file" accept="application/json" style={{display:"none"}} onChange={importRides}/></label>
+              <SmallBtn onClick={exportCSV}>⬇ CSV</SmallBtn>
+              <label style={{...smallBtnStyle,cursor:"pointer"}}>⬆ Import<input type="file" accept="application/json,.csv,text/csv" style={{display:"none"}} onChange={importRides}/></label>
               <SmallBtn onClick={clearRides} danger>🗑 Clear All</SmallBtn>
             </div>
           </div>
-          <input placeholder="Filter by line, model, car #…" value={query} onChange={e => setQuery(e.target.value)} style={{...inputStyle,marginBottom:"1rem"}}/>
+          <HistorySearchBar system="nyc" search={search} total={rides.length} noun="ride" inputStyle={inputStyle} buttonStyle={smallBtnStyle}/>
           <div style={{overflowX:"auto",borderRadius:10,border:"1px solid rgba(255,255,255,0.08)"}}>
             <table style={{width:"100%",borderCollapse:"collapse",fontSize:"0.88rem"}}>
               <thead><tr style={{background:"rgba(0,0,0,0.4)"}}>
-                {["Time","Line","Car #","Model","Div",""].map(h=>(
+                {["Time","Line","Car #","Model","Div","Route",""].map(h=>(
                   <th key={h} style={{padding:"0.6rem 0.8rem",textAlign:"left",color:"rgba(255,255,255,0.4)",fontWeight:700,
                     fontSize:"0.72rem",letterSpacing:"0.08em",textTransform:"uppercase",
                     borderBottom:"1px solid rgba(255,255,255,0.08)",whiteSpace:"nowrap"}}>{h}</th>
                 ))}
               </tr></thead>
               <tbody>
-                {filteredRides.length === 0 && <tr><td colSpan={6} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No rides match.</td></tr>}
-                {[...filteredRides].reverse().map((r, i) => (
+                {search.results.length === 0 && <tr><td colSpan={7} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No rides match.</td></tr>}
+                {sortByRideTime(search.results).map((r, i) => (
                   <tr key={r.id} style={{background:i%2===0?"transparent":"rgba(255,255,255,0.02)",borderBottom:"1px solid rgba(255,255,255,0.05)"}}>
                     <td style={{padding:"0.55rem 0.8rem",color:"rgba(255,255,255,0.45)",whiteSpace:"nowrap"}}>{new Date(r.timestamp).toLocaleString()}</td>
                     <td style={{padding:"0.55rem 0.8rem"}}><LineBullet label={r.lineLabel||r.line} color={r.lineColor||"#555"} textColor={r.lineTextColor||"#fff"} size={32}/></td>
-                    <td style={{padding:"0.55rem 0.8rem",fontWeight:700,fontFamily:"'Barlow Condensed',sans-serif",fontSize:"1.05rem"}}>#{r.trainNumber}</td>
-                    <td style={{padding:"0.55rem 0.8rem",fontWeight:600}}>{r.model}</td>
+                    <td style={{padding:"0.55rem 0.8rem",fontWeight:700,fontFamily:"'Barlow Condensed',sans-serif",fontSize:"1.05rem"}}>
+                      {rideCars(r).map(c => `#${c.trainNumber}`).join(" · ")}</td>
+                    <td style={{padding:"0.55rem 0.8rem",fontWeight:600,whiteSpace:"nowrap"}}>
+                      {[...new Set(rideCars(r).map(c => c.model))].join(" + ")}
+                      {isMixedConsist(r) && <span style={{...badgeStyle,marginLeft:"0.4rem",color:"#FCCC0A"}}>mixed</span>}</td>
                     <td style={{padding:"0.55rem 0.8rem",color:"rgba(255,255,255,0.45)",fontSize:"0.8rem"}}>{r.division}</td>
-                    <td style={{padding:"0.55rem 0.8rem"}}><SmallBtn onClick={() => deleteRide(r.id)} danger>✕</SmallBtn></td>
+                    <td style={{padding:"0.55rem 0.8rem",fontSize:"0.8rem",maxWidth:220,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>
+                      {r.boardStation || r.exitStation
+                        ? <>{r.boardStation || "?"} → {r.exitStation || "?"}{r.transferLineLabel && <span style={{color:"rgba(255,255,255,0.35)"}}> via {r.transferLineLabel}</span>}</>
+                        : <span style={{color:"rgba(255,255,255,0.25)"}}>—</span>}
+                    </td>
+                    <td style={{padding:"0.55rem 0.8rem",whiteSpace:"nowrap"}}>
+                      <SmallBtn onClick={() => setEditing(r)} title="Edit ride">✎</SmallBtn>{" "}
+                      <SmallBtn onClick={() => deleteRide(r.id)} danger>✕</SmallBtn>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -628,6 +1144,10 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
             </div>
           </div>
 
+          {(dirty || validation) && (
+            <DatasetValidationPanel validation={validation} dirty={dirty} onSave={save} onDiscard={discard}/>
+          )}
+
           <div style={cardStyle}>
             <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:"1rem",flexWrap:"wrap",gap:"0.5rem"}}>
               <span style={sectionHeadStyle}>Rolling Stock Ranges</span>
@@ -637,8 +1157,8 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
               </div>
             </div>
             <div style={{display:"flex",flexDirection:"column",gap:"0.65rem",maxHeight:"60vh",overflowY:"auto"}}>
-              {datasets.rollingStock.map((s, idx) => (
-                <div key={idx} style={{background:"rgba(255,255,255,0.04)",border:"1px solid rgba(255,255,255,0.08)",borderRadius:10,padding:"0.85rem 1rem"}}>
+              {draft.rollingStock.map((s, idx) => (
+                <div key={idx} style={{background:"rgba(255,255,255,0.04)",border:`1px solid ${issueBorder(issuesFor("model",idx))}`,borderRadius:10,padding:"0.85rem 1rem"}}>
                   <div style={{display:"flex",flexWrap:"wrap",gap:"0.5rem",alignItems:"center",marginBottom:"0.65rem"}}>
                     <input value={s.model} onChange={e => updateStock(idx,"model",e.target.value)} style={{...inputStyle,width:140}}/>
                     <select value={s.division} onChange={e => updateStock(idx,"division",e.target.value)} style={{...inputStyle,width:80}}>
@@ -656,9 +1176,12 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
                         <input value={r[0]} onChange={e => updateRange(idx,rIdx,0,e.target.value)} style={{...inputStyle,width:72,textAlign:"center",padding:"0.3rem 0.4rem"}}/>
                         <span style={{color:"rgba(255,255,255,0.3)"}}>–</span>
                         <input value={r[1]} onChange={e => updateRange(idx,rIdx,1,e.target.value)} style={{...inputStyle,width:72,textAlign:"center",padding:"0.3rem 0.4rem"}}/>
+                        <button onClick={() => removeRange(idx,rIdx)} title="Remove range"
+                          style={{background:"none",border:"none",color:"rgba(255,255,255,0.35)",cursor:"pointer",padding:"0 0.15rem",fontSize:"0.8rem"}}>✕</button>
                       </div>
                     ))}
                   </div>
+                  <IssueList issues={issuesFor("model",idx)}/>
                 </div>
               ))}
             </div>
@@ -673,9 +1196,9 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
               </div>
             </div>
             <div style={{display:"flex",flexDirection:"column",gap:"0.6rem",maxHeight:"60vh",overflowY:"auto"}}>
-              {datasets.lines.map((l, idx) => (
+              {draft.lines.map((l, idx) => (
                 <div key={idx} style={{display:"flex",flexWrap:"wrap",alignItems:"center",gap:"0.5rem",
-                  background:"rgba(255,255,255,0.04)",border:"1px solid rgba(255,255,255,0.08)",borderRadius:10,padding:"0.7rem 0.85rem"}}>
+                  background:"rgba(255,255,255,0.04)",border:`1px solid ${issueBorder(issuesFor("line",idx))}`,borderRadius:10,padding:"0.7rem 0.85rem"}}>
                   <LineBullet label={l.label} color={l.color} textColor={l.textColor||"#fff"} size={38}/>
                   <input value={l.id} onChange={e=>updateLine(idx,"id",e.target.value)} style={{...inputStyle,width:52}} placeholder="ID"/>
                   <input value={l.label} onChange={e=>updateLine(idx,"label",e.target.value)} style={{...inputStyle,width:60}} placeholder="Label"/>
@@ -687,6 +1210,20 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
                   <input value={l.terminals?.[0]||""} onChange={e=>updateLine(idx,"terminals",[e.target.value,l.terminals?.[1]||""])} style={{...inputStyle,flex:1,minWidth:120}} placeholder="Terminal A"/>
                   <input value={l.terminals?.[1]||""} onChange={e=>updateLine(idx,"terminals",[l.terminals?.[0]||"",e.target.value])} style={{...inputStyle,flex:1,minWidth:120}} placeholder="Terminal B"/>
                   <SmallBtn onClick={()=>removeLine(idx)} danger>✕</SmallBtn>
+                  <div style={{flexBasis:"100%",display:"flex",flexWrap:"wrap",alignItems:"center",gap:"0.35rem"}}>
+                    <span style={{fontSize:"0.72rem",color:"rgba(255,255,255,0.4)",marginRight:"0.25rem"}}>
+                      {l.models?.length ? "Cars on this line:" : `Cars: any division ${l.division} model — tap to assign`}</span>
+                    {[...new Set([...draft.rollingStock.filter(s => s.division === l.division).map(s => s.model), ...(l.models || [])])].map(m => {
+                      const on = (l.models || []).includes(m);
+                      return (
+                        <button key={m} onClick={() => toggleLineModel(idx, m)}
+                          style={{padding:"0.2rem 0.55rem",borderRadius:999,cursor:"pointer",fontSize:"0.75rem",fontWeight:600,fontFamily:"inherit",
+                            border:`1px solid ${on ? l.color : "rgba(255,255,255,0.12)"}`,background:on ? `${l.color}33` : "transparent",
+                            color:on ? "#fff" : "rgba(255,255,255,0.4)"}}>{m}</button>
+                      );
+                    })}
+                  </div>
+                  <IssueList issues={issuesFor("line",idx)}/>
                 </div>
               ))}
             </div>
@@ -697,6 +1234,254 @@ function StatsPage({ datasets, setDatasets, datasetsSource, onResetToRemote, onF
   );
 }
 
+/* ─────────────────────────────────────────────────────────────────
+   NYC RIDE EDITOR — opened from Ride History; keeps id and timestamp
+───────────────────────────────────────────────────────────────── */
+function NYCRideEditor({ ride, datasets, onSave, onCancel }) {
+  const [trainNumber, setTrainNumber] = useState(ride.trainNumber || "");
+  const [lineId, setLineId] = useState(ride.line);
+  const [boardStation, setBoardStation] = useState(ride.boardStation || "");
+  const [exitValue, setExitValue] = useState(ride.exitStation ? `${ride.exitLineId || ride.line}::${ride.exitStation}` : "");
+  const [pickedModel, setPickedModel] = useState(ride.modelCandidates ? ride.model : null);
+  const [extraCars, setExtraCars] = useState(() => (ride.consist || []).slice(1).map(c => ({ number: c.trainNumber, picked: c.model })));
+  const initialTime = toLocalInputValue(ride.timestamp);
+  const [time, setTime] = useState(initialTime);
+  const resolved = useMemo(() => resolveModelFromNumber(trainNumber, datasets.rollingStock), [trainNumber, datasets.rollingStock]);
+  const found = resolved.match || resolved.candidates.find(c => c.model === pickedModel) || null;
+  const line = datasets.lines.find(l => l.id === lineId) || null;
+  const [exitLineId, ...exitRest] = exitValue.split("::");
+  const exitStation = exitValue ? exitRest.join("::") : "";
+  const exitLine = datasets.lines.find(l => l.id === exitLineId) || line;
+
+  function changeLine(id) { setLineId(id); setBoardStation(""); setExitValue(""); }
+  function save() {
+    onSave({ ...ride, ...buildNYCRide({ trainNumber, line, found, resolved, boardStation, exitStation, exitLine,
+      extraCars: consistCars(extraCars, datasets.rollingStock) }),
+      timestamp: time === initialTime ? ride.timestamp : fromLocalInputValue(time) });
+  }
+
+  const canSave = trainNumber.length > 0 && !!line && !(resolved.ambiguous && !found) && consistReady(extraCars, datasets.rollingStock)
+    && !!fromLocalInputValue(time) && !isFutureRideTime(time);
+  const modelNote = !trainNumber ? "" : found ? `${found.model} · ${DIV_LABELS[found.division] || found.division}`
+    : resolved.ambiguous ? "Matches several models — pick one below" : "No model matches this number";
+  return (
+    <RecordEditDialog title={`Edit ride · car #${ride.trainNumber}`} subtitle={`Logged ${new Date(ride.timestamp).toLocaleString()}`}
+      canSave={canSave} onSave={save} onCancel={onCancel}>
+      <RideTimeField value={time} onChange={setTime}/>
+      <div>
+        <label style={labelStyle}>Car Number</label>
+        <input type="text" inputMode="numeric" value={trainNumber} style={inputStyle}
+          onChange={e => { setTrainNumber(e.target.value.replace(/[^0-9]/g, "")); setPickedModel(null); }}/>
+        <div style={{fontSize:"0.78rem",color:found?"#4ade80":"rgba(255,255,255,0.45)",marginTop:"0.4rem"}}>{modelNote}</div>
+        {resolved.ambiguous && (
+          <div style={{display:"flex",flexWrap:"wrap",gap:"0.4rem",marginTop:"0.5rem"}}>
+            {resolved.candidates.map(c => (
+              <SmallBtn key={c.model} onClick={() => setPickedModel(c.model)}
+                style={pickedModel===c.model?{background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}:{}}>{c.model}</SmallBtn>
+            ))}
+          </div>
+        )}
+      </div>
+      <div>
+        <label style={labelStyle}>Rest of the consist</label>
+        <ConsistField entries={extraCars} onChange={setExtraCars} rollingStock={datasets.rollingStock} leadModel={found?.model || (resolved.ambiguous ? null : "Unknown")}/>
+      </div>
+      <div>
+        <label style={labelStyle}>Line</label>
+        <select value={lineId} onChange={e => changeLine(e.target.value)} style={inputStyle}>
+          {!line && <option value={lineId}>{ride.lineLabel || lineId} (not in datasets)</option>}
+          {datasets.lines.map(l => <option key={l.id} value={l.id}>{l.label} — {DIV_LABELS[l.division] || l.division}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Boarded at</label>
+        <select value={boardStation} onChange={e => setBoardStation(e.target.value)} style={inputStyle}>
+          <option value="">— not recorded —</option>
+          {withCurrentOption(nycStationsForLine(line), boardStation).map(st => <option key={st} value={st}>{st}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Exited at</label>
+        <select value={exitValue} onChange={e => setExitValue(e.target.value)} style={inputStyle}>
+          <option value="">— not recorded —</option>
+          {exitValue && !nycStationsForLine(exitLine).includes(exitStation) && <option value={exitValue}>{exitStation}</option>}
+          {line && [line, ...datasets.lines.filter(l => l.id !== line.id)].map(l => (
+            <optgroup key={l.id} label={l.id === line.id ? `${l.label} line` : `Transfer to ${l.label}`}>
+              {nycStationsForLine(l).map(st => <option key={st} value={`${l.id}::${st}`}>{st}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+    </RecordEditDialog>
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   DATASET VALIDATION UI (NYC Settings)
+───────────────────────────────────────────────────────────────── */
+function issueBorder({ errors, warnings }) {
+  if (errors.length) return "rgba(248,113,113,0.6)";
+  if (warnings.length) return "rgba(252,204,10,0.45)";
+  return "rgba(255,255,255,0.08)";
+}
+
+function IssueList({ issues }) {
+  if (!issues.errors.length && !issues.warnings.length) return null;
+  return (
+    <div style={{flexBasis:"100%",marginTop:"0.55rem",display:"flex",flexDirection:"column",gap:"0.2rem",fontSize:"0.76rem"}}>
+      {issues.errors.map((i, k) => <div key={`e${k}`} style={{color:"#f87171"}}>✕ {i.message}</div>)}
+      {issues.warnings.map((i, k) => <div key={`w${k}`} style={{color:"#FCCC0A"}}>⚠ {i.message}</div>)}
+    </div>
+  );
+}
+
+function DatasetValidationPanel({ validation, dirty, onSave, onDiscard }) {
+  const errors = validation?.errors || [];
+  const warnings = validation?.warnings || [];
+  const blocked = errors.length > 0;
+  return (
+    <div style={{...cardStyle,borderColor:blocked?"rgba(248,113,113,0.45)":warnings.length?"rgba(252,204,10,0.35)":"rgba(255,255,255,0.12)"}}>
+      <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",flexWrap:"wrap",gap:"0.5rem"}}>
+        <span style={{...sectionHeadStyle,marginBottom:0}}>
+          {blocked ? "Can't save yet" : validation ? "Validation passed" : "Unsaved changes"}
+          {validation && <span style={{...badgeStyle,color:blocked?"#f87171":"#4ade80"}}>{errors.length} error{errors.length===1?"":"s"}</span>}
+          {validation && warnings.length > 0 && <span style={{...badgeStyle,color:"#FCCC0A"}}>{warnings.length} warning{warnings.length===1?"":"s"}</span>}
+        </span>
+        {dirty && (
+          <div style={{display:"flex",gap:"0.5rem"}}>
+            <SmallBtn onClick={onDiscard}>Discard</SmallBtn>
+            <SmallBtn onClick={onSave} green>✓ Save</SmallBtn>
+          </div>
+        )}
+      </div>
+      {(errors.length > 0 || warnings.length > 0) && (
+        <div style={{marginTop:"0.75rem",display:"flex",flexDirection:"column",gap:"0.3rem",maxHeight:220,overflowY:"auto",fontSize:"0.8rem"}}>
+          {[...errors.map(i => ({...i,level:"error"})), ...warnings.map(i => ({...i,level:"warning"}))].map((i, k) => (
+            <div key={k} style={{display:"flex",gap:"0.5rem",color:i.level==="error"?"#f87171":"#FCCC0A"}}>
+              <span style={{flexShrink:0}}>{i.level==="error"?"✕":"⚠"}</span>
+              <span><strong>{i.scope==="model"?"Model":"Line"} {i.label}:</strong> <span style={{color:"rgba(255,255,255,0.65)"}}>{i.message}</span></span>
+            </div>
+          ))}
+        </div>
+      )}
+      {!validation && <div style={{marginTop:"0.4rem",fontSize:"0.8rem",color:"rgba(255,255,255,0.4)"}}>Edits are checked when you hit Save.</div>}
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   NYC STATIONS PAGE — per-line visited checklist, modelled on DCLogPage
+───────────────────────────────────────────────────────────────── */
+function NYCStationRow({ station, lineColor, isVisited, onToggle, index, isLast }) {
+  return (
+    <motion.div layout onClick={onToggle}
+      initial={{opacity:0,x:-8}} animate={{opacity:1,x:0}}
+      transition={{delay:Math.min(index*0.012,0.3),duration:0.2}}
+      style={{display:"flex",alignItems:"stretch",borderBottom:"1px solid rgba(255,255,255,0.06)",cursor:"pointer",
+        background:isVisited?"rgba(255,255,255,0.04)":"transparent",transition:"background 0.12s"}}>
+      <div style={{width:32,flexShrink:0,position:"relative"}}>
+        {index > 0 && <div style={{position:"absolute",top:0,bottom:"50%",left:"50%",transform:"translateX(-50%)",width:4,background:lineColor,opacity:0.45}}/>}
+        {!isLast && <div style={{position:"absolute",top:"50%",bottom:0,left:"50%",transform:"translateX(-50%)",width:4,background:lineColor,opacity:0.45}}/>}
+        <div style={{position:"absolute",top:"50%",left:"50%",transform:"translate(-50%,-50%)",
+          width:isVisited?13:11,height:isVisited?13:11,borderRadius:"50%",zIndex:1,
+          background:isVisited?"#fff":"#111116",border:`2px solid ${isVisited?lineColor:"rgba(255,255,255,0.3)"}`,transition:"all 0.2s ease"}}/>
+      </div>
+      <div style={{flex:1,padding:"0.75rem 0.75rem 0.75rem 0.25rem",display:"flex",alignItems:"center",justifyContent:"space-between",minHeight:46}}>
+        <span style={{fontWeight:isVisited?700:400,fontSize:"0.92rem",color:isVisited?"#f0f0f4":"rgba(240,240,244,0.55)"}}>{station}</span>
+        <span style={{fontSize:"1rem",color:isVisited?"#4ade80":"rgba(255,255,255,0.15)",marginLeft:"0.5rem"}}>{isVisited ? "✓" : "·"}</span>
+      </div>
+    </motion.div>
+  );
+}
+
+function NYCLogPage({ lines, visited, onToggle }) {
+  const stationLines = useMemo(() => lines.filter(l => nycStationsForLine(l).length > 0), [lines]);
+  const [selectedId, setSelectedId] = useState(() => stationLines[0]?.id || null);
+  const [filter, setFilter] = useState("all");
+  const selectedLine = stationLines.find(l => l.id === selectedId) || stationLines[0];
+  const lineStats = useMemo(() => stationLines.map(l => {
+    const stations = nycStationsForLine(l);
+    const count = stations.filter(s => visited.has(`${l.id}::${s}`)).length;
+    return { id:l.id, visited:count, total:stations.length, pct:stations.length ? count/stations.length : 0 };
+  }), [stationLines, visited]);
+  const stations = nycStationsForLine(selectedLine);
+  const displayedStations = stations.filter(s => {
+    const key = `${selectedLine.id}::${s}`;
+    if (filter === "visited") return visited.has(key);
+    if (filter === "unvisited") return !visited.has(key);
+    return true;
+  });
+
+  if (!selectedLine) {
+    return <div style={{...cardStyle,textAlign:"center",color:"rgba(255,255,255,0.35)"}}>No station data for these lines.</div>;
+  }
+
+  const activeStats = lineStats.find(l => l.id === selectedLine.id);
+  const allMarked = stations.every(s => visited.has(`${selectedLine.id}::${s}`));
+  function markAll() {
+    const keys = stations.map(s => `${selectedLine.id}::${s}`);
+    if (allMarked) onToggle(prev => { const next = new Set(prev); keys.forEach(k => next.delete(k)); return next; });
+    else onToggle(prev => { const next = new Set(prev); keys.forEach(k => next.add(k)); return next; });
+  }
+
+  return (
+    <div style={{display:"flex",flexDirection:"column",gap:"1rem"}}>
+      <div style={cardStyle}>
+        <div style={{display:"flex",flexWrap:"wrap",gap:"0.45rem",marginBottom:"1rem"}}>
+          {stationLines.map(l => {
+            const stat = lineStats.find(x => x.id === l.id);
+            const complete = stat && stat.total > 0 && stat.visited === stat.total;
+            return (
+              <div key={l.id} style={{display:"flex",flexDirection:"column",alignItems:"center",gap:"0.2rem"}}>
+                <LineBullet label={l.label} color={l.color} textColor={l.textColor} size={38}
+                  selected={selectedLine.id === l.id} onClick={() => { setSelectedId(l.id); setFilter("all"); }}/>
+                <span style={{fontSize:"0.62rem",fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,
+                  color:complete?"#4ade80":"rgba(255,255,255,0.35)"}}>{stat?.visited}/{stat?.total}</span>
+              </div>
+            );
+          })}
+        </div>
+        <div style={{display:"flex",alignItems:"center",gap:"0.75rem",flexWrap:"wrap"}}>
+          <div style={{flex:1,minWidth:160,fontSize:"0.8rem",color:"rgba(255,255,255,0.45)"}}>
+            {selectedLine.terminals?.[0]} ↔ {selectedLine.terminals?.[1]}
+          </div>
+          <div style={{width:120}}><ProgressBar value={(activeStats?.pct||0)*100} color={selectedLine.color}/></div>
+          <span style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"0.95rem",color:selectedLine.color,minWidth:38}}>
+            {Math.round((activeStats?.pct||0)*100)}%</span>
+        </div>
+        <div style={{display:"flex",alignItems:"center",gap:"0.5rem",flexWrap:"wrap",marginTop:"0.85rem"}}>
+          {["all","visited","unvisited"].map(f => (
+            <SmallBtn key={f} onClick={() => setFilter(f)}
+              style={filter===f?{background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}:{color:"rgba(255,255,255,0.5)"}}>
+              {f.toUpperCase()}
+            </SmallBtn>
+          ))}
+          <SmallBtn onClick={markAll} style={{marginLeft:"auto"}} green={!allMarked} danger={allMarked}>
+            {allMarked ? "Unmark Line" : "✓ Mark Whole Line"}
+          </SmallBtn>
+        </div>
+      </div>
+      <div style={{...cardStyle,padding:0,overflow:"hidden"}}>
+        {displayedStations.length === 0
+          ? <div style={{padding:"2.5rem 1.5rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No stations match this filter.</div>
+          : <AnimatePresence mode="wait">
+              <motion.div key={selectedLine.id+filter}>
+                {displayedStations.map((station, i) => {
+                  const key = `${selectedLine.id}::${station}`;
+                  return (<NYCStationRow key={key} station={station} lineColor={selectedLine.color} isVisited={visited.has(key)}
+                    onToggle={() => onToggle(prev => { const next = new Set(prev); next.has(key) ? next.delete(key) : next.add(key); return next; })}
+                    index={i} isLast={i===displayedStations.length-1}/>);
+                })}
+              </motion.div>
+            </AnimatePresence>}
+      </div>
+      <div style={{textAlign:"center",fontSize:"0.72rem",color:"rgba(255,255,255,0.25)",letterSpacing:"0.06em"}}>
+        Tap any station to mark as visited · Logged rides mark their board and exit stations automatically
+      </div>
+    </div>
+  );
+}
+
 /* ─────────────────────────────────────────────────────────────────
    MICRO UI (NYC)
 ───────────────────────────────────────────────────────────────── */
@@ -724,6 +1509,7 @@ function NYCApp({ onSwitchSystem }) {
   const [datasetsSource, setDatasetsSource] = useState("remote");
   const [refreshing, setRefreshing] = useState(false);
   const [rides, setRides] = useRides();
+  const [visited, setVisited] = useNYCVisited();
 
   useEffect(() => {
     const userDs = getUserDatasets();
@@ -755,6 +1541,11 @@ function NYCApp({ onSwitchSystem }) {
     }
   }, []);
 
+  // Undoing a reset writes the old edits straight back to storage
+  useStorageKeySync(USER_DATA_KEY, React.useCallback(ds => {
+    if (ds) { setDatasets(ds); setDatasetsSource("user"); }
+  }, []));
+
   function handleSetDatasets(ds) {
     setDatasets(ds);
     saveUserDatasets(ds);
@@ -837,10 +1628,10 @@ function NYCApp({ onSwitchSystem }) {
       <AnimatePresence mode="wait">
         <motion.div key={page} initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} exit={{opacity:0}} transition={{duration:0.2}}>
           {page === "live"
-            ? <LiveRider datasets={datasets} rides={rides} setRides={setRides}/>
+            ? <LiveRider datasets={datasets} rides={rides} setRides={setRides} visited={visited} setVisited={setVisited}/>
             : <StatsPage datasets={datasets} setDatasets={handleSetDatasets} datasetsSource={datasetsSource}
                 onResetToRemote={handleResetToRemote} onForceRefresh={handleForceRefresh} refreshing={refreshing}
-                rides={rides} setRides={setRides}/>}
+                rides={rides} setRides={setRides} visited={visited} setVisited={setVisited}/>}
         </motion.div>
       </AnimatePresence>
       <footer style={{borderTop:"1px solid rgba(255,255,255,0.06)",padding:"1rem",textAlign:"center",fontSize:"0.72rem",color:"rgba(255,255,255,0.2)",letterSpacing:"0.06em"}}>
@@ -862,39 +1653,170 @@ const DC_LINES_DATA = [
   {id:"yellow",label:"Yellow",color:"#FFD100",textColor:"#000",endpoints:["Huntington","Greenbelt"],stations:["Huntington","Eisenhower Avenue","King Street–Old Town","Braddock Road","Reagan National Airport","Crystal City","Pentagon City","Pentagon","L'Enfant Plaza","Archives–Navy Memorial–Penn Quarter","Gallery Pl–Chinatown","Mt Vernon Sq/7th St–Convention Center","Shaw–Howard U","U Street/African-Amer Civil War Memorial/Cardozo","Columbia Heights","Georgia Ave–Petworth","Fort Totten","West Hyattsville","Prince George's Plaza","College Park–U of Md","Greenbelt"]},
 ];
 
+// Car numbers are printed inside each car end; ranges feed resolveModelFromNumber
 const DC_ROLLING_STOCK = [
-  { model: "1000-Series", builder: "Rohr", years: "1976–1978", notes: "Retired 2017" },
-  { model: "2000-Series", builder: "Breda", years: "1982–1983", notes: "Retired 2018" },
-  { model: "3000-Series", builder: "Breda", years: "1984–1988", notes: "In service (rehabilitated)" },
-  { model: "4000-Series", builder: "Breda", years: "1991–1993", notes: "Retired 2017" },
-  { model: "5000-Series", builder: "CAF", years: "2001–2004", notes: "Retired 2018 (reliability issues)" },
-  { model: "6000-Series", builder: "Alstom", years: "2005–2007", notes: "In service" },
-  { model: "7000-Series", builder: "Kawasaki", years: "2015–2020", notes: "Current primary fleet" },
+  { model: "1000-Series", builder: "Rohr", years: "1976–1978", notes: "Retired 2017", ranges: [[1000, 1299]] },
+  { model: "2000-Series", builder: "Breda", years: "1982–1983", notes: "Retired 2018", ranges: [[2000, 2075]] },
+  { model: "3000-Series", builder: "Breda", years: "1984–1988", notes: "In service (rehabilitated)", ranges: [[3000, 3289]] },
+  { model: "4000-Series", builder: "Breda", years: "1991–1993", notes: "Retired 2017", ranges: [[4000, 4099]] },
+  { model: "5000-Series", builder: "CAF", years: "2001–2004", notes: "Retired 2018 (reliability issues)", ranges: [[5000, 5191]] },
+  { model: "6000-Series", builder: "Alstom", years: "2005–2007", notes: "In service", ranges: [[6000, 6183]] },
+  { model: "7000-Series", builder: "Kawasaki", years: "2015–2020", notes: "Current primary fleet", ranges: [[7000, 7747]] },
 ];
 
 const DC_VISITED_KEY = "wmata_visited_v1";
 const DC_RIDES_KEY = "wmata_rides_v1";
 
-function loadDCVisited() { try { const r = localStorage.getItem(DC_VISITED_KEY); return r ? new Set(JSON.parse(r)) : new Set(); } catch { return new Set(); } }
-function saveDCVisited(set) { try { localStorage.setItem(DC_VISITED_KEY, JSON.stringify([...set])); } catch {} }
+function loadDCVisited() { return new Set(readStorageJSON(DC_VISITED_KEY) || []); }
+function saveDCVisited(set) { writeStorageJSON(DC_VISITED_KEY, [...set]); }
 function useDCVisited() {
   const [visited, setV] = useState(loadDCVisited);
   const setVisited = React.useCallback((fn) => {
     setV(prev => { const next = typeof fn === "function" ? fn(prev) : fn; saveDCVisited(next); return next; });
   }, []);
+  useStorageKeySync(DC_VISITED_KEY, React.useCallback(v => setV(new Set(v || [])), []));
   return [visited, setVisited];
 }
 
-function loadDCRides() { try { const r = localStorage.getItem(DC_RIDES_KEY); return r ? JSON.parse(r) : []; } catch { return []; } }
-function saveDCRides(rides) { try { localStorage.setItem(DC_RIDES_KEY, JSON.stringify(rides)); } catch {} }
+function loadDCRides() { return readStorageJSON(DC_RIDES_KEY) || []; }
+function saveDCRides(rides) { writeStorageJSON(DC_RIDES_KEY, rides); }
 function useDCRides() {
   const [rides, setR] = useState(loadDCRides);
   const setRides = React.useCallback((fn) => {
     setR(prev => { const next = typeof fn === "function" ? fn(prev) : fn; saveDCRides(next); return next; });
   }, []);
+  useStorageKeySync(DC_RIDES_KEY, React.useCallback(v => setR(v || []), []));
   return [rides, setRides];
 }
 
+/* ─────────────────────────────────────────────────────────────────
+   DC ROUTING — the network as a graph of (line, station) nodes
+   Riding to the next station costs 1; changing lines at a station costs
+   DC_TRANSFER_COST, so the shortest route is the one with the fewest
+   transfers and, among those, the fewest stops. Blue and Silver both
+   reach Rosslyn–Largo, so a Silver trip to Smithsonian needs no transfer.
+───────────────────────────────────────────────────────────────── */
+const DC_TRANSFER_COST = 100;
+
+/* → { legs:[{ lineId, stations }], transfers:[{ station, lineId }] } or null.
+   Pass transfers to follow the rider's own route instead of inferring one. */
+function dcRoute(lineId, boardStation, exitStation, transfers = null) {
+  const lineOf = (id) => DC_LINES_DATA.find(l => l.id === id);
+  if (transfers) {
+    const legs = [];
+    let current = lineId, from = boardStation;
+    for (const stop of [...transfers, { station: exitStation, lineId: null }]) {
+      const line = lineOf(current);
+      const stations = line ? lineSpan(line, from, stop.station) : [];
+      if (!stations.length) return null;
+      if (stations.length > 1) legs.push({ lineId: current, stations });
+      current = stop.lineId; from = stop.station;
+    }
+    return { legs, transfers };
+  }
+
+  const start = `${lineId}::${boardStation}`;
+  if (!lineOf(lineId)?.stations.includes(boardStation)) return null;
+  const dist = new Map([[start, 0]]), prev = new Map(), done = new Set();
+  const queue = [start];
+  let goal = null;
+  while (queue.length) {
+    queue.sort((a, b) => dist.get(a) - dist.get(b));
+    const node = queue.shift();
+    if (done.has(node)) continue;
+    done.add(node);
+    const [id, station] = node.split("::");
+    if (station === exitStation) { goal = node; break; }
+    const line = lineOf(id), i = line.stations.indexOf(station);
+    const next = [line.stations[i - 1], line.stations[i + 1]].filter(Boolean).map(st => [`${id}::${st}`, 1]);
+    DC_LINES_DATA.filter(l => l.id !== id && l.stations.includes(station)).forEach(l => next.push([`${l.id}::${station}`, DC_TRANSFER_COST]));
+    next.forEach(([to, cost]) => {
+      const d = dist.get(node) + cost;
+      if (done.has(to) || d >= (dist.get(to) ?? Infinity)) return;
+      dist.set(to, d); prev.set(to, node); queue.push(to);
+    });
+  }
+  if (!goal) return null;
+
+  const path = [goal];
+  while (prev.has(path[0])) path.unshift(prev.get(path[0]));
+  const legs = [], found = [];
+  path.map(n => n.split("::")).forEach(([id, station]) => {
+    const leg = legs[legs.length - 1];
+    if (leg?.lineId === id) { leg.stations.push(station); return; }
+    if (leg) found.push({ station, lineId: id });
+    legs.push({ lineId: id, stations: [station] });
+  });
+  return { legs: legs.filter(l => l.stations.length > 1), transfers: found };
+}
+
+/* Every sensible way to make a trip, for the override picker: staying on
+   the board line if it reaches the exit, or one change at any shared station
+   that doesn't mean riding past it and coming back. */
+const doublesBack = (route) => {
+  const stations = route.legs.flatMap((leg, i) => i ? leg.stations.slice(1) : leg.stations);
+  return new Set(stations).size < stations.length;
+};
+function dcRouteOptions(lineId, boardStation, exitStation) {
+  const board = DC_LINES_DATA.find(l => l.id === lineId);
+  if (!board) return [];
+  const candidates = board.stations.includes(exitStation) ? [[]] : [];
+  DC_LINES_DATA.filter(l => l.id !== lineId && l.stations.includes(exitStation)).forEach(l =>
+    board.stations.filter(st => l.stations.includes(st) && st !== boardStation && st !== exitStation)
+      .forEach(st => candidates.push([{ station: st, lineId: l.id }])));
+  return candidates
+    .map(transfers => ({ transfers, route: dcRoute(lineId, boardStation, exitStation, transfers) }))
+    .filter(o => o.route && !doublesBack(o.route))
+    .map(o => ({ transfers: o.transfers, stops: o.route.legs.reduce((n, leg) => n + leg.stations.length - 1, 0) }))
+    .sort((a, b) => a.transfers.length - b.transfers.length || a.stops - b.stops);
+}
+
+function describeDCTransfers(transfers) {
+  if (!transfers?.length) return "No transfer";
+  return transfers.map(t => `${DC_LINES_DATA.find(l => l.id === t.lineId)?.label || t.lineId} at ${t.station}`).join(", then ");
+}
+const dcTransferValue = (transfers) => transfers ? (transfers.length ? transfers.map(t => `${t.lineId}@${t.station}`).join("|") : "none") : "auto";
+const dcTransfersFromValue = (value) => value === "auto" ? null : value === "none" ? [] :
+  value.split("|").map(part => { const [lineId, ...rest] = part.split("@"); return { lineId, station: rest.join("@") }; });
+
+/* value: null to infer, or the rider's transfers ([] = stayed on). */
+function DCRoutePicker({ lineId, boardStation, exitStation, value, onChange, compact }) {
+  const inferred = useMemo(() => dcRoute(lineId, boardStation, exitStation), [lineId, boardStation, exitStation]);
+  const options = useMemo(() => dcRouteOptions(lineId, boardStation, exitStation), [lineId, boardStation, exitStation]);
+  if (!inferred) return null;
+  return (
+    <div style={compact ? undefined : {marginBottom:"1rem"}}>
+      <label style={labelStyle}>Route</label>
+      <select value={dcTransferValue(value)} onChange={e => onChange(dcTransfersFromValue(e.target.value))} style={inputStyle}>
+        <option value="auto">Auto · {describeDCTransfers(inferred.transfers)}</option>
+        {options.map(o => (
+          <option key={dcTransferValue(o.transfers)} value={dcTransferValue(o.transfers)}>
+            {o.transfers.length ? `Change to ${describeDCTransfers(o.transfers)}` : "Stay on the whole way"} · {o.stops} stop{o.stops === 1 ? "" : "s"}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+/* Shared by DCLiveRider and the trip editor.
+   transfers: null to infer the route, or the rider's own [{ station, lineId }].
+   The exit line is wherever the route ends, not which list the exit was picked from. */
+function buildDCTrip({ line, boardStation, exitStation, transfers = null }) {
+  const forced = transfers ? dcRoute(line.id, boardStation, exitStation, transfers) : null;
+  const route = forced || dcRoute(line.id, boardStation, exitStation) || { legs: [], transfers: [] };
+  const exitLine = DC_LINES_DATA.find(l => l.id === route.legs[route.legs.length - 1]?.lineId) || line;
+  const isTransfer = exitLine.id !== line.id;
+  return {
+    lineId: line.id, lineLabel: line.label, lineColor: line.color, lineTextColor: line.textColor,
+    boardStation, exitStation, exitLineId: exitLine.id, exitLineLabel: exitLine.label,
+    exitLineColor: exitLine.color, transferLineId: isTransfer ? exitLine.id : null,
+    transferLineLabel: isTransfer ? exitLine.label : null,
+    transfers: route.transfers, transferInferred: !forced,
+    segments: route.legs,
+  };
+}
+
 function DCLinePill({ line, size="md", selected, onClick }) {
   const sz = size === "sm" ? { minW:28, h:17, fs:9, px:4 } : size === "lg" ? { minW:54, h:32, fs:13, px:10 } : { minW:36, h:22, fs:10, px:8 };
   return (
@@ -917,17 +1839,24 @@ function DCLiveRider({ dcRides, setDCRides, visited, setVisited }) {
   const [boardStation, setBoardStation] = useState(null);
   const [exitStation, setExitStation] = useState(null);
   const [exitLine, setExitLine] = useState(null);
+  const [routeOverride, setRouteOverride] = useState(null);
   const [lastRide, setLastRide] = useState(null);
+  const [rideTime, setRideTime] = useState("");
+  const [carNumber, setCarNumber] = useState("");
+  const [pickedModel, setPickedModel] = useState(null);
 
   function resetForm() {
-    setStep(1); setSelectedLine(null); setBoardStation(null); setExitStation(null); setExitLine(null);
+    setStep(1); setSelectedLine(null); setBoardStation(null); setExitStation(null); setExitLine(null); setRouteOverride(null); setRideTime("");
+    setCarNumber(""); setPickedModel(null);
   }
 
   function handleSelectLine(line) {
-    setSelectedLine(line); setBoardStation(null); setExitStation(null); setExitLine(null); setStep(2);
+    // A next leg that starts where the last one ended skips straight to the exit
+    const from = nextLegBoardStation(readNextLeg(), "dc", line.stations);
+    setSelectedLine(line); setBoardStation(from); setExitStation(null); setExitLine(null); setRouteOverride(null); setStep(from ? 3 : 2);
   }
-  function handleSelectBoard(station) { setBoardStation(station); setExitStation(null); setStep(3); }
-  function handleSelectExit(station, line) { setExitStation(station); setExitLine(line); }
+  function handleSelectBoard(station) { setBoardStation(station); setExitStation(null); setRouteOverride(null); setStep(3); }
+  function handleSelectExit(station, line) { setExitStation(station); setExitLine(line); setRouteOverride(null); }
 
   const exitLineGroups = useMemo(() => {
     if (!selectedLine || !boardStation) return [];
@@ -938,30 +1867,26 @@ function DCLiveRider({ dcRides, setDCRides, visited, setVisited }) {
 
   function handleLog() {
     if (!selectedLine || !boardStation || !exitStation || !exitLine) return;
-    const isTransfer = exitLine.id !== selectedLine.id;
-    const ride = {
-      id: crypto.randomUUID(), lineId: selectedLine.id, lineLabel: selectedLine.label,
-      lineColor: selectedLine.color, lineTextColor: selectedLine.textColor,
-      boardStation, exitStation, exitLineId: exitLine.id, exitLineLabel: exitLine.label,
-      exitLineColor: exitLine.color, transferLineId: isTransfer ? exitLine.id : null,
-      transferLineLabel: isTransfer ? exitLine.label : null, timestamp: new Date().toISOString(),
-    };
-    setDCRides(prev => [...prev, ride]);
-    setVisited(prev => {
-      const next = new Set(prev);
-      next.add(`${selectedLine.id}::${boardStation}`);
-      next.add(`${exitLine.id}::${exitStation}`);
-      return next;
+    const ride = joinPendingJourney({
+      id: crypto.randomUUID(), ...buildDCTrip({ line: selectedLine, boardStation, exitStation, transfers: routeOverride }),
+      ...carNumberFields(carNumber, DC_ROLLING_STOCK, pickedModel), timestamp: rideTimestamp(rideTime),
     });
+    setDCRides(prev => [...prev, ride]);
+    setVisited(prev => new Set([...prev, ...recordVisitedKeys("dc", ride)]));
     setLastRide(ride);
     resetForm();
   }
 
-  const canLog = selectedLine && boardStation && exitStation && exitLine;
+  const canLog = selectedLine && boardStation && exitStation && exitLine && !isFutureRideTime(rideTime)
+    && carNumberReady(carNumber, DC_ROLLING_STOCK, pickedModel);
   const stepLabels = ["Select Line", "Board Station", "Exit Station"];
+  const achievementCtx = useMemo(() => ({ records: dcRides, visited }), [dcRides, visited]);
+  const [unlocked, dismissUnlocked] = useAchievementUnlocks("dc", achievementCtx);
 
   return (
     <div style={{maxWidth:640,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      <AchievementToast unlocked={unlocked} onDone={dismissUnlocked}/>
+      <NextLegBanner system="dc" accent="#009CDE"/>
       <div style={{display:"flex",alignItems:"center",gap:0,marginBottom:"2rem"}}>
         {[1,2,3].map((s, i) => (
           <React.Fragment key={s}>
@@ -1094,6 +2019,10 @@ function DCLiveRider({ dcRides, setDCRides, visited, setVisited }) {
                 </div>
               ))}
             </div>
+            {exitStation && <DCRoutePicker lineId={selectedLine.id} boardStation={boardStation} exitStation={exitStation} value={routeOverride} onChange={setRouteOverride}/>}
+            <CarNumberField value={carNumber} picked={pickedModel} rollingStock={DC_ROLLING_STOCK} accent={selectedLine.color} style={{marginBottom:"1rem"}}
+              onChange={(number, model) => { setCarNumber(number); setPickedModel(model); }}/>
+            <RideTimePicker value={rideTime} onChange={setRideTime} accent={selectedLine?.color} style={{marginBottom:"1rem"}}/>
             <motion.button onClick={handleLog} disabled={!canLog} whileTap={canLog?{scale:0.97}:{}}
               style={{width:"100%",padding:"1rem",borderRadius:12,border:"none",
                 background:canLog?(selectedLine?.color||"#FCCC0A"):"rgba(255,255,255,0.08)",
@@ -1130,8 +2059,10 @@ function DCLiveRider({ dcRides, setDCRides, visited, setVisited }) {
               <div style={{fontWeight:700,fontSize:"1rem",color:"#4ade80"}}>✓ Trip logged!</div>
               <div style={{color:"rgba(255,255,255,0.55)",fontSize:"0.85rem",marginTop:"0.2rem"}}>
                 {lastRide.boardStation} → {lastRide.exitStation}
-                {lastRide.transferLineLabel && <span style={{color:"rgba(255,255,255,0.35)"}}> via {lastRide.transferLineLabel} Line</span>}
+                {lastRide.transfers?.length > 0 && <span style={{color:"rgba(255,255,255,0.35)"}}> · change to {describeDCTransfers(lastRide.transfers)}</span>}
+                {lastRide.trainNumber && <span style={{color:"rgba(255,255,255,0.35)"}}> · car #{lastRide.trainNumber} ({lastRide.model})</span>}
               </div>
+              <NextLegButton system="dc" record={lastRide} accent="#4ade80" onStarted={journeyId => setLastRide(r => ({ ...r, journeyId }))}/>
             </div>
           </motion.div>
         )}
@@ -1142,36 +2073,74 @@ function DCLiveRider({ dcRides, setDCRides, visited, setVisited }) {
 
 function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
   const [tab, setTab] = useState("progress");
-
-  function deleteRide(id) { setDCRides(prev => prev.filter(r => r.id !== id)); }
-  function clearRides() { if (confirm("Delete all DC trips?")) setDCRides([]); }
+  const search = useHistorySearch("dc", dcRides);
+  const achievementCtx = useMemo(() => ({ records: dcRides, visited }), [dcRides, visited]);
+
+  const [editing, setEditing] = useState(null);
+  function deleteRide(id) {
+    const trip = dcRides.find(r => r.id === id);
+    pushUndo("dc", `Deleted trip · ${trip?.boardStation} → ${trip?.exitStation}`, [recordsChange(DC_RIDES_KEY, dcRides, dcRides.filter(r => r.id !== id))]);
+    setDCRides(prev => prev.filter(r => r.id !== id));
+  }
+  function saveEdit(updated) {
+    setDCRides(prev => prev.map(r => r.id === updated.id ? updated : r));
+    setVisited(prev => updateVisitedForEdit(prev, "dc", updated));
+    setEditing(null);
+  }
+  function clearRides() {
+    if (!confirm("Delete all DC trips?")) return;
+    pushUndo("dc", `Cleared ${dcRides.length} trips`, [recordsChange(DC_RIDES_KEY, dcRides, [])]);
+    setDCRides([]);
+  }
   function exportData() {
-    const blob = new Blob([JSON.stringify({rides:dcRides,visited:[...visited]},null,2)],{type:"application/json"});
+    const blob = new Blob([JSON.stringify(buildExport("dc",dcRides,visited),null,2)],{type:"application/json"});
     const url=URL.createObjectURL(blob); const a=document.createElement("a");
     a.href=url; a.download=`wmata-data-${new Date().toISOString().slice(0,10)}.json`; a.click(); URL.revokeObjectURL(url);
   }
+  function exportCSV() { downloadCSV("dc", dcRides, `wmata-trips-${new Date().toISOString().slice(0,10)}.csv`); }
+  const [pendingImport, setPendingImport] = useState(null);
   function importData(e) {
     const file=e.target.files?.[0]; if(!file) return;
+    e.target.value="";
     const reader=new FileReader();
     reader.onload=()=>{
       try {
-        const p=JSON.parse(String(reader.result));
-        if(p.rides && Array.isArray(p.rides)) setDCRides(p.rides);
-        if(p.visited && Array.isArray(p.visited)) setVisited(new Set(p.visited));
-        alert("Import successful!");
-      } catch(err){alert("Error: "+err.message);}
+        const text=String(reader.result);
+        setPendingImport(isCSVFile(file)?readCSVImport("dc",text):readImportFile("dc",JSON.parse(text)));
+      } catch(err){alert("Import failed: "+err.message);}
     }; reader.readAsText(file);
   }
-  function clearAll() { if(confirm("Clear all visited stations?")) setVisited(new Set()); }
+  function applyImport({ mode, records, report }) {
+    const nextVisited = mode === "replace" ? new Set(pendingImport.visited) : new Set([...visited, ...pendingImport.visited]);
+    pushUndo("dc", mode === "replace" ? "Replaced trip history from file" : "Imported trips from file",
+      [recordsChange(DC_RIDES_KEY, dcRides, records), setChange(DC_VISITED_KEY, visited, nextVisited)]);
+    setDCRides(records);
+    setVisited(nextVisited);
+    setPendingImport(null);
+    alert(describeImportReport(report, "trip"));
+  }
+  function clearAll() {
+    if(!confirm("Clear all visited stations?")) return;
+    pushUndo("dc", `Cleared ${visited.size} visited stations`, [setChange(DC_VISITED_KEY, visited, new Set())]);
+    setVisited(new Set());
+  }
 
   const allStations = useMemo(()=>{const s=new Set();DC_LINES_DATA.forEach(l=>l.stations.forEach(st=>s.add(st)));return s;},[]);
   const visitedUnique = useMemo(()=>{const seen=new Set();DC_LINES_DATA.forEach(l=>l.stations.forEach(st=>{if(visited.has(`${l.id}::${st}`))seen.add(st);}));return seen.size;},[visited]);
   const lineStats = useMemo(()=>DC_LINES_DATA.map(l=>({...l,count:l.stations.filter(s=>visited.has(`${l.id}::${s}`)).length,total:l.stations.length})),[visited]);
+  const track = useMemo(()=>trackCoverage("dc",dcRides),[dcRides]);
 
-  const innerTabs = [{key:"progress",label:"Progress"},{key:"stations",label:"Stations"},{key:"history",label:"Trip History"},{key:"manage",label:"Manage"}];
+  const innerTabs = [{key:"progress",label:"Progress"},{key:"stations",label:"Stations"},{key:"map",label:"Map"},{key:"history",label:"Trip History"},{key:"manage",label:"Manage"}];
 
   return (
     <div style={{maxWidth:900,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      {editing && <DCTripEditor trip={editing} onSave={saveEdit} onCancel={() => setEditing(null)}/>}
+      {pendingImport && (
+        <ImportMergeDialog title="Import WMATA trips" noun="trip" current={dcRides} incoming={pendingImport.records} rejected={pendingImport.rejected}
+          fingerprint={RIDE_FINGERPRINTS.dc} accent="#BF0D3E" onApply={applyImport} onCancel={() => setPendingImport(null)}
+          describe={r => `${r.lineLabel} · ${r.boardStation} → ${r.exitStation} · ${new Date(r.timestamp).toLocaleString()}`}
+          extra={mode => `${pendingImport.visited.length} visited stations in file · ${mode === "replace" ? "replaces" : "added to"} this device's ${visited.size}`}/>
+      )}
       <div style={{display:"flex",gap:"0.3rem",background:"rgba(255,255,255,0.05)",borderRadius:12,padding:"0.3rem",marginBottom:"1.5rem",overflowX:"auto"}}>
         {innerTabs.map(t => (
           <button key={t.key} onClick={()=>setTab(t.key)}
@@ -1189,6 +2158,7 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
           <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(140px,1fr))",gap:"0.75rem"}}>
             {[
               {label:"Unique Stations",value:`${visitedUnique}/${allStations.size}`,color:"#BF0D3E"},
+              {label:"Track Ridden",value:`${track.pct}%`,color:"#919D9D"},
               {label:"Total Trips",value:dcRides.length,color:"#009CDE"},
               {label:"Lines Ridden",value:lineStats.filter(l=>l.count>0).length+"/"+lineStats.length,color:"#00B140"},
               {label:"Transfers",value:dcRides.filter(r=>r.transferLineId).length,color:"#ED8B00"},
@@ -1199,6 +2169,9 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
               </div>
             ))}
           </div>
+          <RidingPatterns records={dcRides} noun="trip" accent="#009CDE" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          <JourneyStats system="dc" accent="#009CDE" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          <ModelProgress records={dcRides} rollingStock={DC_ROLLING_STOCK} noun="trip" accent="#BF0D3E" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
           <div style={cardStyle}>
             <div style={sectionHeadStyle}>Line Coverage</div>
             <div style={{display:"flex",flexDirection:"column",gap:"0.75rem"}}>
@@ -1210,40 +2183,50 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
                       <span style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,fontSize:"0.95rem",color:"#f0f0f4"}}>{l.label} Line</span>
                     </div>
                     <span style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,fontSize:"0.9rem",color:l.count===l.total&&l.total>0?l.color:"rgba(255,255,255,0.4)"}}>
-                      {l.count}/{l.total}
+                      {l.count}/{l.total} stations · {track.perLine[l.id].ridden}/{track.perLine[l.id].total} track
                     </span>
                   </div>
                   <ProgressBar value={l.total>0?(l.count/l.total)*100:0} color={l.color}/>
+                  <div style={{height:3,marginTop:3,background:"rgba(255,255,255,0.06)",borderRadius:2,overflow:"hidden"}}>
+                    <motion.div initial={{width:0}} animate={{width:`${(track.perLine[l.id].ridden/track.perLine[l.id].total)*100}%`}}
+                      transition={{duration:0.7,ease:"easeOut"}} style={{height:"100%",background:l.color,opacity:0.55}}/>
+                  </div>
                 </div>
               ))}
             </div>
           </div>
+          <AchievementGallery system="dc" ctx={achievementCtx} accent="#009CDE" cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
         </div>
       )}
 
       {tab === "stations" && <DCLogPage visited={visited} onToggle={setVisited}/>}
 
+      {tab === "map" && <DCSystemMap visited={visited} onToggle={setVisited} trips={dcRides}/>}
+
       {tab === "history" && (
         <div style={cardStyle}>
           <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:"1rem",flexWrap:"wrap",gap:"0.5rem"}}>
             <span style={sectionHeadStyle}>Trip History <span style={badgeStyle}>{dcRides.length}</span></span>
             <div style={{display:"flex",gap:"0.5rem"}}>
               <SmallBtn onClick={exportData}>⬇ Export</SmallBtn>
+              <SmallBtn onClick={exportCSV}>⬇ CSV</SmallBtn>
               <SmallBtn onClick={clearRides} danger>🗑 Clear All</SmallBtn>
             </div>
           </div>
+          {dcRides.length > 0 && <HistorySearchBar system="dc" search={search} total={dcRides.length} noun="trip" inputStyle={inputStyle} buttonStyle={smallBtnStyle}/>}
           <div style={{overflowX:"auto",borderRadius:10,border:"1px solid rgba(255,255,255,0.08)"}}>
             <table style={{width:"100%",borderCollapse:"collapse",fontSize:"0.88rem"}}>
               <thead><tr style={{background:"rgba(0,0,0,0.4)"}}>
-                {["Time","Line","Boarded","Exited","Transfer",""].map(h=>(
+                {["Time","Line","Boarded","Exited","Transfer","Car",""].map(h=>(
                   <th key={h} style={{padding:"0.6rem 0.8rem",textAlign:"left",color:"rgba(255,255,255,0.4)",fontWeight:700,
                     fontSize:"0.72rem",letterSpacing:"0.08em",textTransform:"uppercase",
                     borderBottom:"1px solid rgba(255,255,255,0.08)",whiteSpace:"nowrap"}}>{h}</th>
                 ))}
               </tr></thead>
               <tbody>
-                {dcRides.length===0 && <tr><td colSpan={6} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No trips yet. Log a ride!</td></tr>}
-                {[...dcRides].reverse().map((r,i)=>{
+                {dcRides.length===0 && <tr><td colSpan={7} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No trips yet. Log a ride!</td></tr>}
+                {dcRides.length>0 && search.results.length===0 && <tr><td colSpan={7} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No trips match.</td></tr>}
+                {sortByRideTime(search.results).map((r,i)=>{
                   const line = DC_LINES_DATA.find(l=>l.id===r.lineId)||{color:"#555",textColor:"#fff",label:r.lineLabel||"?"};
                   return (
                     <tr key={r.id} style={{background:i%2===0?"transparent":"rgba(255,255,255,0.02)",borderBottom:"1px solid rgba(255,255,255,0.05)"}}>
@@ -1253,8 +2236,18 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
                       </td>
                       <td style={{padding:"0.55rem 0.8rem",fontSize:"0.82rem",maxWidth:160,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{r.boardStation}</td>
                       <td style={{padding:"0.55rem 0.8rem",fontSize:"0.82rem",maxWidth:160,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{r.exitStation}</td>
-                      <td style={{padding:"0.55rem 0.8rem",fontSize:"0.78rem",color:"rgba(255,255,255,0.4)"}}>{r.transferLineLabel||"—"}</td>
-                      <td style={{padding:"0.55rem 0.8rem"}}><SmallBtn onClick={()=>deleteRide(r.id)} danger>✕</SmallBtn></td>
+                      <td style={{padding:"0.55rem 0.8rem",fontSize:"0.78rem",color:"rgba(255,255,255,0.4)"}}>
+                        {r.transfers?.length
+                          ? <>{describeDCTransfers(r.transfers)}{r.transferInferred !== false && <span style={{color:"rgba(255,255,255,0.25)"}} title="Inferred from the shortest route; edit the trip to change it"> · auto</span>}</>
+                          : r.transferLineLabel || "—"}
+                      </td>
+                      <td style={{padding:"0.55rem 0.8rem",fontSize:"0.8rem",whiteSpace:"nowrap",color:r.trainNumber?"#f0f0f4":"rgba(255,255,255,0.3)"}}>
+                        {r.trainNumber ? <>#{r.trainNumber} <span style={{color:"rgba(255,255,255,0.4)"}}>{r.model}</span></> : "—"}
+                      </td>
+                      <td style={{padding:"0.55rem 0.8rem",whiteSpace:"nowrap"}}>
+                        <SmallBtn onClick={()=>setEditing(r)} title="Edit trip">✎</SmallBtn>{" "}
+                        <SmallBtn onClick={()=>deleteRide(r.id)} danger>✕</SmallBtn>
+                      </td>
                     </tr>
                   );
                 })}
@@ -1268,7 +2261,8 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
         <div style={{display:"flex",flexDirection:"column",gap:"1rem"}}>
           {[
             {title:"Export Data",desc:`Download your ${dcRides.length} trips and ${visited.size} station visits as JSON.`,action:<SmallBtn onClick={exportData}>⬇ Export JSON</SmallBtn>},
-            {title:"Import Data",desc:"Restore from a previously exported JSON file.",action:<label style={{...smallBtnStyle,cursor:"pointer"}}>⬆ Import JSON<input type="file" accept="application/json" style={{display:"none"}} onChange={importData}/></label>},
+            {title:"Export CSV",desc:"Download trips as a spreadsheet (timestamp, line, board and exit stations, transfer line).",action:<SmallBtn onClick={exportCSV}>⬇ Export CSV</SmallBtn>},
+            {title:"Import Data",desc:"Restore from a previously exported JSON or CSV file.",action:<label style={{...smallBtnStyle,cursor:"pointer"}}>⬆ Import JSON / CSV<input type="file" accept="application/json,.csv,text/csv" style={{display:"none"}} onChange={importData}/></label>},
             {title:"Clear All Stations",desc:"Remove all visited station records.",action:<SmallBtn onClick={clearAll} danger>✕ Clear Stations</SmallBtn>},
             {title:"Clear Trip History",desc:"Remove all logged trips.",action:<SmallBtn onClick={clearRides} danger>✕ Clear Trips</SmallBtn>},
           ].map(({title,desc,action})=>(
@@ -1286,7 +2280,7 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
               {DC_ROLLING_STOCK.map(s=>(
                 <div key={s.model} style={{display:"flex",alignItems:"center",gap:"1rem",padding:"0.6rem 0",borderBottom:"1px solid rgba(255,255,255,0.06)"}}>
                   <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:800,fontSize:"1.05rem",color:"#f0f0f4",minWidth:120}}>{s.model}</div>
-                  <div style={{fontSize:"0.82rem",color:"rgba(255,255,255,0.4)"}}>{s.builder} · {s.years}</div>
+                  <div style={{fontSize:"0.82rem",color:"rgba(255,255,255,0.4)"}}>{s.builder} · {s.years} · cars {s.ranges.map(([lo, hi]) => `${lo}–${hi}`).join(", ")}</div>
                   <div style={{marginLeft:"auto",fontSize:"0.75rem",color:"rgba(255,255,255,0.25)"}}>{s.notes}</div>
                 </div>
               ))}
@@ -1299,10 +2293,227 @@ function DCStatsPage({ visited, dcRides, setDCRides, setVisited }) {
 }
 
 /* ─────────────────────────────────────────────────────────────────
-   DC LOG STATIONS PAGE
+   DC TRIP EDITOR — opened from Trip History; keeps id and timestamp
 ───────────────────────────────────────────────────────────────── */
-const DC_CSS_GLOBAL = `
-  @import url('https://fonts.googleapis.com/css2?family=EB+Garamond:wght@400;500;600&family=IBM+Plex+Mono:wght@400;500&family=IBM+Plex+Sans:wght@300;400;500;600&family=Barlow+Condensed:wght@700;800;900&family=Barlow:wght@400;500;600&display=swap');
+function DCTripEditor({ trip, onSave, onCancel }) {
+  const [lineId, setLineId] = useState(trip.lineId);
+  const [boardStation, setBoardStation] = useState(trip.boardStation);
+  const [exitValue, setExitValue] = useState(`${trip.exitLineId || trip.lineId}::${trip.exitStation}`);
+  const [routeOverride, setRouteOverride] = useState(trip.transferInferred === false ? trip.transfers : null);
+  const [carNumber, setCarNumber] = useState(trip.trainNumber || "");
+  const [pickedModel, setPickedModel] = useState(trip.model || null);
+  const initialTime = toLocalInputValue(trip.timestamp);
+  const [time, setTime] = useState(initialTime);
+  const line = DC_LINES_DATA.find(l => l.id === lineId) || null;
+  const [exitLineId, ...exitRest] = exitValue.split("::");
+  const exitStation = exitRest.join("::");
+  const exitLine = DC_LINES_DATA.find(l => l.id === exitLineId) || null;
+  const valid = !!line && line.stations.includes(boardStation) && !!exitLine && exitLine.stations.includes(exitStation)
+    && !(exitLine.id === line.id && exitStation === boardStation) && !!fromLocalInputValue(time) && !isFutureRideTime(time)
+    && carNumberReady(carNumber, DC_ROLLING_STOCK, pickedModel);
+
+  function changeLine(id) { setLineId(id); setBoardStation(""); setExitValue(""); setRouteOverride(null); }
+  function save() {
+    onSave({ ...trip, trainNumber: undefined, model: undefined, ...buildDCTrip({ line, boardStation, exitStation, transfers: routeOverride }),
+      ...carNumberFields(carNumber, DC_ROLLING_STOCK, pickedModel), timestamp: time === initialTime ? trip.timestamp : fromLocalInputValue(time) });
+  }
+
+  return (
+    <RecordEditDialog title={`Edit trip · ${trip.boardStation} → ${trip.exitStation}`} subtitle={`Logged ${new Date(trip.timestamp).toLocaleString()}`}
+      accent="#BF0D3E" canSave={valid} onSave={save} onCancel={onCancel}>
+      <RideTimeField value={time} onChange={setTime}/>
+      <div>
+        <label style={labelStyle}>Line</label>
+        <select value={lineId} onChange={e => changeLine(e.target.value)} style={inputStyle}>
+          {DC_LINES_DATA.map(l => <option key={l.id} value={l.id}>{l.label} Line</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Boarded at</label>
+        <select value={boardStation} onChange={e => { setBoardStation(e.target.value); setRouteOverride(null); }} style={inputStyle}>
+          <option value="" disabled>Select station…</option>
+          {(line?.stations || []).map(st => <option key={st} value={st}>{st}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Exited at</label>
+        <select value={exitValue} onChange={e => { setExitValue(e.target.value); setRouteOverride(null); }} style={inputStyle}>
+          <option value="" disabled>Select station…</option>
+          {line && [line, ...DC_LINES_DATA.filter(l => l.id !== line.id)].map(l => (
+            <optgroup key={l.id} label={l.id === line.id ? `${l.label} Line` : `Transfer to ${l.label}`}>
+              {l.stations.filter(st => !(l.id === line.id && st === boardStation)).map(st => <option key={st} value={`${l.id}::${st}`}>{st}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+      {valid && <DCRoutePicker lineId={line.id} boardStation={boardStation} exitStation={exitStation} value={routeOverride} onChange={setRouteOverride} compact/>}
+      <CarNumberField value={carNumber} picked={pickedModel} rollingStock={DC_ROLLING_STOCK} accent="#BF0D3E"
+        onChange={(number, model) => { setCarNumber(number); setPickedModel(model); }}/>
+    </RecordEditDialog>
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   DC SYSTEM MAP — schematic of DC_LINES_DATA
+   Only termini, junctions and bends are placed by hand; the stations
+   between two anchors are spaced evenly along the straight run, so a
+   shared trunk lands on the same points for every line that uses it.
+   Lines sharing a segment are drawn side by side, offset from the centre.
+───────────────────────────────────────────────────────────────── */
+// [x, y, label dx, label dy, text-anchor]
+const DC_MAP_ANCHORS = {
+  "Shady Grove":            [260,  60,  10,   4, "start"],
+  "Glenmont":               [700,  40,  10,   4, "start"],
+  "Fort Totten":            [700, 220,  10,  12, "start"],
+  "Greenbelt":              [880, 100,  10,   4, "start"],
+  "Union Station":          [650, 400,  10,   4, "start"],
+  "Columbia Heights":       [560, 270, -10,   4, "end"],
+  "Gallery Pl–Chinatown":   [560, 430,  10,  14, "start"],
+  "Metro Center":           [480, 430,  -8,  16, "end"],
+  "L'Enfant Plaza":         [560, 520,  -8,  16, "end"],
+  "Stadium–Armory":         [780, 520,  10,   4, "start"],
+  "New Carrollton":         [900, 400,  10,  -4, "start"],
+  "Largo Town Center":      [920, 640,  10,  12, "start"],
+  "Branch Ave":             [760, 780,  10,   4, "start"],
+  "Rosslyn":                [300, 430,  -8,  16, "end"],
+  "East Falls Church":      [100, 330,  10,  -4, "start"],
+  "Vienna/Fairfax–GMU":     [ 30, 260,  -8,   4, "end"],
+  "Ashburn":                [100,  30,  10,   4, "start"],
+  "Pentagon":               [380, 560, -10,   4, "end"],
+  "Eisenhower Avenue":      [380, 780,  10,  -4, "start"],
+  "Franconia–Springfield":  [260, 800,   0,  16, "middle"],
+  "Huntington":             [440, 810,   0,  16, "middle"],
+};
+const DC_MAP_VIEWBOX = "-90 10 1080 830";
+
+function buildDCMapLayout() {
+  const pos = new Map(), lines = new Map(), segments = new Map();
+  Object.entries(DC_MAP_ANCHORS).forEach(([name, [x, y]]) => pos.set(name, { x, y }));
+  DC_LINES_DATA.forEach(line => {
+    const anchorIdx = line.stations.map((st, i) => DC_MAP_ANCHORS[st] ? i : -1).filter(i => i >= 0);
+    for (let k = 0; k < anchorIdx.length - 1; k++) {
+      const i = anchorIdx[k], j = anchorIdx[k + 1];
+      const a = pos.get(line.stations[i]), b = pos.get(line.stations[j]);
+      for (let m = i + 1; m < j; m++) {
+        if (pos.has(line.stations[m])) continue;
+        const t = (m - i) / (j - i);
+        pos.set(line.stations[m], { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+      }
+    }
+    line.stations.forEach(st => { if (!lines.has(st)) lines.set(st, []); lines.get(st).push(line.id); });
+    for (let i = 0; i < line.stations.length - 1; i++) {
+      const key = trackKey(line.stations[i], line.stations[i + 1]);
+      if (!segments.has(key)) segments.set(key, { a: line.stations[i], b: line.stations[i + 1], lines: [] });
+      segments.get(key).lines.push(line.id);
+    }
+  });
+  return { pos, lines, segments: [...segments.values()] };
+}
+const DC_MAP_LAYOUT = buildDCMapLayout();
+
+function DCSystemMap({ visited, onToggle, trips }) {
+  const [selected, setSelected] = useState(null);
+  const { pos, lines: stationLines, segments } = DC_MAP_LAYOUT;
+  const lineById = useMemo(() => Object.fromEntries(DC_LINES_DATA.map(l => [l.id, l])), []);
+  const ridden = useMemo(() => {
+    const set = new Set();
+    trips.forEach(t => (t.segments || tripSegments("dc", t)).forEach(({ lineId, stations }) => {
+      for (let i = 0; i < stations.length - 1; i++) set.add(`${trackKey(stations[i], stations[i + 1])}|${lineId}`);
+    }));
+    return set;
+  }, [trips]);
+  const isVisited = (name) => stationLines.get(name).some(id => visited.has(`${id}::${name}`));
+
+  // Tapping marks the station on every line that serves it, or clears it from all of them
+  function toggle(name) {
+    const keys = stationLines.get(name).map(id => `${id}::${name}`);
+    const on = isVisited(name);
+    onToggle(prev => { const next = new Set(prev); keys.forEach(k => on ? next.delete(k) : next.add(k)); return next; });
+    setSelected(name);
+  }
+
+  const spacing = 4.5;
+  const strokes = segments.flatMap(seg => {
+    let a = pos.get(seg.a), b = pos.get(seg.b);
+    if (b.x < a.x || (b.x === a.x && b.y < a.y)) [a, b] = [b, a];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const nx = -(b.y - a.y) / len, ny = (b.x - a.x) / len;
+    const ordered = DC_LINES_DATA.map(l => l.id).filter(id => seg.lines.includes(id));
+    return ordered.map((id, i) => {
+      const off = (i - (ordered.length - 1) / 2) * spacing;
+      return { key: `${trackKey(seg.a, seg.b)}|${id}`, color: lineById[id].color,
+        x1: a.x + nx * off, y1: a.y + ny * off, x2: b.x + nx * off, y2: b.y + ny * off };
+    });
+  });
+  const hasTrips = ridden.size > 0;
+  const names = [...pos.keys()];
+  const sel = selected && { name: selected, lines: stationLines.get(selected).map(id => lineById[id]), visited: isVisited(selected) };
+
+  return (
+    <div style={{position:"relative",zIndex:1,maxWidth:900,margin:"0 auto"}}>
+      <div style={{...cardStyle,padding:"1rem"}}>
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",flexWrap:"wrap",gap:"0.5rem",marginBottom:"0.75rem"}}>
+          <div style={{display:"flex",gap:"0.4rem",flexWrap:"wrap"}}>{DC_LINES_DATA.map(l => <DCLinePill key={l.id} line={l} size="sm"/>)}</div>
+          <div style={{fontSize:"0.72rem",color:"rgba(255,255,255,0.4)"}}>
+            {names.filter(isVisited).length}/{names.length} stations · tap a station to mark it
+          </div>
+        </div>
+        <div style={{overflowX:"auto"}}>
+          <svg viewBox={DC_MAP_VIEWBOX} style={{width:"100%",minWidth:640,display:"block"}}>
+            {strokes.map(s => {
+              const on = ridden.has(s.key);
+              return (
+                <g key={s.key}>
+                  {on && <line x1={s.x1} y1={s.y1} x2={s.x2} y2={s.y2} stroke={s.color} strokeWidth={9} strokeLinecap="round" opacity={0.3}/>}
+                  <motion.line x1={s.x1} y1={s.y1} x2={s.x2} y2={s.y2} stroke={s.color} strokeWidth={4} strokeLinecap="round"
+                    initial={false} animate={{opacity: !hasTrips || on ? 1 : 0.35}} transition={{duration:0.4}}/>
+                </g>
+              );
+            })}
+            {names.map(name => {
+              const { x, y } = pos.get(name);
+              const served = stationLines.get(name);
+              const transfer = served.length > 1;
+              const v = isVisited(name);
+              const color = transfer ? "#f0f0f4" : lineById[served[0]].color;
+              const label = DC_MAP_ANCHORS[name];
+              return (
+                <g key={name} onClick={() => toggle(name)} style={{cursor:"pointer"}}>
+                  <circle cx={x} cy={y} r={11} fill="transparent"/>
+                  <motion.circle cx={x} cy={y} r={transfer ? 6.5 : 4.2} stroke={color} strokeWidth={transfer ? 2.2 : 1.8}
+                    initial={false} animate={{fill: v ? color : "#111116", scale: selected === name ? 1.35 : 1}} transition={{duration:0.2}}/>
+                  {label && (
+                    <text x={x + label[2]} y={y + label[3]} textAnchor={label[4]} fontSize={10} fill={v ? "#f0f0f4" : "rgba(240,240,244,0.5)"}
+                      fontFamily="'Barlow Condensed',sans-serif" fontWeight={700} letterSpacing="0.02em" style={{pointerEvents:"none"}}>{name}</text>
+                  )}
+                  <title>{name}</title>
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",flexWrap:"wrap",gap:"0.5rem",marginTop:"0.75rem",minHeight:24}}>
+          {sel
+            ? <div style={{display:"flex",alignItems:"center",gap:"0.5rem",fontSize:"0.85rem"}}>
+                <strong>{sel.name}</strong>
+                {sel.lines.map(l => <DCLinePill key={l.id} line={l} size="sm"/>)}
+                <span style={{color:sel.visited?"#4ade80":"rgba(255,255,255,0.4)",fontSize:"0.78rem"}}>{sel.visited ? "✓ visited" : "not visited"}</span>
+              </div>
+            : <span/>}
+          <span style={{fontSize:"0.68rem",color:"rgba(255,255,255,0.3)",letterSpacing:"0.06em",textTransform:"uppercase"}}>
+            ● visited  ○ not yet{hasTrips ? "  ━ ridden on a logged trip" : ""}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   DC LOG STATIONS PAGE
+───────────────────────────────────────────────────────────────── */
+const DC_CSS_GLOBAL = `
+  @import url('https://fonts.googleapis.com/css2?family=EB+Garamond:wght@400;500;600&family=IBM+Plex+Mono:wght@400;500&family=IBM+Plex+Sans:wght@300;400;500;600&family=Barlow+Condensed:wght@700;800;900&family=Barlow:wght@400;500;600&display=swap');
   .dc-root{background:#111116;color:#f0f0f4;font-family:'Barlow',system-ui,sans-serif;min-height:100vh;}
   .dc-vault-bg{position:fixed;inset:0;pointer-events:none;z-index:0;background-image:repeating-linear-gradient(0deg,transparent,transparent 79px,rgba(255,255,255,0.018) 79px,rgba(255,255,255,0.018) 80px),repeating-linear-gradient(90deg,transparent,transparent 79px,rgba(255,255,255,0.018) 79px,rgba(255,255,255,0.018) 80px);}
   .dc-line-tab{padding:0.5rem 0.85rem;border:none;border-radius:0;font-family:'Barlow Condensed',sans-serif;font-size:0.85rem;font-weight:800;letter-spacing:0.06em;text-transform:uppercase;cursor:pointer;transition:all 0.18s;background:transparent;color:rgba(240,240,244,0.35);border-bottom:3px solid transparent;white-space:nowrap;flex-shrink:0;}
@@ -1613,6 +2824,11 @@ const PATH_ALL_STATIONS = [
   { name: "33rd Street",        lines: ["jsq-33", "hob-33"],              state: "NY" },
 ];
 
+const PATH_ROLLING_STOCK = [
+  { model: "PA-5", builder: "Bombardier / Kawasaki", years: "2010–2024", notes: "Current fleet · 422 cars", ranges: [[5001, 5422]] },
+  { model: "PA-4", builder: "Kinki Sharyo", years: "1984–1985", notes: "Retired", ranges: [[800, 894]] },
+];
+
 const PATH_CSS = `
   @import url('https://fonts.googleapis.com/css2?family=IBM+Plex+Mono:wght@400;500;600;700&family=IBM+Plex+Sans:wght@300;400;500;600;700&display=swap');
 
@@ -1803,27 +3019,29 @@ function PATHStyles() {
   return null;
 }
 
-/* PATH localStorage */
+/* PATH storage */
 const PATH_TRIPS_KEY = "path_trips_v1";
 const PATH_VISITED_KEY = "path_visited_v1";
 
-function loadPATHTrips() { try { const r = localStorage.getItem(PATH_TRIPS_KEY); return r ? JSON.parse(r) : []; } catch { return []; } }
-function savePATHTrips(t) { try { localStorage.setItem(PATH_TRIPS_KEY, JSON.stringify(t)); } catch {} }
+function loadPATHTrips() { return readStorageJSON(PATH_TRIPS_KEY) || []; }
+function savePATHTrips(t) { writeStorageJSON(PATH_TRIPS_KEY, t); }
 function usePATHTrips() {
   const [trips, setT] = useState(loadPATHTrips);
   const setTrips = React.useCallback((fn) => {
     setT(prev => { const next = typeof fn === "function" ? fn(prev) : fn; savePATHTrips(next); return next; });
   }, []);
+  useStorageKeySync(PATH_TRIPS_KEY, React.useCallback(v => setT(v || []), []));
   return [trips, setTrips];
 }
 
-function loadPATHVisited() { try { const r = localStorage.getItem(PATH_VISITED_KEY); return r ? new Set(JSON.parse(r)) : new Set(); } catch { return new Set(); } }
-function savePATHVisited(s) { try { localStorage.setItem(PATH_VISITED_KEY, JSON.stringify([...s])); } catch {} }
+function loadPATHVisited() { return new Set(readStorageJSON(PATH_VISITED_KEY) || []); }
+function savePATHVisited(s) { writeStorageJSON(PATH_VISITED_KEY, [...s]); }
 function usePATHVisited() {
   const [visited, setV] = useState(loadPATHVisited);
   const setVisited = React.useCallback((fn) => {
     setV(prev => { const next = typeof fn === "function" ? fn(prev) : fn; savePATHVisited(next); return next; });
   }, []);
+  useStorageKeySync(PATH_VISITED_KEY, React.useCallback(v => setV(new Set(v || [])), []));
   return [visited, setVisited];
 }
 
@@ -2045,6 +3263,23 @@ function PATHRouteMap({ visited }) {
   );
 }
 
+/* Transfer line is inferred: if the exit isn't on the board line, the first
+   other line serving it. Shared by PATHLiveRider and the trip editor. */
+function buildPATHTrip({ line, boardStation, exitStation }) {
+  const isOnBoardLine = line.stations.includes(exitStation);
+  const transferLine = isOnBoardLine ? null :
+    PATH_LINES_DATA.find(l => l.id !== line.id && l.stations.includes(exitStation)) || null;
+  return {
+    lineId: line.id, lineLabel: line.label,
+    lineColor: line.color, lineTextColor: line.textColor,
+    boardStation, exitStation,
+    transferLineId: transferLine?.id || null,
+    transferLineLabel: transferLine?.label || null,
+    transferLineColor: transferLine?.color || null,
+    segments: tripSegments("path", { lineId: line.id, transferLineId: transferLine?.id, boardStation, exitStation }),
+  };
+}
+
 /* ─────────────────────────────────────────────────────────────────
    PATH LIVE RIDER — step-based: line → board → exit
 ───────────────────────────────────────────────────────────────── */
@@ -2054,9 +3289,15 @@ function PATHLiveRider({ trips, setTrips, visited, setVisited }) {
   const [boardStation, setBoardStation] = useState(null);
   const [exitStation, setExitStation] = useState(null);
   const [lastTrip, setLastTrip] = useState(null);
+  const [rideTime, setRideTime] = useState("");
+  const [carNumber, setCarNumber] = useState("");
+  const [pickedModel, setPickedModel] = useState(null);
 
-  function reset() { setStep(1); setSelectedLine(null); setBoardStation(null); setExitStation(null); }
-  function handleSelectLine(line) { setSelectedLine(line); setBoardStation(null); setExitStation(null); setStep(2); }
+  function reset() { setStep(1); setSelectedLine(null); setBoardStation(null); setExitStation(null); setRideTime(""); setCarNumber(""); setPickedModel(null); }
+  function handleSelectLine(line) {
+    const from = nextLegBoardStation(readNextLeg(), "path", line.stations);
+    setSelectedLine(line); setBoardStation(from); setExitStation(null); setStep(from ? 3 : 2);
+  }
   function handleSelectBoard(st) { setBoardStation(st); setExitStation(null); setStep(3); }
   function handleSelectExit(st) { setExitStation(st); }
 
@@ -2071,38 +3312,31 @@ function PATHLiveRider({ trips, setTrips, visited, setVisited }) {
 
   function handleLog() {
     if (!selectedLine || !boardStation || !exitStation) return;
-    const isOnBoardLine = selectedLine.stations.includes(exitStation);
-    const transferLine = isOnBoardLine ? null :
-      PATH_LINES_DATA.find(l => l.id !== selectedLine.id && l.stations.includes(exitStation)) || null;
-    const trip = {
+    const trip = joinPendingJourney({
       id: crypto.randomUUID(),
-      lineId: selectedLine.id, lineLabel: selectedLine.label,
-      lineColor: selectedLine.color, lineTextColor: selectedLine.textColor,
-      boardStation, exitStation,
-      transferLineId: transferLine?.id || null,
-      transferLineLabel: transferLine?.label || null,
-      transferLineColor: transferLine?.color || null,
-      timestamp: new Date().toISOString(),
-    };
-    setTrips(prev => [...prev, trip]);
-    setVisited(prev => {
-      const next = new Set(prev);
-      next.add(boardStation);
-      next.add(exitStation);
-      return next;
+      ...buildPATHTrip({ line: selectedLine, boardStation, exitStation }),
+      ...carNumberFields(carNumber, PATH_ROLLING_STOCK, pickedModel),
+      timestamp: rideTimestamp(rideTime),
     });
+    setTrips(prev => [...prev, trip]);
+    setVisited(prev => new Set([...prev, ...recordVisitedKeys("path", trip)]));
     setLastTrip(trip);
     reset();
   }
 
-  const canLog = selectedLine && boardStation && exitStation;
+  const canLog = selectedLine && boardStation && exitStation && !isFutureRideTime(rideTime)
+    && carNumberReady(carNumber, PATH_ROLLING_STOCK, pickedModel);
   const stepLabels = ["Line", "Board", "Exit"];
 
   const stepColor = selectedLine?.color || PATH_BRAND_BLUE;
   const stepTextColor = selectedLine?.textColor || "#fff";
+  const achievementCtx = useMemo(() => ({ records: trips, visited }), [trips, visited]);
+  const [unlocked, dismissUnlocked] = useAchievementUnlocks("path", achievementCtx);
 
   return (
     <div style={{maxWidth:580,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      <AchievementToast unlocked={unlocked} onDone={dismissUnlocked}/>
+      <NextLegBanner system="path" accent="#0082C6" muted="rgba(214,224,245,0.5)"/>
 
       {/* Step indicator */}
       <div style={{display:"flex",alignItems:"center",marginBottom:"2rem",gap:0}}>
@@ -2308,6 +3542,13 @@ function PATHLiveRider({ trips, setTrips, visited, setVisited }) {
               ))}
             </div>
 
+            <CarNumberField value={carNumber} picked={pickedModel} rollingStock={PATH_ROLLING_STOCK} accent="#0082C6" muted="rgba(214,224,245,0.4)"
+              labelStyle={{display:"block",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.62rem",letterSpacing:"0.14em",textTransform:"uppercase",
+                color:"rgba(214,224,245,0.4)",marginBottom:"0.4rem"}}
+              fieldStyle={{width:"100%",boxSizing:"border-box",padding:"0.6rem 0.8rem",background:"rgba(0,16,58,0.6)",border:"1px solid rgba(0,71,187,0.35)",
+                borderRadius:2,color:"#D6E0F5",fontFamily:"'IBM Plex Mono',monospace",outline:"none"}}
+              onChange={(number, model) => { setCarNumber(number); setPickedModel(model); }} style={{marginBottom:"1rem"}}/>
+            <RideTimePicker value={rideTime} onChange={setRideTime} accent="#0082C6" style={{marginBottom:"1rem"}}/>
             <motion.button className="path-log-btn" onClick={handleLog} disabled={!canLog}
               whileTap={canLog?{scale:0.98}:{}}
               style={{
@@ -2343,7 +3584,9 @@ function PATHLiveRider({ trips, setTrips, visited, setVisited }) {
                 {lastTrip.transferLineLabel && (
                   <span style={{color:"rgba(214,224,245,0.35)"}}> · via {lastTrip.transferLineLabel}</span>
                 )}
+                {lastTrip.trainNumber && <span style={{color:"rgba(214,224,245,0.35)"}}> · car #{lastTrip.trainNumber} ({lastTrip.model})</span>}
               </div>
+              <NextLegButton system="path" record={lastTrip} accent="#4ade80" onStarted={journeyId => setLastTrip(t => ({ ...t, journeyId }))}/>
             </div>
           </motion.div>
         )}
@@ -2378,6 +3621,8 @@ const pathSmallBtnBase = {
 ───────────────────────────────────────────────────────────────── */
 function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
   const [tab, setTab] = useState("overview");
+  const search = useHistorySearch("path", trips);
+  const achievementCtx = useMemo(() => ({ records: trips, visited }), [trips, visited]);
 
   const visitedCount = visited.size;
   const totalStations = PATH_ALL_STATIONS.length;
@@ -2386,27 +3631,56 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
     trips.forEach(t => { c[t.lineId] = (c[t.lineId]||0)+1; });
     return c;
   }, [trips]);
+  const track = useMemo(() => trackCoverage("path", trips), [trips]);
 
-  function deleteTrip(id) { setTrips(prev => prev.filter(t => t.id !== id)); }
-  function clearTrips() { if (confirm("Delete all PATH trips?")) setTrips([]); }
+  const [editing, setEditing] = useState(null);
+  function deleteTrip(id) {
+    const trip = trips.find(t => t.id === id);
+    pushUndo("path", `Deleted trip · ${trip?.boardStation} → ${trip?.exitStation}`, [recordsChange(PATH_TRIPS_KEY, trips, trips.filter(t => t.id !== id))]);
+    setTrips(prev => prev.filter(t => t.id !== id));
+  }
+  function saveEdit(updated) {
+    setTrips(prev => prev.map(t => t.id === updated.id ? updated : t));
+    setVisited(prev => updateVisitedForEdit(prev, "path", updated));
+    setEditing(null);
+  }
+  function clearTrips() {
+    if (!confirm("Delete all PATH trips?")) return;
+    pushUndo("path", `Cleared ${trips.length} trips`, [recordsChange(PATH_TRIPS_KEY, trips, [])]);
+    setTrips([]);
+  }
   function exportData() {
-    const blob = new Blob([JSON.stringify({trips,visited:[...visited]},null,2)],{type:"application/json"});
+    const blob = new Blob([JSON.stringify(buildExport("path",trips,visited),null,2)],{type:"application/json"});
     const url=URL.createObjectURL(blob);const a=document.createElement("a");
     a.href=url;a.download=`path-data-${new Date().toISOString().slice(0,10)}.json`;a.click();URL.revokeObjectURL(url);
   }
+  function exportCSV() { downloadCSV("path", trips, `path-trips-${new Date().toISOString().slice(0,10)}.csv`); }
+  const [pendingImport, setPendingImport] = useState(null);
   function importData(e) {
     const file=e.target.files?.[0];if(!file)return;
+    e.target.value="";
     const reader=new FileReader();
     reader.onload=()=>{
       try{
-        const p=JSON.parse(String(reader.result));
-        if(p.trips&&Array.isArray(p.trips))setTrips(p.trips);
-        if(p.visited&&Array.isArray(p.visited))setVisited(new Set(p.visited));
-        alert("Import successful!");
-      }catch(err){alert("Error: "+err.message);}
+        const text=String(reader.result);
+        setPendingImport(isCSVFile(file)?readCSVImport("path",text):readImportFile("path",JSON.parse(text)));
+      }catch(err){alert("Import failed: "+err.message);}
     };reader.readAsText(file);
   }
-  function clearVisited() { if(confirm("Clear all visited stations?")) setVisited(new Set()); }
+  function applyImport({ mode, records, report }) {
+    const nextVisited = mode === "replace" ? new Set(pendingImport.visited) : new Set([...visited, ...pendingImport.visited]);
+    pushUndo("path", mode === "replace" ? "Replaced trip history from file" : "Imported trips from file",
+      [recordsChange(PATH_TRIPS_KEY, trips, records), setChange(PATH_VISITED_KEY, visited, nextVisited)]);
+    setTrips(records);
+    setVisited(nextVisited);
+    setPendingImport(null);
+    alert(describeImportReport(report, "trip"));
+  }
+  function clearVisited() {
+    if(!confirm("Clear all visited stations?")) return;
+    pushUndo("path", `Cleared ${visited.size} visited stations`, [setChange(PATH_VISITED_KEY, visited, new Set())]);
+    setVisited(new Set());
+  }
 
   const activeTab = (k) => ({
     background: tab===k ? PATH_BRAND_BLUE : "transparent",
@@ -2416,6 +3690,13 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
 
   return (
     <div style={{maxWidth:900,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      {editing && <PATHTripEditor trip={editing} onSave={saveEdit} onCancel={() => setEditing(null)}/>}
+      {pendingImport && (
+        <ImportMergeDialog title="Import PATH trips" noun="trip" current={trips} incoming={pendingImport.records} rejected={pendingImport.rejected}
+          fingerprint={RIDE_FINGERPRINTS.path} accent="#0082C6" onApply={applyImport} onCancel={() => setPendingImport(null)}
+          describe={t => `${t.lineLabel} · ${t.boardStation} → ${t.exitStation} · ${new Date(t.timestamp).toLocaleString()}`}
+          extra={mode => `${pendingImport.visited.length} visited stations in file · ${mode === "replace" ? "replaces" : "added to"} this device's ${visited.size}`}/>
+      )}
       {/* Sub-tabs */}
       <div style={{display:"flex",gap:"0.2rem",background:"rgba(0,16,58,0.7)",
         border:"1px solid rgba(0,71,187,0.3)",borderRadius:2,padding:"0.2rem",
@@ -2436,6 +3717,7 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
             {[
               {label:"Total Trips",   value:trips.length,                                  color:"#DA291C"},
               {label:"Stations Visited", value:`${visitedCount}/${totalStations}`,          color:"#0082C6"},
+              {label:"Track Ridden",  value:`${track.pct}%`,                                color:"#D6E0F5"},
               {label:"Transfers",     value:trips.filter(t=>t.transferLineId).length,       color:"#00953A"},
               {label:"Lines Used",    value:Object.keys(lineTrips).length+"/"+PATH_LINES_DATA.length, color:"#F5C518"},
             ].map(({label,value,color})=>(
@@ -2448,6 +3730,16 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
             ))}
           </div>
 
+          <RidingPatterns records={trips} noun="trip" accent="#0082C6" cardProps={{className:"path-card"}} muted="rgba(214,224,245,0.4)"
+            headStyle={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.72rem",letterSpacing:"0.12em",
+              textTransform:"uppercase",color:"rgba(214,224,245,0.4)",marginBottom:"1rem"}}/>
+          <JourneyStats system="path" accent="#0082C6" cardProps={{className:"path-card"}} muted="rgba(214,224,245,0.4)"
+            headStyle={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.72rem",letterSpacing:"0.12em",
+              textTransform:"uppercase",color:"rgba(214,224,245,0.4)",marginBottom:"1rem"}}/>
+          <ModelProgress records={trips} rollingStock={PATH_ROLLING_STOCK} noun="trip" accent="#0082C6" cardProps={{className:"path-card"}} muted="rgba(214,224,245,0.4)"
+            headStyle={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.72rem",letterSpacing:"0.12em",
+              textTransform:"uppercase",color:"rgba(214,224,245,0.4)",marginBottom:"0.5rem"}}/>
+
           {/* Line coverage bars */}
           <div className="path-card">
             <div style={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.72rem",
@@ -2467,7 +3759,10 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
                           fontSize:"0.88rem",color:"#D6E0F5"}}>{line.label}</span>
                       </div>
                       <span style={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.82rem",
-                        color:count>0?lineColor:"rgba(214,224,245,0.2)"}}>{count} trip{count!==1?"s":""}</span>
+                        color:count>0?lineColor:"rgba(214,224,245,0.2)"}}>
+                        {count} trip{count!==1?"s":""}
+                        <span style={{fontWeight:400,color:"rgba(214,224,245,0.35)"}}> · {track.perLine[line.id].ridden}/{track.perLine[line.id].total} track</span>
+                      </span>
                     </div>
                     <div className="path-bar-track">
                       <motion.div initial={{width:0}}
@@ -2532,6 +3827,10 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
               })}
             </div>
           </div>
+
+          <AchievementGallery system="path" ctx={achievementCtx} accent="#0082C6" cardProps={{className:"path-card"}} muted="rgba(214,224,245,0.4)"
+            headStyle={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.72rem",letterSpacing:"0.12em",
+              textTransform:"uppercase",color:"rgba(214,224,245,0.4)",marginBottom:"1rem"}}/>
         </div>
       )}
 
@@ -2607,6 +3906,7 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
             </span>
             <div style={{display:"flex",gap:"0.5rem"}}>
               <button onClick={exportData} style={pathSmallBtnBase}>⬇ Export</button>
+              <button onClick={exportCSV} style={pathSmallBtnBase}>⬇ CSV</button>
               <button onClick={clearTrips}
                 style={{...pathSmallBtnBase,borderColor:"rgba(218,41,28,0.45)",color:"rgba(255,120,100,0.8)"}}>🗑 Clear</button>
             </div>
@@ -2616,12 +3916,15 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
               fontSize:"0.72rem",color:"rgba(214,224,245,0.18)",letterSpacing:"0.1em",textTransform:"uppercase"}}>
               No trips logged yet
             </div>
-          ) : (
+          ) : (<>
+            <HistorySearchBar system="path" search={search} total={trips.length} noun="trip" buttonStyle={pathSmallBtnBase} mutedColor="rgba(214,224,245,0.35)"
+              inputStyle={{width:"100%",boxSizing:"border-box",padding:"0.6rem 0.8rem",background:"rgba(0,16,58,0.6)",border:"1px solid rgba(0,71,187,0.35)",
+                borderRadius:2,color:"#D6E0F5",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.78rem",outline:"none"}}/>
             <div style={{overflowX:"auto",borderRadius:2,border:"1px solid rgba(0,71,187,0.25)"}}>
               <table style={{width:"100%",borderCollapse:"collapse",fontSize:"0.85rem"}}>
                 <thead>
                   <tr style={{background:"rgba(0,16,58,0.8)"}}>
-                    {["Date / Time","Line","Boarded","Exited","Xfer",""].map(h=>(
+                    {["Date / Time","Line","Boarded","Exited","Xfer","Car",""].map(h=>(
                       <th key={h} style={{padding:"0.6rem 0.8rem",textAlign:"left",
                         fontFamily:"'IBM Plex Mono',monospace",fontWeight:600,fontSize:"0.62rem",
                         letterSpacing:"0.1em",textTransform:"uppercase",color:"rgba(214,224,245,0.3)",
@@ -2630,7 +3933,11 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
                   </tr>
                 </thead>
                 <tbody>
-                  {[...trips].reverse().map((t,i)=>{
+                  {search.results.length === 0 && (
+                    <tr><td colSpan={7} style={{padding:"2rem",textAlign:"center",fontFamily:"'IBM Plex Mono',monospace",
+                      fontSize:"0.72rem",color:"rgba(214,224,245,0.25)",letterSpacing:"0.1em",textTransform:"uppercase"}}>No trips match</td></tr>
+                  )}
+                  {sortByRideTime(search.results).map((t,i)=>{
                     const line = PATH_LINES_DATA.find(l=>l.id===t.lineId)||PATH_LINES_DATA[0];
                     return(
                       <tr key={t.id} style={{
@@ -2652,7 +3959,13 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
                             <PATHLineBadge line={PATH_LINES_DATA.find(l=>l.id===t.transferLineId)||PATH_LINES_DATA[0]} size="sm"/>
                           ) : <span style={{color:"rgba(214,224,245,0.2)",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.7rem"}}>—</span>}
                         </td>
-                        <td style={{padding:"0.55rem 0.8rem"}}>
+                        <td style={{padding:"0.55rem 0.8rem",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.72rem",whiteSpace:"nowrap",
+                          color:t.trainNumber?"#D6E0F5":"rgba(214,224,245,0.2)"}}>
+                          {t.trainNumber ? <>#{t.trainNumber} <span style={{color:"rgba(214,224,245,0.4)"}}>{t.model}</span></> : "—"}
+                        </td>
+                        <td style={{padding:"0.55rem 0.8rem",whiteSpace:"nowrap"}}>
+                          <button onClick={()=>setEditing(t)} title="Edit trip"
+                            style={{...pathSmallBtnBase,padding:"0.22rem 0.45rem",fontSize:"0.68rem",marginRight:"0.3rem"}}>✎</button>
                           <button onClick={()=>deleteTrip(t.id)}
                             style={{...pathSmallBtnBase,borderColor:"rgba(218,41,28,0.45)",color:"rgba(255,120,100,0.8)",
                               padding:"0.22rem 0.45rem",fontSize:"0.68rem"}}>✕</button>
@@ -2663,7 +3976,7 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
                 </tbody>
               </table>
             </div>
-          )}
+          </>)}
         </div>
       )}
 
@@ -2673,9 +3986,11 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
           {[
             {title:"Export Data",desc:`${trips.length} trips and ${visited.size} station visits → JSON`,
               action:<button onClick={exportData} style={pathSmallBtnBase}>⬇ Export</button>},
-            {title:"Import Data",desc:"Restore from a previously exported JSON file",
+            {title:"Export CSV",desc:"Trips as a spreadsheet: timestamp, line, board, exit, transfer line",
+              action:<button onClick={exportCSV} style={pathSmallBtnBase}>⬇ CSV</button>},
+            {title:"Import Data",desc:"Restore from a previously exported JSON or CSV file",
               action:<label style={{...pathSmallBtnBase,cursor:"pointer"}}>⬆ Import
-                <input type="file" accept="application/json" style={{display:"none"}} onChange={importData}/>
+                <input type="file" accept="application/json,.csv,text/csv" style={{display:"none"}} onChange={importData}/>
               </label>},
             {title:"Clear Trip History",desc:"Permanently delete all logged trips",
               action:<button onClick={clearTrips}
@@ -2701,14 +4016,11 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
               letterSpacing:"0.12em",textTransform:"uppercase",color:"rgba(214,224,245,0.4)",marginBottom:"0.85rem"}}>
               Rolling Stock
             </div>
-            {[
-              {car:"PA-5",builder:"Bombardier / Kawasaki",years:"2010–2024",notes:"Current fleet · 422 cars"},
-              {car:"PA-4",builder:"Kinki Sharyo",years:"1984–1985",notes:"Retired"},
-            ].map(s=>(
-              <div key={s.car} style={{display:"flex",alignItems:"center",gap:"1rem",
+            {PATH_ROLLING_STOCK.map(s=>(
+              <div key={s.model} style={{display:"flex",alignItems:"center",gap:"1rem",
                 padding:"0.6rem 0",borderBottom:"1px solid rgba(0,71,187,0.15)"}}>
                 <div style={{fontFamily:"'IBM Plex Mono',monospace",fontWeight:700,fontSize:"0.88rem",
-                  color:"#D6E0F5",minWidth:50}}>{s.car}</div>
+                  color:"#D6E0F5",minWidth:50}}>{s.model}</div>
                 <div style={{fontFamily:"'IBM Plex Sans',sans-serif",fontSize:"0.8rem",
                   color:"rgba(214,224,245,0.4)"}}>{s.builder} · {s.years}</div>
                 <div style={{marginLeft:"auto",fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.66rem",
@@ -2717,7 +4029,7 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
             ))}
             <div style={{marginTop:"0.75rem",fontFamily:"'IBM Plex Sans',sans-serif",fontSize:"0.72rem",
               color:"rgba(214,224,245,0.2)",lineHeight:1.5}}>
-              PA-5 car numbers run from 5001–5422. Car-level tracking not supported for PATH.
+              PA-5 car numbers run from 5001–5422, PA-4 from 800–894. Enter the number from inside the car when logging a trip to track models.
             </div>
           </div>
         </div>
@@ -2726,6 +4038,66 @@ function PATHStatsPage({ trips, setTrips, visited, setVisited }) {
   );
 }
 
+/* ─────────────────────────────────────────────────────────────────
+   PATH TRIP EDITOR — opened from Trip History; transfer is re-inferred
+───────────────────────────────────────────────────────────────── */
+function PATHTripEditor({ trip, onSave, onCancel }) {
+  const [lineId, setLineId] = useState(trip.lineId);
+  const [boardStation, setBoardStation] = useState(trip.boardStation);
+  const [exitStation, setExitStation] = useState(trip.exitStation);
+  const [carNumber, setCarNumber] = useState(trip.trainNumber || "");
+  const [pickedModel, setPickedModel] = useState(trip.model || null);
+  const initialTime = toLocalInputValue(trip.timestamp);
+  const [time, setTime] = useState(initialTime);
+  const line = PATH_LINES_DATA.find(l => l.id === lineId) || null;
+  const valid = !!line && line.stations.includes(boardStation) && isPATHStation(exitStation) && exitStation !== boardStation
+    && !!fromLocalInputValue(time) && !isFutureRideTime(time) && carNumberReady(carNumber, PATH_ROLLING_STOCK, pickedModel);
+  const preview = valid ? buildPATHTrip({ line, boardStation, exitStation }) : null;
+
+  function changeLine(id) { setLineId(id); setBoardStation(""); setExitStation(""); }
+
+  return (
+    <RecordEditDialog title={`Edit trip · ${trip.boardStation} → ${trip.exitStation}`} subtitle={`Logged ${new Date(trip.timestamp).toLocaleString()}`}
+      accent="#0082C6" canSave={valid} onCancel={onCancel}
+      onSave={() => onSave({ ...trip, trainNumber: undefined, model: undefined, ...preview, ...carNumberFields(carNumber, PATH_ROLLING_STOCK, pickedModel),
+        timestamp: time === initialTime ? trip.timestamp : fromLocalInputValue(time) })}>
+      <RideTimeField value={time} onChange={setTime}/>
+      <div>
+        <label style={labelStyle}>Line</label>
+        <select value={lineId} onChange={e => changeLine(e.target.value)} style={inputStyle}>
+          {PATH_LINES_DATA.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Boarded at</label>
+        <select value={boardStation} onChange={e => setBoardStation(e.target.value)} style={inputStyle}>
+          <option value="" disabled>Select station…</option>
+          {(line?.stations || []).map(st => <option key={st} value={st}>{st}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Exited at</label>
+        <select value={exitStation} onChange={e => setExitStation(e.target.value)} style={inputStyle}>
+          <option value="" disabled>Select station…</option>
+          {line && [line, ...PATH_LINES_DATA.filter(l => l.id !== line.id)].map(l => {
+            const stations = l.id === line.id ? l.stations : l.stations.filter(st => !line.stations.includes(st));
+            return stations.length > 0 && (
+              <optgroup key={l.id} label={l.id === line.id ? l.label : `Transfer to ${l.label}`}>
+                {stations.filter(st => st !== boardStation).map(st => <option key={st} value={st}>{st}</option>)}
+              </optgroup>
+            );
+          })}
+        </select>
+        {preview?.transferLineLabel && (
+          <div style={{fontSize:"0.78rem",color:"rgba(255,255,255,0.45)",marginTop:"0.4rem"}}>Transfer to {preview.transferLineLabel}</div>
+        )}
+      </div>
+      <CarNumberField value={carNumber} picked={pickedModel} rollingStock={PATH_ROLLING_STOCK} accent="#0082C6"
+        onChange={(number, model) => { setCarNumber(number); setPickedModel(model); }}/>
+    </RecordEditDialog>
+  );
+}
+
 /* ─────────────────────────────────────────────────────────────────
    PATH APP SHELL
 ───────────────────────────────────────────────────────────────── */
@@ -2836,35 +4208,3049 @@ function PATHApp({ onSwitchSystem }) {
   );
 }
 
-/* ─────────────────────────────────────────────────────────────────
-   ROOT APP
-───────────────────────────────────────────────────────────────── */
-export default function App() {
-  const [system, setSystem] = useState(() => readSystemCookie());
+/* ═══════════════════════════════════════════════════════════════════
+   SYSTEM DEFINITIONS — extra systems described by a data file
+   Every src/systems/*.json is one system. It gets the generic tracker
+   (Live Rider, Stats, history) and storage under its own sys_ keys, and
+   the search, CSV, undo, journey, backup and dashboard tables each build
+   an entry for it from SYSTEM_DEFINITIONS. NYC, WMATA and PATH keep their
+   own screens: the format has no room yet for their route maps, NYC's
+   fleet editing or WMATA's multi-transfer routing.
+   The format is documented in the readme; a file that fails
+   validateSystemDefinition() is skipped with a console warning.
+═══════════════════════════════════════════════════════════════════ */
+const SYSTEM_DEFINITION_FORMAT = "haveiridden-system";
+const SYSTEM_DEFINITION_VERSION = 1;
+const BUILT_IN_SYSTEMS = ["nyc", "dc", "path", "all"];
+const LOGGING_MODES = ["board-exit", "car-number"];
+
+/* → list of problems; empty when the definition can be loaded. */
+function validateSystemDefinition(def, takenIds = BUILT_IN_SYSTEMS) {
+  if (!def || typeof def !== "object") return ["not a JSON object"];
+  const errors = [];
+  const isText = (v) => typeof v === "string" && v.trim() !== "";
+  if (def.format !== SYSTEM_DEFINITION_FORMAT) errors.push(`format must be "${SYSTEM_DEFINITION_FORMAT}"`);
+  if (def.version !== SYSTEM_DEFINITION_VERSION) errors.push(`version must be ${SYSTEM_DEFINITION_VERSION}`);
+  if (!/^[a-z][a-z0-9-]*$/.test(def.id || "")) errors.push("id must be lowercase letters, digits and dashes");
+  else if (takenIds.includes(def.id)) errors.push(`id "${def.id}" is already in use`);
+  if (!isText(def.name)) errors.push("name is missing");
+  if (!LOGGING_MODES.includes(def.logging)) errors.push(`logging must be one of ${LOGGING_MODES.join(", ")}`);
+  if (!Array.isArray(def.lines) || !def.lines.length) return [...errors, "lines must be a non-empty list"];
+  const lineIds = new Set();
+  def.lines.forEach((l, i) => {
+    const name = `line ${l?.id || i + 1}`;
+    if (!isText(l?.id)) errors.push(`line ${i + 1} has no id`);
+    else if (lineIds.has(l.id)) errors.push(`line id "${l.id}" is used twice`);
+    lineIds.add(l?.id);
+    if (!isText(l?.label)) errors.push(`${name} has no label`);
+    if (!/^#[0-9a-f]{3,8}$/i.test(l?.color || "")) errors.push(`${name} color must be a hex colour`);
+    const stations = l?.stations ?? [];
+    if (!Array.isArray(stations) || !stations.every(isText)) { errors.push(`${name} stations must be a list of names`); return; }
+    if (new Set(stations).size !== stations.length) errors.push(`${name} lists a station twice`);
+    if (def.logging === "board-exit" && stations.length < 2) errors.push(`${name} needs at least two stations to log trips`);
+  });
+  const stock = def.rollingStock ?? [];
+  if (!Array.isArray(stock)) errors.push("rollingStock must be a list");
+  else {
+    stock.forEach((m, i) => {
+      if (!isText(m?.model)) errors.push(`rolling stock ${i + 1} has no model`);
+      const ranges = m?.ranges;
+      if (!Array.isArray(ranges) || !ranges.length || !ranges.every(r => Array.isArray(r) && r.length === 2 && r.every(Number.isInteger) && r[0] <= r[1])) {
+        errors.push(`${m?.model || `rolling stock ${i + 1}`} ranges must be [low, high] whole-number pairs`);
+      }
+    });
+    if (def.logging === "car-number" && !stock.length) errors.push("car-number logging needs rollingStock");
+  }
+  return errors;
+}
 
-  function handleSelectSystem(id) { writeSystemCookie(id); setSystem(id); }
-  function handleSwitchSystem() {
-    document.cookie = `${SYSTEM_COOKIE}=; Max-Age=0; Path=/`;
-    setSystem(null);
+function normalizeSystemDefinition(def) {
+  return {
+    ...def,
+    shortName: def.shortName || def.name,
+    description: def.description || `Log ${def.logging === "car-number" ? "rides" : "trips"} on ${def.name}.`,
+    noun: def.noun || (def.logging === "car-number" ? "ride" : "trip"),
+    accent: def.accent || def.lines[0].color,
+    lines: def.lines.map(l => ({ ...l, textColor: l.textColor || "#fff", stations: l.stations || [] })),
+    rollingStock: def.rollingStock || [],
+  };
+}
+
+const SYSTEM_DEFINITIONS = Object.entries(import.meta.glob("./systems/*.json", { eager: true, import: "default" }))
+  .reduce((loaded, [path, def]) => {
+    const errors = validateSystemDefinition(def, [...BUILT_IN_SYSTEMS, ...loaded.map(d => d.id)]);
+    if (errors.length) console.warn(`[HaveIRidden] Skipping ${path}: ${errors.join("; ")}`);
+    else loaded.push(normalizeSystemDefinition(def));
+    return loaded;
+  }, []);
+
+function systemDefinition(id) { return SYSTEM_DEFINITIONS.find(d => d.id === id) || null; }
+function isKnownSystem(id) { return BUILT_IN_SYSTEMS.includes(id) || !!systemDefinition(id); }
+// Prefixed so an id like "wmata" can't land on a built-in system's keys
+const genericKeys = (def) => ({ records: `sys_${def.id}_rides_v1`, visited: `sys_${def.id}_visited_v1` });
+const GENERIC_STORAGE_KEYS = SYSTEM_DEFINITIONS.flatMap(def => Object.values(genericKeys(def)));
+/* { [id]: fn(def) } for every definition, to spread into a per-system table. */
+const definedSystems = (fn) => Object.fromEntries(SYSTEM_DEFINITIONS.map(def => [def.id, fn(def)]));
+
+/* ═══════════════════════════════════════════════════════════════════
+   RIDE STORAGE — IndexedDB behind an in-memory cache
+   Rides, trips and visited sets live in IndexedDB, which has far more room
+   than localStorage. initStore() loads them into memory before any system
+   mounts, so the load/save helpers above stay synchronous; writes go to
+   IndexedDB in the background and failures reach StorageErrorBanner.
+   Other keys (datasets, caches, schema version) stay in localStorage.
+═══════════════════════════════════════════════════════════════════ */
+const STORE_DB_NAME = "haveiridden";
+const STORE_NAME = "kv";
+const UNDO_KEY = "haveiridden_undo_v1";
+const STORE_KEYS = new Set([RIDES_KEY, NYC_VISITED_KEY, DC_RIDES_KEY, DC_VISITED_KEY, PATH_TRIPS_KEY, PATH_VISITED_KEY, UNDO_KEY, ...GENERIC_STORAGE_KEYS]);
+
+const storeCache = new Map();
+let storeDB = null;
+const storageErrorListeners = new Set();
+const storageKeyListeners = new Map();
+
+function openStoreDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+    const req = indexedDB.open(STORE_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB is blocked by another tab"));
+  });
+}
+
+function idbGet(db, key) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbPut(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, "readwrite");
+    if (value == null) tx.objectStore(STORE_NAME).delete(key);
+    else tx.objectStore(STORE_NAME).put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function readLocalJSON(key) {
+  try { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : null; } catch { return null; }
+}
+
+/* Opens the database, moves any localStorage copies of STORE_KEYS into it
+   (once — the localStorage key is removed after a successful write) and fills
+   the cache. Falls back to localStorage if IndexedDB can't be opened. */
+async function initStore() {
+  try {
+    const db = await openStoreDB();
+    for (const key of STORE_KEYS) {
+      let value = await idbGet(db, key);
+      if (value === undefined) {
+        const legacy = readLocalJSON(key);
+        if (legacy != null) {
+          await idbPut(db, key, legacy);
+          localStorage.removeItem(key);
+          console.log(`[HaveIRidden] Moved ${key} from localStorage to IndexedDB`);
+        }
+        value = legacy;
+      }
+      storeCache.set(key, value ?? null);
+    }
+    storeDB = db;
+    navigator.storage?.persist?.().catch(() => {});
+  } catch (e) {
+    fallBackToLocalStorage(e);
   }
+}
+
+/* Keys already loaded from IndexedDB keep their values; the rest are read
+   from localStorage, and writes go there from now on. */
+function fallBackToLocalStorage(e) {
+  console.warn("[HaveIRidden] Falling back to localStorage:", e);
+  storeDB = null;
+  STORE_KEYS.forEach(key => { if (!storeCache.has(key)) storeCache.set(key, readLocalJSON(key)); });
+  reportStorageError(null, e, "IndexedDB isn't available in this browser, so rides are kept in localStorage, which fills up much sooner.");
+}
+
+function readStorageJSON(key) {
+  return STORE_KEYS.has(key) ? storeCache.get(key) ?? null : readLocalJSON(key);
+}
+
+/* Writing null removes the key. */
+function writeStorageJSON(key, value) {
+  const writeLocal = () => {
+    try {
+      if (value == null) localStorage.removeItem(key);
+      else localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) { reportStorageError(key, e); }
+  };
+  if (!STORE_KEYS.has(key)) { writeLocal(); return; }
+  storeCache.set(key, value ?? null);
+  if (!storeDB) { writeLocal(); return; }
+  idbPut(storeDB, key, value).catch(e => reportStorageError(key, e));
+}
+
+/* For changes made outside the hook that owns a key (undo): write the value,
+   then push it into any mounted hook via useStorageKeySync. */
+function replaceStoredValue(key, value) {
+  writeStorageJSON(key, value);
+  storageKeyListeners.get(key)?.forEach(fn => fn(value));
+}
+
+/* key may be a list of keys, kept stable (a module constant) across renders. */
+function useStorageKeySync(key, apply) {
+  useEffect(() => {
+    const keys = Array.isArray(key) ? key : [key];
+    keys.forEach(k => {
+      if (!storageKeyListeners.has(k)) storageKeyListeners.set(k, new Set());
+      storageKeyListeners.get(k).add(apply);
+    });
+    return () => keys.forEach(k => storageKeyListeners.get(k).delete(apply));
+  }, [key, apply]);
+}
 
+function reportStorageError(key, err, message) {
+  const quota = err?.name === "QuotaExceededError" || /quota/i.test(err?.message || "");
+  const error = {
+    key, quota, at: Date.now(),
+    message: message || (quota
+      ? "Your device is out of storage space — the latest change was NOT saved."
+      : `The latest change could not be saved (${err?.message || "unknown error"}).`),
+  };
+  console.error("[HaveIRidden] Storage error:", key, err);
+  storageErrorListeners.forEach(fn => fn(error));
+}
+
+function useStorageError() {
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    storageErrorListeners.add(setError);
+    return () => { storageErrorListeners.delete(setError); };
+  }, []);
+  return [error, () => setError(null)];
+}
+
+function StorageErrorBanner() {
+  const [error, dismiss] = useStorageError();
   return (
-    <AnimatePresence mode="wait">
-      {!system
-        ? <motion.div key="selector" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
-            <SystemSelector onSelect={handleSelectSystem}/>
-          </motion.div>
-        : system === "nyc"
-          ? <motion.div key="nyc" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
-              <NYCApp onSwitchSystem={handleSwitchSystem}/>
-            </motion.div>
-          : system === "dc"
-            ? <motion.div key="dc" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
-                <DCApp onSwitchSystem={handleSwitchSystem}/>
-              </motion.div>
-            : <motion.div key="path" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
-                <PATHApp onSwitchSystem={handleSwitchSystem}/>
-              </motion.div>}
+    <AnimatePresence>
+      {error && (
+        <motion.div key={error.at} initial={{opacity:0,y:-20}} animate={{opacity:1,y:0}} exit={{opacity:0,y:-20}}
+          style={{position:"fixed",top:0,left:0,right:0,zIndex:300,background:"#7f1d1d",borderBottom:"1px solid #ef4444",
+            padding:"0.75rem 1rem",display:"flex",alignItems:"center",gap:"0.75rem",flexWrap:"wrap",justifyContent:"center",
+            fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.72rem",color:"#fee2e2",letterSpacing:"0.02em"}}>
+          <span style={{flex:"1 1 320px",maxWidth:720,lineHeight:1.5}}>
+            ⚠ {error.message}{error.key && " It's still on screen: download a backup now, then free some space — the next change will try to save everything again."}
+          </span>
+          {error.key && (
+            <button onClick={downloadBackup} style={{padding:"0.35rem 0.7rem",border:"1px solid #fca5a5",borderRadius:4,background:"#fee2e2",
+              color:"#7f1d1d",fontFamily:"inherit",fontSize:"0.66rem",fontWeight:600,textTransform:"uppercase",letterSpacing:"0.08em",cursor:"pointer"}}>
+              ⬇ Backup</button>
+          )}
+          <button onClick={dismiss} style={{padding:"0.35rem 0.7rem",border:"1px solid rgba(254,226,226,0.4)",borderRadius:4,background:"transparent",
+            color:"#fee2e2",fontFamily:"inherit",fontSize:"0.66rem",textTransform:"uppercase",letterSpacing:"0.08em",cursor:"pointer"}}>Dismiss</button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   UNDO — one stack for all three systems
+   Each entry stores the inverse of a destructive change rather than a full
+   snapshot, so undoing a delete doesn't also throw away rides logged since.
+   The stack lives in the ride store and survives a reload for UNDO_WINDOW_MS.
+═══════════════════════════════════════════════════════════════════ */
+const UNDO_WINDOW_MS = 15 * 60 * 1000;
+const UNDO_LIMIT = 10;
+const undoListeners = new Set();
+
+function readUndoStack() {
+  const now = Date.now();
+  return (readStorageJSON(UNDO_KEY) || []).filter(e => now - e.at < UNDO_WINDOW_MS);
+}
+function writeUndoStack(stack) {
+  writeStorageJSON(UNDO_KEY, stack.length ? stack : null);
+  undoListeners.forEach(fn => fn(stack));
+}
+
+function recordsChange(key, before, after) {
+  const beforeIds = new Set(before.map(r => r.id)), afterIds = new Set(after.map(r => r.id));
+  return { key, kind:"records", removed: before.filter(r => !afterIds.has(r.id)), added: after.filter(r => !beforeIds.has(r.id)).map(r => r.id) };
+}
+function setChange(key, before, after) {
+  return { key, kind:"set", removed: [...before].filter(x => !after.has(x)), added: [...after].filter(x => !before.has(x)) };
+}
+function valueChange(key, previous) { return { key, kind:"value", previous }; }
+
+function pushUndo(system, label, changes) {
+  const meaningful = changes.filter(c => c.kind === "value" || c.removed.length || c.added.length);
+  if (!meaningful.length) return;
+  const entry = { id: crypto.randomUUID(), at: Date.now(), system, label, changes: meaningful };
+  writeUndoStack([entry, ...readUndoStack()].slice(0, UNDO_LIMIT));
+}
+
+function applyUndo(entry) {
+  entry.changes.forEach(c => {
+    const current = readStorageJSON(c.key);
+    if (c.kind === "value") { replaceStoredValue(c.key, c.previous); return; }
+    if (c.kind === "set") {
+      const next = new Set(current || []);
+      c.added.forEach(x => next.delete(x));
+      c.removed.forEach(x => next.add(x));
+      replaceStoredValue(c.key, [...next]);
+      return;
+    }
+    const added = new Set(c.added);
+    const kept = (current || []).filter(r => !added.has(r.id));
+    const keptIds = new Set(kept.map(r => r.id));
+    replaceStoredValue(c.key, [...kept, ...c.removed.filter(r => !keptIds.has(r.id))]);
+  });
+  writeUndoStack(readUndoStack().filter(e => e.id !== entry.id));
+}
+
+function timeAgo(ms) {
+  const mins = Math.floor((Date.now() - ms) / 60000);
+  return mins < 1 ? "just now" : `${mins} min ago`;
+}
+
+/* Shows the newest entry for a few seconds after it's pushed, and again on
+   load if anything is still undoable from before a reload. Once the toast
+   is gone, a small Undo button stays in the corner while the stack has
+   entries and opens the whole list. */
+function UndoToast() {
+  const [stack, setStack] = useState(readUndoStack);
+  const [visibleId, setVisibleId] = useState(() => readUndoStack()[0]?.id ?? null);
+  const [open, setOpen] = useState(false);
+  useEffect(() => {
+    const fn = (next) => { setStack(next); setVisibleId(next[0]?.id ?? null); };
+    undoListeners.add(fn);
+    // Entries expire after UNDO_WINDOW_MS; re-read so the corner button goes with them
+    const tick = setInterval(() => setStack(readUndoStack()), 60000);
+    return () => { undoListeners.delete(fn); clearInterval(tick); };
+  }, []);
+  const top = stack.find(e => e.id === visibleId) || null;
+  useEffect(() => {
+    if (!top) return;
+    const t = setTimeout(() => setVisibleId(null), 10000);
+    return () => clearTimeout(t);
+  }, [top]);
+  useEffect(() => { if (!stack.length) setOpen(false); }, [stack.length]);
+
+  const mono = "'IBM Plex Mono',monospace";
+  const undoBtn = {padding:"0.4rem 0.8rem",border:"1px solid #FCCC0A",borderRadius:4,background:"#FCCC0A",color:"#000",
+    fontFamily:"inherit",fontSize:"0.68rem",fontWeight:600,letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer"};
+  const closeBtn = {background:"none",border:"none",color:"rgba(255,255,255,0.4)",cursor:"pointer",fontSize:"0.9rem",padding:"0.2rem"};
+  const panel = {position:"fixed",bottom:"1.25rem",left:"50%",transform:"translateX(-50%)",zIndex:250,width:"calc(100% - 2rem)",maxWidth:480,
+    background:"#1c1d24",border:"1px solid rgba(255,255,255,0.14)",borderRadius:8,boxShadow:"0 8px 30px rgba(0,0,0,0.5)",
+    fontFamily:mono,fontSize:"0.72rem",color:"#f0f0f4"};
+  return (
+    <AnimatePresence>
+      {top && !open && (
+        <motion.div key={top.id} initial={{opacity:0,y:20}} animate={{opacity:1,y:0}} exit={{opacity:0,y:20}}
+          style={{...panel,display:"flex",alignItems:"center",gap:"0.75rem",padding:"0.7rem 0.9rem"}}>
+          <span style={{flex:1,minWidth:0}}>
+            <span style={{color:"rgba(255,255,255,0.4)"}}>{SYSTEM_NAMES[top.system]} · {timeAgo(top.at)}</span><br/>
+            {top.label}
+            {stack.length > 1 && <span style={{color:"rgba(255,255,255,0.35)"}}> (+{stack.length - 1} more)</span>}
+          </span>
+          <button onClick={() => applyUndo(top)} style={undoBtn}>Undo</button>
+          <button onClick={() => setVisibleId(null)} aria-label="Dismiss" style={closeBtn}>✕</button>
+        </motion.div>
+      )}
+      {!top && !open && stack.length > 0 && (
+        <motion.button key="undo-corner" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}}
+          onClick={() => { setStack(readUndoStack()); setOpen(true); }} title="Recent changes you can undo"
+          style={{position:"fixed",bottom:"1.25rem",right:"1.25rem",zIndex:240,padding:"0.45rem 0.75rem",borderRadius:999,cursor:"pointer",
+            background:"#1c1d24",border:"1px solid rgba(255,255,255,0.14)",boxShadow:"0 4px 16px rgba(0,0,0,0.4)",
+            fontFamily:mono,fontSize:"0.68rem",color:"rgba(255,255,255,0.75)",letterSpacing:"0.06em"}}>
+          ↶ Undo ({stack.length})
+        </motion.button>
+      )}
+      {open && (
+        <motion.div key="undo-list" initial={{opacity:0,y:20}} animate={{opacity:1,y:0}} exit={{opacity:0,y:20}}
+          style={{...panel,padding:"0.7rem 0.9rem",maxHeight:"60vh",overflowY:"auto"}}>
+          <div style={{display:"flex",alignItems:"center",marginBottom:"0.5rem"}}>
+            <span style={{flex:1,color:"rgba(255,255,255,0.4)",textTransform:"uppercase",letterSpacing:"0.1em",fontSize:"0.64rem"}}>Recent changes</span>
+            <button onClick={() => setOpen(false)} aria-label="Close" style={closeBtn}>✕</button>
+          </div>
+          {stack.map(e => (
+            <div key={e.id} style={{display:"flex",alignItems:"center",gap:"0.75rem",padding:"0.5rem 0",borderTop:"1px solid rgba(255,255,255,0.06)"}}>
+              <span style={{flex:1,minWidth:0}}>
+                <span style={{color:"rgba(255,255,255,0.4)"}}>{SYSTEM_NAMES[e.system]} · {timeAgo(e.at)}</span><br/>
+                {e.label}
+              </span>
+              <button onClick={() => applyUndo(e)} style={undoBtn}>Undo</button>
+            </div>
+          ))}
+        </motion.div>
+      )}
     </AnimatePresence>
   );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RECORD SCHEMAS & MIGRATIONS
+   Every record that reaches storage — from an import, a backup or an older
+   version of the app — goes through upgrade() then the field checks.
+═══════════════════════════════════════════════════════════════════ */
+const EXPORT_FORMAT = "haveiridden-export";
+const EXPORT_VERSION = 2;
+const SYSTEM_NAMES = { nyc:"NYC Subway", dc:"WMATA", path:"PATH", ...definedSystems(def => def.shortName) };
+
+function isPATHStation(name) { return PATH_ALL_STATIONS.some(s => s.name === name); }
+
+const RECORD_SCHEMAS = {
+  nyc: {
+    noun: "ride",
+    fields: { id:"string", trainNumber:"string", line:"string", lineLabel:"string", model:"string", division:"string",
+      timestamp:"timestamp", boardStation:"string?", exitStation:"string?", exitLineId:"string?", transferLineId:"string?", journeyId:"string?" },
+    upgrade: (r) => ({ ...r,
+      trainNumber: r.trainNumber != null ? String(r.trainNumber).trim() : r.trainNumber,
+      line: r.line != null ? String(r.line) : r.line, lineLabel: r.lineLabel ?? (r.line != null ? String(r.line) : r.line),
+      model: r.model || "Unknown", division: r.division || "?",
+      boardStation: r.boardStation ?? null, exitStation: r.exitStation ?? null,
+      exitLineId: r.exitLineId ?? null, transferLineId: r.transferLineId ?? null }),
+    check: (r) => {
+      if (r.consist == null) return [];
+      if (!Array.isArray(r.consist) || r.consist.some(c => typeof c?.trainNumber !== "string" || typeof c.model !== "string"))
+        return ["consist must list each car's number and model"];
+      return r.consist[0]?.trainNumber === r.trainNumber ? [] : ["consist must start with the ride's car number"];
+    },
+  },
+  dc: {
+    noun: "trip",
+    fields: { id:"string", lineId:"string", lineLabel:"string", boardStation:"string", exitStation:"string",
+      exitLineId:"string", transferLineId:"string?", trainNumber:"string?", model:"string?", journeyId:"string?", timestamp:"timestamp" },
+    // Trips from before route inference, or with a malformed route, get their
+    // transfers and segments worked out; trips logged before transfers were
+    // tracked only had a board line
+    upgrade: (r) => {
+      const line = DC_LINES_DATA.find(l => l.id === r.lineId);
+      const transfers = Array.isArray(r.transfers) && r.transfers.every(t => typeof t?.station === "string" && typeof t.lineId === "string") ? r.transfers : null;
+      if (line && !(transfers && validSegments("dc", r.segments))) {
+        return { ...r, ...buildDCTrip({ line, boardStation: r.boardStation, exitStation: r.exitStation, transfers: r.transferInferred === false ? transfers : null }) };
+      }
+      return { ...r, exitLineId: r.exitLineId ?? r.lineId, exitLineLabel: r.exitLineLabel ?? r.lineLabel,
+        exitLineColor: r.exitLineColor ?? r.lineColor, transferLineId: r.transferLineId ?? null, transferLineLabel: r.transferLineLabel ?? null };
+    },
+    check: (r) => {
+      const board = DC_LINES_DATA.find(l => l.id === r.lineId), exit = DC_LINES_DATA.find(l => l.id === r.exitLineId);
+      if (!board) return [`unknown WMATA line "${r.lineId}"`];
+      if (!exit) return [`unknown WMATA line "${r.exitLineId}"`];
+      const errors = [];
+      if (!board.stations.includes(r.boardStation)) errors.push(`"${r.boardStation}" is not on the ${board.label} line`);
+      if (!exit.stations.includes(r.exitStation)) errors.push(`"${r.exitStation}" is not on the ${exit.label} line`);
+      return errors;
+    },
+  },
+  path: {
+    noun: "trip",
+    fields: { id:"string", lineId:"string", lineLabel:"string", boardStation:"string", exitStation:"string",
+      transferLineId:"string?", trainNumber:"string?", model:"string?", journeyId:"string?", timestamp:"timestamp" },
+    upgrade: (r) => {
+      const t = { ...r, transferLineId: r.transferLineId ?? null, transferLineLabel: r.transferLineLabel ?? null,
+        transferLineColor: r.transferLineColor ?? null };
+      return { ...t, segments: validSegments("path", r.segments) ? r.segments : tripSegments("path", t) };
+    },
+    check: (r) => {
+      const errors = [];
+      if (!PATH_LINES_DATA.some(l => l.id === r.lineId)) errors.push(`unknown PATH line "${r.lineId}"`);
+      [r.boardStation, r.exitStation].forEach(st => { if (!isPATHStation(st)) errors.push(`unknown PATH station "${st}"`); });
+      return errors;
+    },
+  },
+  ...definedSystems(genericRecordSchema),
+};
+
+function validateRecord(system, rec) {
+  const schema = RECORD_SCHEMAS[system];
+  const errors = [];
+  Object.entries(schema.fields).forEach(([field, type]) => {
+    const v = rec[field];
+    if (type === "string?") { if (v != null && typeof v !== "string") errors.push(`${field} must be text`); }
+    else if (type === "timestamp") { if (typeof v !== "string" || isNaN(Date.parse(v))) errors.push(`${field} is not a valid date`); }
+    else if (typeof v !== "string" || !v.trim()) errors.push(`${field} is missing`);
+  });
+  return errors.length ? errors : schema.check(rec);
+}
+
+function sanitizeRecords(system, records) {
+  const { upgrade } = RECORD_SCHEMAS[system];
+  const valid = [], rejected = [];
+  records.forEach((raw, index) => {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) { rejected.push({ index, errors:["not a record"] }); return; }
+    const rec = upgrade({ ...raw, id: raw.id != null ? String(raw.id) : crypto.randomUUID() });
+    const errors = validateRecord(system, rec);
+    if (errors.length) rejected.push({ index, errors });
+    else valid.push(rec);
+  });
+  return { valid, rejected };
+}
+
+function sanitizeVisited(system, list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(key => {
+    if (typeof key !== "string") return false;
+    if (system === "path") return isPATHStation(key);
+    const [lineId, ...rest] = key.split("::");
+    if (!rest.length) return false;
+    if (system !== "nyc") return !!segmentLines(system).find(l => l.id === lineId)?.stations.includes(rest.join("::"));
+    return true; // NYC stations depend on the rider's datasets, so only the shape is checked
+  });
+}
+
+function buildExport(system, records, visited) {
+  return { format: EXPORT_FORMAT, version: EXPORT_VERSION, system, exportedAt: new Date().toISOString(), records, visited: [...visited] };
+}
+
+/* Accepts every export shape the app has produced:
+     v0 NYC  — bare array of rides
+     v1 WMATA — { rides, visited }     v1 PATH — { trips, visited }
+     v2      — { format, version, system, records, visited }
+   plus a full backup file, from which only this system's data is taken. */
+function readImportFile(system, parsed) {
+  const wrongSystem = (other) => new Error(`This is a ${SYSTEM_NAMES[other] || other} file — import it from that system's Stats page.`);
+  let records, visited = [];
+  if (Array.isArray(parsed)) {
+    if (system !== "nyc") throw wrongSystem("nyc");
+    records = parsed;
+  } else if (parsed?.format === EXPORT_FORMAT) {
+    if (parsed.system !== system) throw wrongSystem(parsed.system);
+    if (parsed.version > EXPORT_VERSION) throw new Error(`File is from a newer version of the app (v${parsed.version})`);
+    records = parsed.records; visited = parsed.visited;
+  } else if (parsed?.format === BACKUP_FORMAT) {
+    const entries = BACKUP_ENTRIES.filter(e => e.system === system);
+    records = parsed.storage?.[entries.find(e => e.kind === "records").key] || [];
+    visited = parsed.storage?.[entries.find(e => e.kind === "set").key] || [];
+  } else if (parsed && (Array.isArray(parsed.rides) || Array.isArray(parsed.trips))) {
+    const legacy = Array.isArray(parsed.trips) ? "path" : "dc";
+    if (legacy !== system) throw wrongSystem(legacy);
+    records = parsed.rides || parsed.trips; visited = parsed.visited;
+  } else {
+    throw new Error("Unrecognised file — expected a HaveIRidden export");
+  }
+  if (!Array.isArray(records)) throw new Error("File has no ride list");
+  const { valid, rejected } = sanitizeRecords(system, records);
+  if (!valid.length && rejected.length) {
+    throw new Error(`None of the ${rejected.length} records are valid ${SYSTEM_NAMES[system]} ${RECORD_SCHEMAS[system].noun}s (first problem: ${rejected[0].errors[0]})`);
+  }
+  return { records: valid, rejected, visited: sanitizeVisited(system, visited) };
+}
+
+/* ── Storage migrations ── run once each, in order, when the app starts. */
+const SCHEMA_VERSION_KEY = "haveiridden_schema_version";
+// WMATA and PATH have stored under their current _v1 keys since they were
+// added, so NYC's move from _v1 to _v2 is the only rename to follow.
+const LEGACY_STORAGE_KEYS = [
+  { system:"nyc", from:"nyc_subway_rides_v1", to:RIDES_KEY },
+];
+
+function migrateLegacyKeys() {
+  LEGACY_STORAGE_KEYS.forEach(({ system, from, to }) => {
+    const old = readStorageJSON(from);
+    if (!Array.isArray(old)) return;
+    const current = readStorageJSON(to) || [];
+    const { records } = resolveMerge(current, mergeRecords(current, old, RIDE_FINGERPRINTS[system]));
+    writeStorageJSON(to, records);
+    localStorage.removeItem(from);
+    console.log(`[HaveIRidden] Migrated ${old.length} records from ${from} to ${to}`);
+  });
+}
+
+/* Records that can't be upgraded are parked under `<key>_rejected` rather than deleted. */
+function normalizeStoredRecords() {
+  BACKUP_ENTRIES.filter(e => e.kind === "records").forEach(({ system, key }) => {
+    const stored = readStorageJSON(key);
+    if (!Array.isArray(stored)) return;
+    const { valid, rejected } = sanitizeRecords(system, stored);
+    writeStorageJSON(key, valid);
+    if (rejected.length) {
+      writeStorageJSON(`${key}_rejected`, rejected.map(r => stored[r.index]));
+      console.warn(`[HaveIRidden] ${rejected.length} stored ${system} records failed validation; kept in ${key}_rejected`);
+    }
+  });
+}
+
+/* Trips logged before ridden segments were stored get them filled in —
+   WMATA trips from before route inference also get their transfer worked out
+   from the shortest route — and the stations they passed through are
+   credited the way a new trip's are. */
+function backfillRiddenSegments() {
+  [["dc", DC_RIDES_KEY, DC_VISITED_KEY], ["path", PATH_TRIPS_KEY, PATH_VISITED_KEY]].forEach(([system, key, visitedKey]) => {
+    const stored = readStorageJSON(key);
+    if (!Array.isArray(stored) || !stored.length) return;
+    const trips = stored.map(t => {
+      const line = system === "dc" && DC_LINES_DATA.find(l => l.id === t.lineId);
+      if (line && !Array.isArray(t.transfers)) return { ...t, ...buildDCTrip({ line, boardStation: t.boardStation, exitStation: t.exitStation }) };
+      return Array.isArray(t.segments) ? t : { ...t, segments: tripSegments(system, t) };
+    });
+    writeStorageJSON(key, trips);
+    const visited = new Set(readStorageJSON(visitedKey) || []);
+    trips.forEach(t => recordVisitedKeys(system, t).forEach(k => visited.add(k)));
+    writeStorageJSON(visitedKey, [...visited]);
+  });
+}
+
+const STORAGE_MIGRATIONS = [
+  { version: 1, run: migrateFromCookie },
+  { version: 2, run: migrateLegacyKeys },
+  { version: 3, run: normalizeStoredRecords },
+  { version: 4, run: backfillRiddenSegments },
+];
+
+function runStorageMigrations() {
+  let version = Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+  for (const m of STORAGE_MIGRATIONS) {
+    if (m.version <= version) continue;
+    try { m.run(); }
+    catch (e) { console.warn(`[HaveIRidden] Storage migration ${m.version} failed:`, e); return; }
+    version = m.version;
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CSV EXPORT & IMPORT
+   Column sets are fixed per system so a sheet exported today still imports
+   after the app changes. Lines are written as ids; on import an id or a
+   label is accepted, and header names are matched loosely (see aliases).
+═══════════════════════════════════════════════════════════════════ */
+const CSV_COLUMNS = {
+  nyc: ["timestamp","car","consist","model","division","line","board_station","exit_station","exit_line","transfer_line","journey","id"],
+  dc: ["timestamp","car","model","line","board_station","exit_station","exit_line","transfer_line","transfer_station","journey","id"],
+  path: ["timestamp","car","model","line","board_station","exit_station","transfer_line","journey","id"],
+  ...definedSystems(def => ["timestamp", ...(def.rollingStock.length ? ["car","model"] : []),
+    "line","board_station","exit_station","exit_line","transfer_line","journey","id"]),
+};
+const CSV_REQUIRED = {
+  nyc: ["timestamp","car","line"],
+  dc: ["timestamp","line","board_station","exit_station"],
+  path: ["timestamp","line","board_station","exit_station"],
+  ...definedSystems(def => def.logging === "car-number" ? ["timestamp","car","line"] : ["timestamp","line","board_station","exit_station"]),
+};
+const CSV_HEADER_ALIASES = {
+  timestamp: ["timestamp","time","date","datetime","when"],
+  car: ["car","carnumber","carno","trainnumber","number"],
+  consist: ["consist","cars","trainset"],
+  model: ["model","carmodel"],
+  division: ["division","div"],
+  line: ["line","lineid","route","boardline"],
+  board_station: ["boardstation","board","from","origin","entry"],
+  exit_station: ["exitstation","exit","to","destination"],
+  exit_line: ["exitline","exitlineid"],
+  transfer_line: ["transferline","transfer"],
+  transfer_station: ["transferstation","transferat","via"],
+  journey: ["journey","journeyid"],
+  id: ["id","rideid","tripid"],
+};
+
+function csvValue(system, rec, col) {
+  switch (col) {
+    case "car": return rec.trainNumber;
+    case "consist": return rec.consist?.map(c => `${c.trainNumber} ${c.model}`).join("; ");
+    case "line": return system === "nyc" ? rec.line : rec.lineId;
+    case "board_station": return rec.boardStation;
+    case "exit_station": return rec.exitStation;
+    case "exit_line": return rec.exitLineId;
+    case "transfer_line": return rec.transferLineId;
+    case "transfer_station": return rec.transfers?.map(t => `${t.station} (${t.lineId})`).join("; ");
+    case "journey": return rec.journeyId;
+    default: return rec[col];
+  }
+}
+
+function toCSV(rows) {
+  const cell = (v) => {
+    const str = v == null ? "" : String(v);
+    return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return rows.map(r => r.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+function downloadCSV(system, records, filename) {
+  const cols = CSV_COLUMNS[system];
+  const sorted = sortByRideTime(records).reverse();
+  const blob = new Blob([toCSV([cols, ...sorted.map(r => cols.map(c => csvValue(system, r, c)))])], {type:"text/csv"});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
+}
+
+function isCSVFile(file) { return /\.csv$/i.test(file.name) || file.type === "text/csv"; }
+
+function mapCSVHeader(system, header) {
+  const norm = (h) => h.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const mapping = {};
+  header.forEach((h, i) => {
+    const col = CSV_COLUMNS[system].find(c => CSV_HEADER_ALIASES[c].includes(norm(h)));
+    if (col && mapping[col] == null) mapping[col] = i;
+  });
+  const missing = CSV_REQUIRED[system].filter(c => mapping[c] == null);
+  if (missing.length) throw new Error(`CSV is missing required column${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}`);
+  return mapping;
+}
+
+function findLineByIdOrLabel(lines, value) {
+  if (!value) return null;
+  const v = value.trim().toLowerCase();
+  return lines.find(l => l.id.toLowerCase() === v) || lines.find(l => [l.label, l.shortLabel].some(x => x && x.toLowerCase() === v)) || null;
+}
+
+/* Turns one CSV row into a record the schema can check; line colours and
+   labels come from the system's line data, models from the car number. */
+function csvRowToRecord(system, get, datasets) {
+  const ts = get("timestamp");
+  const timestamp = ts && !isNaN(Date.parse(ts)) ? new Date(ts).toISOString() : ts;
+  const id = get("id") || undefined;
+  const journeyId = get("journey") || undefined;
+  if (system === "nyc") {
+    const line = findLineByIdOrLabel(datasets.lines, get("line"));
+    const exitLine = findLineByIdOrLabel(datasets.lines, get("exit_line"));
+    const transfer = findLineByIdOrLabel(datasets.lines, get("transfer_line"));
+    const car = get("car");
+    const detected = car ? resolveModelFromNumber(car, datasets.rollingStock).match : null;
+    const model = get("model") || detected?.model;
+    const stock = datasets.rollingStock.find(s => s.model === model);
+    const exitStation = get("exit_station") || null;
+    // "8778 R160; 8779 R160" — the model after each number is optional and detected when left out
+    const rest = (get("consist") || "").split(";").map(s => s.trim().match(/^(\d+)\s*(.*)$/)).filter(m => m && m[1] !== car)
+      .map(([, number, named]) => named ? { trainNumber: number, model: named, division: datasets.rollingStock.find(s => s.model === named)?.division || "?" }
+        : consistCars([{ number }], datasets.rollingStock)[0]);
+    return { id, journeyId, timestamp, trainNumber: car,
+      consist: car && rest.length ? [{ trainNumber: car, model: model || "Unknown", division: get("division") || stock?.division || detected?.division || "?" }, ...rest] : undefined,
+      line: line?.id ?? get("line"), lineLabel: line?.label, lineColor: line?.color || "#555", lineTextColor: line?.textColor || "#fff",
+      model, division: get("division") || stock?.division || detected?.division,
+      boardStation: get("board_station") || null, exitStation,
+      exitLineId: exitStation ? (exitLine || line)?.id ?? null : null, exitLineLabel: exitStation ? (exitLine || line)?.label ?? null : null,
+      exitLineColor: exitStation ? (exitLine || line)?.color ?? null : null,
+      transferLineId: transfer?.id ?? null, transferLineLabel: transfer?.label ?? null };
+  }
+  const lines = segmentLines(system);
+  const line = findLineByIdOrLabel(lines, get("line"));
+  const car = get("car");
+  const base = { id, journeyId, timestamp, lineId: line?.id ?? get("line"), lineLabel: line?.label ?? get("line"),
+    lineColor: line?.color, lineTextColor: line?.textColor, boardStation: get("board_station"), exitStation: get("exit_station"),
+    ...(car ? { trainNumber: car, model: get("model") || carNumberFields(car, systemRollingStock(system)).model } : {}) };
+  if (system === "dc") {
+    const exitLine = findLineByIdOrLabel(lines, get("exit_line")) || line;
+    const isTransfer = !!exitLine && !!line && exitLine.id !== line.id;
+    // "Metro Center (blue); L'Enfant Plaza (green)" — transfers that differ from the inferred route pin it;
+    // otherwise it's inferred on validation. A lone station with no line changes to transfer_line.
+    const viaLine = findLineByIdOrLabel(lines, get("transfer_line")) || exitLine;
+    const vias = (get("transfer_station") || "").split(";").map(s => s.trim()).filter(Boolean).map((entry, i, all) => {
+      const m = entry.match(/^(.*?)\s*\(([^()]+)\)$/);
+      const to = m ? findLineByIdOrLabel(lines, m[2]) : i === all.length - 1 ? viaLine : null;
+      return { station: m ? m[1] : entry, lineId: to?.id };
+    });
+    const inferred = line ? dcRoute(line.id, base.boardStation, base.exitStation)?.transfers || [] : [];
+    const same = inferred.length === vias.length && vias.every((v, i) => v.station === inferred[i].station && v.lineId === inferred[i].lineId);
+    const pinned = vias.length && vias.every(v => v.lineId) && !same ? { transfers: vias, transferInferred: false } : {};
+    return { ...base, exitLineId: exitLine?.id ?? (get("exit_line") || get("line")), exitLineLabel: exitLine?.label, exitLineColor: exitLine?.color,
+      transferLineId: isTransfer ? exitLine.id : null, transferLineLabel: isTransfer ? exitLine.label : null, ...pinned };
+  }
+  const def = systemDefinition(system);
+  if (def) {
+    const exitLine = findLineByIdOrLabel(lines, get("exit_line") || get("transfer_line")) || line;
+    return { ...base, boardStation: base.boardStation || null, exitStation: base.exitStation || null,
+      exitLineId: base.exitStation ? exitLine?.id ?? null : null,
+      transferLineId: exitLine && line && exitLine.id !== line.id ? exitLine.id : null,
+      transferLineLabel: exitLine && line && exitLine.id !== line.id ? exitLine.label : null };
+  }
+  const transfer = findLineByIdOrLabel(lines, get("transfer_line"));
+  return { ...base, transferLineId: transfer?.id ?? null, transferLineLabel: transfer?.label ?? null, transferLineColor: transfer?.color ?? null };
+}
+
+/* Same result shape as readImportFile, so CSV goes through the merge dialog too.
+   The visited set is rebuilt from the stations on each valid row. */
+function readCSVImport(system, text, datasets) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) throw new Error("CSV file is empty");
+  const mapping = mapCSVHeader(system, header);
+  const records = rows.map(row => csvRowToRecord(system, (col) => mapping[col] == null ? "" : (row[mapping[col]] ?? "").trim(), datasets));
+  const { valid, rejected } = sanitizeRecords(system, records);
+  if (!valid.length && rejected.length) throw new Error(`No valid rows (row ${rejected[0].index + 2}: ${rejected[0].errors[0]})`);
+  const visited = new Set(valid.flatMap(r => recordVisitedKeys(system, r)));
+  // Shift indexes by one so "#n" in the dialog matches the spreadsheet row (row 1 is the header)
+  return { records: valid, rejected: rejected.map(r => ({ ...r, index: r.index + 1 })), visited: [...visited] };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RIDE TIME — backdating for every Live Rider and history editor
+   <input type="datetime-local"> works in local wall-clock time with no zone;
+   rides are always stored as UTC ISO strings, so convert at the edges.
+═══════════════════════════════════════════════════════════════════ */
+function toLocalInputValue(iso) {
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+function fromLocalInputValue(value) {
+  if (!value) return null;
+  const d = new Date(value); // date-time without an offset parses as local time
+  return isNaN(d) ? null : d.toISOString();
+}
+/* "" means "now". A minute of slack so the picker's default never reads as future. */
+function isFutureRideTime(value) {
+  const iso = fromLocalInputValue(value);
+  return !!iso && Date.parse(iso) > Date.now() + 60000;
+}
+function rideTimestamp(value) { return fromLocalInputValue(value) || new Date().toISOString(); }
+
+function sortByRideTime(records) {
+  return [...records].sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+}
+
+function RideTimePicker({ value, onChange, accent = "#FCCC0A", style }) {
+  const mono = "'IBM Plex Mono',monospace";
+  const chip = (active) => ({padding:"0.3rem 0.65rem",borderRadius:999,cursor:"pointer",fontFamily:mono,fontSize:"0.66rem",
+    letterSpacing:"0.06em",textTransform:"uppercase",border:`1px solid ${active?accent:"rgba(255,255,255,0.15)"}`,
+    background:active?`${accent}22`:"transparent",color:active?accent:"rgba(255,255,255,0.5)"});
+  const future = isFutureRideTime(value);
+  return (
+    <div style={{display:"flex",alignItems:"center",gap:"0.5rem",flexWrap:"wrap",...style}}>
+      <span style={{fontFamily:mono,fontSize:"0.62rem",letterSpacing:"0.1em",textTransform:"uppercase",color:"rgba(255,255,255,0.35)"}}>When</span>
+      <button type="button" onClick={() => onChange("")} style={chip(!value)}>Now</button>
+      <button type="button" onClick={() => !value && onChange(toLocalInputValue(new Date().toISOString()))} style={chip(!!value)}>Earlier…</button>
+      {value && (
+        <input type="datetime-local" value={value} max={toLocalInputValue(new Date().toISOString())} onChange={e => onChange(e.target.value)}
+          style={{background:"rgba(255,255,255,0.07)",color:"#fff",border:`1px solid ${future?"#f87171":"rgba(255,255,255,0.15)"}`,borderRadius:6,
+            fontFamily:mono,fontSize:"0.78rem",padding:"0.3rem 0.5rem",colorScheme:"dark"}}/>
+      )}
+      {future && <span style={{fontFamily:mono,fontSize:"0.64rem",color:"#f87171"}}>Can't be in the future</span>}
+    </div>
+  );
+}
+
+/* Editor variant: always shows the picker, since the ride already has a time. */
+function RideTimeField({ value, onChange }) {
+  const future = isFutureRideTime(value);
+  return (
+    <div>
+      <label style={labelStyle}>Ride time</label>
+      <input type="datetime-local" value={value} max={toLocalInputValue(new Date().toISOString())} onChange={e => onChange(e.target.value)}
+        style={{...inputStyle,colorScheme:"dark",borderColor:future||!value?"#f87171":"rgba(255,255,255,0.12)"}}/>
+      {future && <div style={{fontSize:"0.78rem",color:"#f87171",marginTop:"0.4rem"}}>Can't be in the future</div>}
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CAR NUMBERS — optional on WMATA, PATH and definition-file systems
+   Detection is the same as NYC: resolveModelFromNumber over the system's
+   number ranges, with the rider picking when ranges overlap ambiguously.
+   A trip logged without a number just has no trainNumber/model fields.
+═══════════════════════════════════════════════════════════════════ */
+function systemRollingStock(system, datasets) {
+  if (system === "nyc") return datasets.rollingStock;
+  if (system === "dc") return DC_ROLLING_STOCK;
+  return system === "path" ? PATH_ROLLING_STOCK : systemDefinition(system)?.rollingStock || [];
+}
+
+/* → { trainNumber, model } for a record, or {} when no number was entered. */
+function carNumberFields(trainNumber, rollingStock, pickedModel) {
+  const number = (trainNumber || "").trim();
+  if (!number) return {};
+  const resolved = resolveModelFromNumber(number, rollingStock);
+  const found = resolved.match || resolved.candidates.find(c => c.model === pickedModel);
+  return { trainNumber: number, model: found?.model || "Unknown" };
+}
+
+function carNumberReady(trainNumber, rollingStock, pickedModel) {
+  return !trainNumber || !resolveModelFromNumber(trainNumber, rollingStock).ambiguous || !!pickedModel;
+}
+
+/* onChange(trainNumber, pickedModel). Styling comes from the caller so it
+   fits the WMATA cards and the PATH theme alike. */
+function CarNumberField({ value, picked, onChange, rollingStock, optional = true, accent = "#FCCC0A",
+  labelStyle: labelCSS = labelStyle, fieldStyle = inputStyle, muted = "rgba(255,255,255,0.4)", style }) {
+  const resolved = useMemo(() => resolveModelFromNumber(value, rollingStock), [value, rollingStock]);
+  const found = resolved.match || resolved.candidates.find(c => c.model === picked) || null;
+  return (
+    <div style={style}>
+      <label style={labelCSS}>Car number {optional && <span style={{opacity:0.6,textTransform:"none",letterSpacing:0}}>(optional)</span>}</label>
+      <input type="text" inputMode="numeric" value={value} placeholder={`e.g. ${rollingStock[rollingStock.length - 1]?.ranges[0][0] ?? 1234}`}
+        onChange={e => onChange(e.target.value.replace(/[^0-9]/g, ""), null)}
+        style={{...fieldStyle,fontSize:"1.2rem",fontWeight:700,letterSpacing:"0.12em"}}/>
+      {value && (
+        <div style={{marginTop:"0.45rem",fontSize:"0.82rem",color:found ? "#4ade80" : resolved.ambiguous ? accent : "#f87171"}}>
+          {found ? found.model : resolved.ambiguous ? "Matches several models — pick one:" : "Not in any known range — saved as Unknown"}
+          {resolved.ambiguous && (
+            <span style={{display:"inline-flex",gap:"0.35rem",marginLeft:"0.5rem",flexWrap:"wrap"}}>
+              {resolved.candidates.map(c => (
+                <button key={c.model} type="button" onClick={() => onChange(value, c.model)}
+                  style={{padding:"0.2rem 0.55rem",borderRadius:4,cursor:"pointer",fontSize:"0.78rem",fontWeight:700,
+                    border:`1px solid ${picked === c.model ? accent : "rgba(255,255,255,0.2)"}`,
+                    background:picked === c.model ? `${accent}33` : "transparent",color:picked === c.model ? accent : muted}}>{c.model}</button>
+              ))}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Rides and distinct cars per model, for a Stats page. */
+function ModelProgress({ records, rollingStock, noun, accent, cardProps, headStyle, muted = "rgba(255,255,255,0.4)" }) {
+  const withCar = records.filter(r => r.trainNumber);
+  const byModel = new Map(rollingStock.map(m => [m.model, { rides: 0, cars: new Set() }]));
+  withCar.forEach(r => { const m = byModel.get(r.model); if (m) { m.rides++; m.cars.add(r.trainNumber); } });
+  const ridden = [...byModel.values()].filter(m => m.rides > 0).length;
+  return (
+    <div {...cardProps}>
+      <div style={{...headStyle,display:"flex",justifyContent:"space-between",alignItems:"baseline",gap:"0.5rem"}}>
+        <span>Models</span><span style={{color:accent}}>{ridden}/{rollingStock.length}</span>
+      </div>
+      <div style={{fontSize:"0.75rem",color:muted,marginBottom:"0.85rem"}}>
+        {withCar.length} of {records.length} {noun}s have a car number{withCar.length < records.length && " — add one in the Live Rider or from history"}
+      </div>
+      <div style={{display:"flex",flexDirection:"column",gap:"0.6rem"}}>
+        {rollingStock.map(s => {
+          const m = byModel.get(s.model);
+          const fleet = s.ranges.reduce((n, [lo, hi]) => n + hi - lo + 1, 0);
+          return (
+            <div key={s.model}>
+              <div style={{display:"flex",justifyContent:"space-between",fontSize:"0.85rem",marginBottom:"0.3rem",gap:"0.5rem"}}>
+                <span style={{fontWeight:700,opacity:m.rides ? 1 : 0.5}}>{m.rides > 0 && "✓ "}{s.model}
+                  <span style={{fontWeight:400,color:muted,fontSize:"0.72rem",marginLeft:"0.5rem"}}>{s.ranges.map(([lo, hi]) => `${lo}–${hi}`).join(", ")}</span>
+                </span>
+                <span style={{color:muted,fontSize:"0.75rem",whiteSpace:"nowrap"}}>{m.rides} {noun}{m.rides === 1 ? "" : "s"} · {m.cars.size}/{fleet} cars</span>
+              </div>
+              <ProgressBar value={(m.cars.size / fleet) * 100} color={accent}/>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CARS COLLECTED — distinct NYC car numbers per model
+   A model's number space is every number in its ranges, minus numbers
+   that resolve to a sub-fleet nested inside it (R211T cars aren't R211A
+   cars). Every car of a logged consist counts, under the model stored for
+   it, so a car the rider picked from an ambiguous match lands where they
+   put it.
+═══════════════════════════════════════════════════════════════════ */
+const CAR_GRID_COLUMNS = 50;
+
+function modelNumberSpace(stock, rollingStock) {
+  const numbers = new Set();
+  stock.ranges.forEach(([lo, hi]) => {
+    for (let n = lo; n <= hi; n++) {
+      const { match } = resolveModelFromNumber(String(n), rollingStock);
+      if (!match || match.model === stock.model) numbers.add(n);
+    }
+  });
+  return numbers;
+}
+
+/* → { models: [{ model, division, space, cars: Map(number → {count, first, last}) }], repeats } */
+function carCollection(rides, rollingStock) {
+  const cars = new Map();
+  rides.forEach(r => rideCars(r).forEach(c => {
+    const key = `${c.model}::${c.trainNumber}`;
+    const t = new Date(r.timestamp).getTime();
+    const prev = cars.get(key);
+    if (!prev) cars.set(key, { number: c.trainNumber, model: c.model, count: 1, first: t, last: t });
+    else { prev.count++; prev.first = Math.min(prev.first, t); prev.last = Math.max(prev.last, t); }
+  }));
+  const models = rollingStock.map(s => ({
+    model: s.model, division: s.division, space: modelNumberSpace(s, rollingStock),
+    cars: new Map([...cars.values()].filter(c => c.model === s.model).map(c => [+c.number, c])),
+  }));
+  const repeats = [...cars.values()].filter(c => c.count > 1).sort((a, b) => b.count - a.count || b.last - a.last);
+  return { models, repeats };
+}
+
+function CarNumberGrid({ entry, highlight, onPick }) {
+  const cell = 9, gap = 2, step = cell + gap, left = 34;
+  const rows = [...new Set([...entry.space].map(n => Math.floor(n / CAR_GRID_COLUMNS)))].sort((a, b) => a - b);
+  return (
+    <div style={{overflowX:"auto"}}>
+      <svg viewBox={`0 0 ${left + CAR_GRID_COLUMNS * step} ${rows.length * step}`} style={{width:"100%",minWidth:440,display:"block"}}>
+        {rows.map((row, y) => (
+          <g key={row}>
+            <text x={0} y={y * step + cell - 1} fill="rgba(255,255,255,0.35)" fontSize={7} fontFamily="'IBM Plex Mono',monospace">{row * CAR_GRID_COLUMNS}</text>
+            {Array.from({ length: CAR_GRID_COLUMNS }, (_, x) => row * CAR_GRID_COLUMNS + x).filter(n => entry.space.has(n)).map(n => {
+              const car = entry.cars.get(n);
+              return (
+                <rect key={n} x={left + (n % CAR_GRID_COLUMNS) * step} y={y * step} width={cell} height={cell} rx={1.5}
+                  fill={car ? "#f472b6" : "rgba(255,255,255,0.07)"} opacity={car ? 0.45 + Math.min(car.count, 5) * 0.11 : 1}
+                  stroke={n === highlight ? "#FCCC0A" : "none"} strokeWidth={1.5} onClick={() => onPick(n)} style={{cursor:"pointer"}}>
+                  <title>{`#${n} — ${car ? `ridden ${car.count}×` : "not ridden yet"}`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+function CarCollection({ rides, rollingStock }) {
+  const { models, repeats } = useMemo(() => carCollection(rides, rollingStock), [rides, rollingStock]);
+  const [selected, setSelected] = useState(null);
+  const [query, setQuery] = useState("");
+  const muted = "rgba(255,255,255,0.4)";
+  const entry = models.find(m => m.model === selected) || models.find(m => m.cars.size > 0) || models[0];
+  const totalCars = models.reduce((n, m) => n + m.cars.size, 0);
+  const totalSpace = models.reduce((n, m) => n + m.space.size, 0);
+
+  // Typing a number jumps to the model whose space holds it
+  function search(value) {
+    setQuery(value);
+    const n = +value;
+    const owner = value && models.find(m => m.space.has(n) && (m.cars.has(n) || !models.some(o => o.cars.has(n))));
+    if (owner) setSelected(owner.model);
+  }
+  const number = query ? +query : null;
+  const found = number != null && entry?.space.has(number) ? entry.cars.get(number) : null;
+
+  return (
+    <div style={{display:"flex",flexDirection:"column",gap:"1.5rem"}}>
+      <div style={cardStyle}>
+        <div style={sectionHeadStyle}>Cars Collected <span style={badgeStyle}>{totalCars}/{totalSpace}</span></div>
+        <ProgressBar value={totalSpace ? (totalCars / totalSpace) * 100 : 0} color="#f472b6"/>
+        <div style={{display:"flex",flexDirection:"column",gap:"0.3rem",marginTop:"1rem"}}>
+          {models.map(m => {
+            const active = m === entry;
+            return (
+              <button key={m.model} onClick={() => { setSelected(m.model); setQuery(""); }}
+                style={{textAlign:"left",padding:"0.5rem 0.75rem",borderRadius:10,cursor:"pointer",color:"#fff",fontFamily:"inherit",
+                  border:`1px solid ${active ? "rgba(244,114,182,0.5)" : "transparent"}`,background:active ? "rgba(244,114,182,0.08)" : "transparent"}}>
+                <div style={{display:"flex",justifyContent:"space-between",fontSize:"0.85rem",marginBottom:"0.3rem",gap:"0.5rem"}}>
+                  <span style={{fontWeight:700,opacity:m.cars.size ? 1 : 0.5}}>{m.model}
+                    <span style={{fontWeight:400,color:muted,fontSize:"0.72rem",marginLeft:"0.5rem"}}>{m.division} Division</span>
+                  </span>
+                  <span style={{color:muted,fontSize:"0.75rem",whiteSpace:"nowrap"}}>{m.cars.size}/{m.space.size} cars</span>
+                </div>
+                <ProgressBar value={m.space.size ? (m.cars.size / m.space.size) * 100 : 0} color="#f472b6"/>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {entry && (
+        <div style={cardStyle}>
+          <div style={sectionHeadStyle}>{entry.model} Number Space <span style={badgeStyle}>{entry.cars.size}/{entry.space.size}</span></div>
+          <input type="text" inputMode="numeric" value={query} placeholder="Find a car number…"
+            onChange={e => search(e.target.value.replace(/[^0-9]/g, ""))} style={{...inputStyle,marginBottom:"0.5rem"}}/>
+          <div style={{fontSize:"0.82rem",color:found ? "#4ade80" : muted,minHeight:"1.2rem",marginBottom:"0.75rem"}}>
+            {number == null ? "Tap a car to see when you rode it. Pink cars are ridden; brighter means more often."
+              : !entry.space.has(number) ? `#${number} isn't an ${entry.model} number.`
+              : found ? `#${number} — ridden ${found.count}× · first ${new Date(found.first).toLocaleDateString()} · last ${new Date(found.last).toLocaleDateString()}`
+              : `#${number} — not ridden yet.`}
+          </div>
+          <CarNumberGrid entry={entry} highlight={number} onPick={n => setQuery(String(n))}/>
+        </div>
+      )}
+
+      <div style={cardStyle}>
+        <div style={sectionHeadStyle}>Repeat Cars <span style={badgeStyle}>{repeats.length}</span></div>
+        {repeats.length === 0
+          ? <div style={{fontSize:"0.85rem",color:muted}}>No car ridden twice yet.</div>
+          : <>
+              <div style={{fontSize:"0.9rem",marginBottom:"0.85rem"}}>
+                You've ridden car <strong style={{color:"#f472b6"}}>#{repeats[0].number}</strong> {repeats[0].count} times.
+              </div>
+              <div style={{display:"flex",flexDirection:"column",gap:"0.4rem"}}>
+                {repeats.slice(0, 10).map((c, i) => (
+                  <div key={`${c.model}::${c.number}`} style={{display:"flex",alignItems:"center",gap:"0.75rem",fontSize:"0.85rem"}}>
+                    <span style={{width:22,color:muted,fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700}}>{i + 1}</span>
+                    <span style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,fontSize:"1.05rem",width:64}}>#{c.number}</span>
+                    <span style={{flex:1,color:muted}}>{c.model} · last {new Date(c.last).toLocaleDateString()}</span>
+                    <span style={{fontWeight:700,color:"#f472b6"}}>{c.count}×</span>
+                  </div>
+                ))}
+              </div>
+            </>}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   LINE × MODEL MATRIX (NYC Progress)
+   One table per division, since A Division cars can't run on B Division
+   lines. A mixed consist counts once for each of its models. Dots mark the
+   pairs a line's car assignment says are out there to catch.
+═══════════════════════════════════════════════════════════════════ */
+/* Models expected on a line: its `models` assignment from the datasets, or
+   every model of its division when it has none. */
+function lineModels(line, rollingStock) {
+  return line.models?.length ? rollingStock.filter(s => line.models.includes(s.model)) : rollingStock.filter(s => s.division === line.division);
+}
+
+/* Models logged on a line that its car assignment doesn't list. */
+function unusualForLine(line, models) {
+  return line?.models?.length ? [...new Set(models)].filter(m => m && m !== "Unknown" && !line.models.includes(m)) : [];
+}
+
+/* → Map("line::model" → { count, first }) */
+function lineModelPairs(rides) {
+  const pairs = new Map();
+  rides.forEach(r => new Set(rideCars(r).map(c => c.model)).forEach(model => {
+    const key = `${r.line}::${model}`, t = new Date(r.timestamp).getTime();
+    const prev = pairs.get(key);
+    if (!prev) pairs.set(key, { count: 1, first: t });
+    else { prev.count++; prev.first = Math.min(prev.first, t); }
+  }));
+  return pairs;
+}
+
+function LineModelMatrix({ rides, datasets }) {
+  const pairs = useMemo(() => lineModelPairs(rides), [rides]);
+  const [missingFor, setMissingFor] = useState("ridden");
+  const muted = "rgba(255,255,255,0.4)";
+  const groups = [...new Set(datasets.lines.map(l => l.division))].map(div => ({
+    div, lines: datasets.lines.filter(l => l.division === div), models: datasets.rollingStock.filter(s => s.division === div),
+  })).filter(g => g.models.length > 0);
+  const possible = datasets.lines.reduce((n, l) => n + lineModels(l, datasets.rollingStock).length, 0);
+  const caught = datasets.lines.reduce((n, l) => n + lineModels(l, datasets.rollingStock).filter(s => pairs.has(`${l.id}::${s.model}`)).length, 0);
+  const riddenLines = new Set(rides.map(r => r.line));
+  const missingLines = datasets.lines.filter(l => missingFor === "all" || riddenLines.has(l.id));
+  const cell = {padding:"0.35rem 0.4rem",textAlign:"center",borderBottom:"1px solid rgba(255,255,255,0.05)",minWidth:52};
+
+  return (
+    <div style={cardStyle}>
+      <div style={sectionHeadStyle}>Lines × Models <span style={badgeStyle}>{caught}/{possible}</span></div>
+      <ProgressBar value={possible ? (caught / possible) * 100 : 0} color="#c084fc"/>
+      {groups.map(g => (
+        <div key={g.div} style={{marginTop:"1.25rem"}}>
+          <div style={{fontSize:"0.7rem",color:"rgba(255,255,255,0.35)",letterSpacing:"0.1em",textTransform:"uppercase",marginBottom:"0.5rem"}}>
+            {DIV_LABELS[g.div] || g.div}</div>
+          <div style={{overflowX:"auto",borderRadius:10,border:"1px solid rgba(255,255,255,0.08)"}}>
+            <table style={{borderCollapse:"collapse",fontSize:"0.8rem",width:"100%"}}>
+              <thead><tr style={{background:"rgba(0,0,0,0.4)"}}>
+                <th style={{...cell,position:"sticky",left:0,background:"#18181d"}}/>
+                {g.models.map(s => (
+                  <th key={s.model} style={{...cell,color:muted,fontWeight:700,fontSize:"0.7rem",letterSpacing:"0.04em",whiteSpace:"nowrap"}}>{s.model}</th>
+                ))}
+              </tr></thead>
+              <tbody>
+                {g.lines.map(l => { const expected = new Set(lineModels(l, datasets.rollingStock).map(s => s.model)); return (
+                  <tr key={l.id}>
+                    <td style={{...cell,position:"sticky",left:0,background:"#18181d"}}>
+                      <LineBullet label={l.label} color={l.color} textColor={l.textColor} size={26}/>
+                    </td>
+                    {g.models.map(s => {
+                      const p = pairs.get(`${l.id}::${s.model}`);
+                      return (
+                        <td key={s.model} title={`${s.model} on the ${l.label} — ${p ? `${p.count} ride${p.count === 1 ? "" : "s"}, first ${new Date(p.first).toLocaleDateString()}` : expected.has(s.model) ? "not ridden yet" : "not assigned to this line"}`}
+                          style={{...cell,background:p ? `${l.color}${p.count > 4 ? "66" : p.count > 1 ? "44" : "26"}` : "transparent"}}>
+                          {p ? <>
+                            <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:800,fontSize:"1rem"}}>{p.count}</div>
+                            <div style={{fontSize:"0.62rem",color:"rgba(255,255,255,0.55)",whiteSpace:"nowrap"}}>
+                              {new Date(p.first).toLocaleDateString(undefined, { month:"short", day:"numeric", year:"2-digit" })}</div>
+                          </> : expected.has(s.model) && <span style={{color:"rgba(255,255,255,0.15)"}}>·</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ); })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",margin:"1.5rem 0 0.75rem",gap:"0.5rem",flexWrap:"wrap"}}>
+        <span style={{...sectionHeadStyle,fontSize:"1rem",marginBottom:0}}>Still to catch</span>
+        <div style={{display:"flex",gap:"0.35rem"}}>
+          {[["ridden","Lines I've ridden"],["all","All lines"]].map(([key, label]) => (
+            <SmallBtn key={key} onClick={() => setMissingFor(key)}
+              style={missingFor===key?{background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}:{}}>{label}</SmallBtn>
+          ))}
+        </div>
+      </div>
+      {missingLines.length === 0 && <div style={{fontSize:"0.85rem",color:muted}}>No rides yet.</div>}
+      <div style={{display:"flex",flexDirection:"column",gap:"0.5rem"}}>
+        {missingLines.map(l => {
+          const missing = lineModels(l, datasets.rollingStock).filter(s => !pairs.has(`${l.id}::${s.model}`));
+          return (
+            <div key={l.id} style={{display:"flex",alignItems:"center",gap:"0.6rem",flexWrap:"wrap"}}>
+              <LineBullet label={l.label} color={l.color} textColor={l.textColor} size={26}/>
+              {missing.length === 0
+                ? <span style={{fontSize:"0.8rem",color:"#4ade80"}}>✓ every model caught</span>
+                : missing.map(s => (
+                    <span key={s.model} style={{...badgeStyle,fontFamily:"inherit",fontWeight:600,fontSize:"0.75rem",color:"rgba(255,255,255,0.7)"}}>{s.model}</span>
+                  ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RIDING PATTERNS — calendar heatmap, streaks, weekday/hour breakdowns
+   Everything is bucketed by the rider's local day and hour, computed from
+   ride timestamps. A streak is consecutive days with at least one ride; the
+   current streak survives until a whole day passes with none.
+═══════════════════════════════════════════════════════════════════ */
+const WEEKDAY_LABELS = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"];
+const MONTH_LABELS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+function localDayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+function addDays(date, n) { const d = new Date(date); d.setDate(d.getDate() + n); return d; }
+
+function ridePatterns(records, today = new Date()) {
+  const perDay = new Map(), weekday = Array(7).fill(0), hour = Array(24).fill(0);
+  records.forEach(r => {
+    const d = new Date(r.timestamp);
+    if (isNaN(d)) return;
+    const key = localDayKey(d);
+    perDay.set(key, (perDay.get(key) || 0) + 1);
+    weekday[d.getDay()]++;
+    hour[d.getHours()]++;
+  });
+
+  // Walk the ridden days in order; Date arithmetic keeps DST days in step
+  const days = [...perDay.keys()].sort();
+  let longest = 0, longestEnd = null, run = 0, prev = null;
+  days.forEach(key => {
+    const d = new Date(`${key}T00:00`);
+    run = prev && localDayKey(addDays(prev, 1)) === key ? run + 1 : 1;
+    if (run > longest) { longest = run; longestEnd = key; }
+    prev = d;
+  });
+  let current = 0;
+  let cursor = perDay.has(localDayKey(today)) ? new Date(today) : addDays(today, -1);
+  while (perDay.has(localDayKey(cursor))) { current++; cursor = addDays(cursor, -1); }
+
+  return { perDay, weekday, hour, activeDays: perDay.size, current, longest, longestEnd };
+}
+
+/* One column per week, Sunday at the top, ending with the week of `end`. */
+function CalendarHeatmap({ perDay, end, noun, accent, muted }) {
+  const cell = 11, gap = 2, step = cell + gap, top = 14, left = 26;
+  const lastSunday = addDays(end, -end.getDay());
+  const firstSunday = addDays(lastSunday, -52 * 7);
+  const max = Math.max(1, ...[...perDay.values()]);
+  const endKey = localDayKey(end);
+  const cells = [], months = [];
+  for (let w = 0; w < 53; w++) {
+    for (let dow = 0; dow < 7; dow++) {
+      const date = addDays(firstSunday, w * 7 + dow);
+      const key = localDayKey(date);
+      if (key > endKey) continue;
+      if (date.getDate() === 1) months.push({ w, label: MONTH_LABELS[date.getMonth()] });
+      cells.push({ key, w, dow, count: perDay.get(key) || 0 });
+    }
+  }
+  const fill = (count) => count === 0 ? "rgba(255,255,255,0.06)" : accent;
+  const opacity = (count) => count === 0 ? 1 : 0.25 + 0.75 * Math.ceil((count / max) * 4) / 4;
+  return (
+    <div style={{overflowX:"auto"}}>
+      <svg viewBox={`0 0 ${left + 53 * step} ${top + 7 * step}`} style={{width:"100%",minWidth:520,display:"block"}}>
+        {months.map(m => (
+          <text key={`${m.w}-${m.label}`} x={left + m.w * step} y={10} fill={muted} fontSize={8} fontFamily="'IBM Plex Mono',monospace">{m.label}</text>
+        ))}
+        {[1,3,5].map(dow => (
+          <text key={dow} x={0} y={top + dow * step + cell - 2} fill={muted} fontSize={8} fontFamily="'IBM Plex Mono',monospace">{WEEKDAY_LABELS[dow]}</text>
+        ))}
+        {cells.map(c => (
+          <motion.rect key={c.key} x={left + c.w * step} y={top + c.dow * step} width={cell} height={cell} rx={2}
+            fill={fill(c.count)} initial={{opacity:0}} animate={{opacity:opacity(c.count)}} transition={{duration:0.3,delay:c.w * 0.006}}>
+            <title>{`${new Date(`${c.key}T00:00`).toLocaleDateString()} — ${c.count} ${noun}${c.count === 1 ? "" : "s"}`}</title>
+          </motion.rect>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+function BreakdownBars({ counts, labels, accent, muted, labelEvery = 1 }) {
+  const width = 240, h = 60, w = width / counts.length, max = Math.max(1, ...counts);
+  return (
+    <svg viewBox={`0 0 ${width} ${h + 12}`} style={{width:"100%",display:"block"}}>
+      {counts.map((n, i) => {
+        const bh = (n / max) * h;
+        return (
+          <g key={i}>
+            <motion.rect x={i * w + w * 0.15} width={w * 0.7} rx={1.5} fill={n ? accent : "rgba(255,255,255,0.06)"}
+              initial={{y:h,height:0}} animate={{y:h - Math.max(bh, 1),height:Math.max(bh, 1)}} transition={{duration:0.6,ease:"easeOut",delay:i * 0.02}}>
+              <title>{`${labels[i]} — ${n}`}</title>
+            </motion.rect>
+            {i % labelEvery === 0 && (
+              <text x={i * w + w / 2} y={h + 9} textAnchor="middle" fill={muted} fontSize={8} fontFamily="'IBM Plex Mono',monospace">{labels[i]}</text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/* Drop-in card for each Stats page. Styling is passed in so it matches the
+   NYC/WMATA cards and the PATH theme. */
+function RidingPatterns({ records, noun, accent, cardProps, headStyle, muted = "rgba(255,255,255,0.4)" }) {
+  const [yearsBack, setYearsBack] = useState(0);
+  const today = new Date();
+  const stats = useMemo(() => ridePatterns(records), [records]);
+  const end = yearsBack === 0 ? today : new Date(today.getFullYear() - yearsBack, 11, 31);
+  const oldest = useMemo(() => records.reduce((min, r) => Math.min(min, Date.parse(r.timestamp) || min), Date.now()), [records]);
+  const canGoBack = oldest < addDays(end, -364).getTime();
+  const hourLabels = Array.from({length:24}, (_, h) => `${h}:00`);
+  const navBtn = (disabled) => ({background:"none",border:"none",color:disabled?"rgba(255,255,255,0.15)":muted,cursor:disabled?"default":"pointer",fontSize:"0.9rem",padding:"0 0.3rem"});
+  const stat = (label, value, sub) => (
+    <div key={label}>
+      <div style={{fontSize:"0.68rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em"}}>{label}</div>
+      <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.6rem",color:accent,lineHeight:1.1}}>{value}</div>
+      {sub && <div style={{fontSize:"0.68rem",color:muted}}>{sub}</div>}
+    </div>
+  );
+  if (records.length === 0) return null;
+  return (
+    <div {...cardProps}>
+      <div style={{...headStyle,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
+        <span>{noun[0].toUpperCase() + noun.slice(1)}s per day</span>
+        <span style={{fontSize:"0.72rem",fontWeight:400,letterSpacing:0,textTransform:"none"}}>
+          <button onClick={() => canGoBack && setYearsBack(y => y + 1)} style={navBtn(!canGoBack)} aria-label="Previous year">‹</button>
+          {yearsBack === 0 ? "Last 12 months" : end.getFullYear()}
+          <button onClick={() => yearsBack > 0 && setYearsBack(y => y - 1)} style={navBtn(yearsBack === 0)} aria-label="Next year">›</button>
+        </span>
+      </div>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(110px,1fr))",gap:"0.75rem",marginBottom:"1rem"}}>
+        {stat("Current streak", `${stats.current} day${stats.current === 1 ? "" : "s"}`)}
+        {stat("Longest streak", `${stats.longest} day${stats.longest === 1 ? "" : "s"}`, stats.longestEnd && `ended ${new Date(`${stats.longestEnd}T00:00`).toLocaleDateString()}`)}
+        {stat("Days ridden", stats.activeDays)}
+      </div>
+      <CalendarHeatmap perDay={stats.perDay} end={end} noun={noun} accent={accent} muted={muted}/>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(240px,1fr))",gap:"1.25rem",marginTop:"1.25rem"}}>
+        <div>
+          <div style={{fontSize:"0.68rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em",marginBottom:"0.4rem"}}>By weekday</div>
+          <BreakdownBars counts={stats.weekday} labels={WEEKDAY_LABELS} accent={accent} muted={muted}/>
+        </div>
+        <div>
+          <div style={{fontSize:"0.68rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em",marginBottom:"0.4rem"}}>By hour</div>
+          <BreakdownBars counts={stats.hour} labels={hourLabels} accent={accent} muted={muted} labelEvery={6}/>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   ACHIEVEMENTS — rules evaluated against each system's history
+   A rule's progress() returns [have, need]; it's unlocked once have ≥ need.
+   Status is always recomputed, so deleting rides can re-lock a badge. The
+   log only remembers when each badge was first seen unlocked, for the date
+   in the gallery and so the Live Rider toasts each unlock once.
+═══════════════════════════════════════════════════════════════════ */
+const ACHIEVEMENTS_KEY = "haveiridden_achievements_v1";
+
+const visitedStationNames = (visited) => new Set([...visited].map(k => k.includes("::") ? k.split("::")[1] : k));
+const recordCount = (id, n, icon, title, noun) =>
+  ({ id, icon, title, desc:`Log ${n} ${noun}${n === 1 ? "" : "s"}`, progress:({ records }) => [records.length, n] });
+const rideStreak = (n) =>
+  ({ id:`streak-${n}`, icon:"🔥", title:`${n}-Day Streak`, desc:`Ride ${n} days in a row`, progress:({ records }) => [ridePatterns(records).longest, n] });
+const nycModelsRidden = (records, models) => {
+  const ridden = new Set(records.flatMap(rideCars).map(c => c.model));
+  return [models.filter(m => ridden.has(m.model)).length, models.length];
+};
+
+const ACHIEVEMENTS = {
+  nyc: [
+    recordCount("first-ride", 1, "🚇", "First Ride", "ride"),
+    recordCount("rides-10", 10, "🎟️", "Regular", "ride"),
+    recordCount("rides-100", 100, "💯", "Century", "ride"),
+    recordCount("rides-500", 500, "🏆", "Lifer", "ride"),
+    { id:"r211t", icon:"🧪", title:"Open Gangway", desc:"Ride an R211T", progress:({ records }) => [records.some(r => rideCars(r).some(c => c.model === "R211T")) ? 1 : 0, 1] },
+    { id:"a-division", icon:"🅰️", title:"IRT Collector", desc:"Ride every A Division model",
+      progress:({ records, datasets }) => nycModelsRidden(records, datasets.rollingStock.filter(m => m.division === "A")) },
+    { id:"b-division", icon:"🅱️", title:"IND/BMT Collector", desc:"Ride every B Division model",
+      progress:({ records, datasets }) => nycModelsRidden(records, datasets.rollingStock.filter(m => m.division === "B")) },
+    { id:"all-models", icon:"🚃", title:"Full Fleet", desc:"Ride every model in the fleet data",
+      progress:({ records, datasets }) => nycModelsRidden(records, datasets.rollingStock) },
+    { id:"all-lines", icon:"🗽", title:"Every Line", desc:"Ride every subway line",
+      progress:({ records, datasets }) => { const ridden = new Set(records.map(r => r.line)); return [datasets.lines.filter(l => ridden.has(l.id)).length, datasets.lines.length]; } },
+    { id:"cars-100", icon:"🔢", title:"Car Spotter", desc:"Ride 100 different cars", progress:({ records }) => [new Set(records.flatMap(rideCars).map(c => c.trainNumber)).size, 100] },
+    { id:"stations-100", icon:"📍", title:"Station Hopper", desc:"Visit 100 stations", progress:({ visited }) => [visitedStationNames(visited).size, 100] },
+    rideStreak(7),
+  ],
+  dc: [
+    recordCount("first-trip", 1, "🚇", "First Trip", "trip"),
+    recordCount("trips-50", 50, "🎟️", "SmarTrip Regular", "trip"),
+    recordCount("trips-100", 100, "💯", "Century", "trip"),
+    { id:"first-transfer", icon:"🔀", title:"Transfer", desc:"Log a trip with a transfer", progress:({ records }) => [records.some(r => r.transferLineId) ? 1 : 0, 1] },
+    ...DC_LINES_DATA.map(l => ({ id:`line-${l.id}`, icon:"🚉", title:`${l.label} Line Complete`, desc:`Visit every ${l.label} Line station`,
+      progress:({ visited }) => { const names = visitedStationNames(visited); return [l.stations.filter(st => names.has(st)).length, l.stations.length]; } })),
+    { id:"all-lines", icon:"🌈", title:"All Six Colors", desc:"Ride every Metrorail line",
+      progress:({ records }) => { const ridden = new Set(records.flatMap(r => [r.lineId, r.exitLineId])); return [DC_LINES_DATA.filter(l => ridden.has(l.id)).length, DC_LINES_DATA.length]; } },
+    { id:"all-stations", icon:"🏛️", title:"Whole System", desc:"Visit every Metrorail station",
+      progress:({ visited }) => { const all = new Set(DC_LINES_DATA.flatMap(l => l.stations)), names = visitedStationNames(visited); return [[...all].filter(st => names.has(st)).length, all.size]; } },
+    rideStreak(7),
+  ],
+  path: [
+    recordCount("first-trip", 1, "🚇", "First Trip", "trip"),
+    recordCount("trips-50", 50, "🎟️", "Commuter", "trip"),
+    recordCount("trips-100", 100, "💯", "Century", "trip"),
+    { id:"cross-hudson", icon:"🌉", title:"Under the Hudson", desc:"Ride between New Jersey and New York",
+      progress:({ records }) => {
+        const state = (name) => PATH_ALL_STATIONS.find(st => st.name === name)?.state;
+        return [records.some(r => state(r.boardStation) && state(r.exitStation) && state(r.boardStation) !== state(r.exitStation)) ? 1 : 0, 1];
+      } },
+    { id:"all-lines", icon:"🛤️", title:"Every Route", desc:"Ride all four PATH routes",
+      progress:({ records }) => { const ridden = new Set(records.map(r => r.lineId)); return [PATH_LINES_DATA.filter(l => ridden.has(l.id)).length, PATH_LINES_DATA.length]; } },
+    { id:"all-stations", icon:"🏁", title:`All ${PATH_ALL_STATIONS.length} Stations`, desc:"Visit every PATH station",
+      progress:({ visited }) => [PATH_ALL_STATIONS.filter(st => visited.has(st.name)).length, PATH_ALL_STATIONS.length] },
+    rideStreak(7),
+  ],
+};
+
+/* ctx: { records, visited, datasets? } — datasets only for NYC. */
+function evaluateAchievements(system, ctx) {
+  return ACHIEVEMENTS[system].map(a => {
+    const [have, need] = a.progress(ctx);
+    return { ...a, have: Math.min(have, need), need, unlocked: need > 0 && have >= need };
+  });
+}
+
+/* Records newly unlocked badges in the log. Whatever is already unlocked when
+   the Live Rider mounts (imports, restores, first run) is logged silently;
+   only unlocks caused by logging while it's open come back as a toast. */
+function useAchievementUnlocks(system, ctx) {
+  const [toast, setToast] = useState(null);
+  const mounted = React.useRef(false);
+  useEffect(() => {
+    const log = readStorageJSON(ACHIEVEMENTS_KEY) || {};
+    const seen = log[system] || {};
+    const fresh = evaluateAchievements(system, ctx).filter(a => a.unlocked && !seen[a.id]);
+    if (fresh.length) {
+      const at = new Date().toISOString();
+      writeStorageJSON(ACHIEVEMENTS_KEY, { ...log, [system]: { ...seen, ...Object.fromEntries(fresh.map(a => [a.id, at])) } });
+      if (mounted.current) setToast(fresh);
+    }
+    mounted.current = true;
+  }, [system, ctx]);
+  const dismiss = React.useCallback(() => setToast(null), []);
+  return [toast, dismiss];
+}
+
+function AchievementToast({ unlocked, onDone }) {
+  useEffect(() => {
+    if (!unlocked) return;
+    const t = setTimeout(onDone, 5000);
+    return () => clearTimeout(t);
+  }, [unlocked, onDone]);
+  return (
+    <AnimatePresence>
+      {unlocked && (
+        <motion.div key={unlocked.map(a => a.id).join()} onClick={onDone} initial={{opacity:0,y:-24,scale:0.95}} animate={{opacity:1,y:0,scale:1}} exit={{opacity:0,y:-24}}
+          style={{position:"fixed",top:"1rem",left:"50%",transform:"translateX(-50%)",zIndex:260,width:"calc(100% - 2rem)",maxWidth:420,cursor:"pointer",
+            padding:"0.85rem 1rem",background:"linear-gradient(135deg,#2a2412,#1c1d24)",border:"1px solid rgba(252,204,10,0.45)",borderRadius:12,
+            boxShadow:"0 10px 40px rgba(0,0,0,0.55)",color:"#f0f0f4"}}>
+          <div style={{fontFamily:"'IBM Plex Mono',monospace",fontSize:"0.62rem",letterSpacing:"0.14em",textTransform:"uppercase",color:"#FCCC0A",marginBottom:"0.4rem"}}>
+            Achievement{unlocked.length > 1 ? "s" : ""} unlocked
+          </div>
+          {unlocked.map(a => (
+            <div key={a.id} style={{display:"flex",alignItems:"center",gap:"0.7rem",marginTop:"0.25rem"}}>
+              <motion.span initial={{scale:0,rotate:-20}} animate={{scale:1,rotate:0}} transition={{type:"spring",stiffness:300,damping:14}} style={{fontSize:"1.6rem"}}>{a.icon}</motion.span>
+              <div>
+                <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:800,fontSize:"1.1rem"}}>{a.title}</div>
+                <div style={{fontSize:"0.76rem",color:"rgba(255,255,255,0.5)"}}>{a.desc}</div>
+              </div>
+            </div>
+          ))}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+function AchievementGallery({ system, ctx, accent, cardProps, headStyle, muted = "rgba(255,255,255,0.4)" }) {
+  const results = useMemo(() => evaluateAchievements(system, ctx), [system, ctx]);
+  const seen = (readStorageJSON(ACHIEVEMENTS_KEY) || {})[system] || {};
+  const count = results.filter(a => a.unlocked).length;
+  return (
+    <div {...cardProps}>
+      <div style={{...headStyle,display:"flex",alignItems:"center",justifyContent:"space-between"}}>
+        <span>Achievements</span>
+        <span style={{color:accent}}>{count}/{results.length}</span>
+      </div>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(150px,1fr))",gap:"0.6rem"}}>
+        {results.map(a => (
+          <motion.div key={a.id} whileHover={{scale:1.03}} title={a.desc}
+            style={{padding:"0.75rem",borderRadius:10,border:`1px solid ${a.unlocked?`${accent}66`:"rgba(255,255,255,0.08)"}`,
+              background:a.unlocked?`${accent}14`:"rgba(255,255,255,0.03)"}}>
+            <div style={{fontSize:"1.5rem",filter:a.unlocked?"none":"grayscale(1)",opacity:a.unlocked?1:0.35}}>{a.icon}</div>
+            <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:800,fontSize:"0.98rem",marginTop:"0.3rem",color:a.unlocked?"#f0f0f4":muted}}>{a.title}</div>
+            <div style={{fontSize:"0.72rem",color:muted,lineHeight:1.4,marginTop:"0.15rem"}}>{a.desc}</div>
+            {a.unlocked
+              ? <div style={{fontSize:"0.66rem",color:accent,marginTop:"0.4rem"}}>✓ {seen[a.id] ? new Date(seen[a.id]).toLocaleDateString() : "Unlocked"}</div>
+              : a.need > 1 && (
+                <div style={{marginTop:"0.45rem"}}>
+                  <div style={{height:4,background:"rgba(255,255,255,0.08)",borderRadius:2,overflow:"hidden"}}>
+                    <motion.div initial={{width:0}} animate={{width:`${(a.have / a.need) * 100}%`}} transition={{duration:0.6,ease:"easeOut"}} style={{height:"100%",background:accent}}/>
+                  </div>
+                  <div style={{fontSize:"0.64rem",color:muted,marginTop:"0.25rem"}}>{a.have}/{a.need}</div>
+                </div>
+              )}
+          </motion.div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   JOURNEYS — consecutive legs grouped together, in any mix of systems
+   A leg is an ordinary ride or trip carrying a journeyId, so it stays in
+   its own system's history, exports and backups. "Next leg" leaves a
+   marker here; the next record logged in any system joins that journey.
+   A marker nobody uses lapses after JOURNEY_GAP_MS.
+═══════════════════════════════════════════════════════════════════ */
+const NEXT_LEG_KEY = "haveiridden_next_leg_v1";
+const JOURNEY_GAP_MS = 2 * 60 * 60 * 1000;
+const JOURNEY_SOURCES = { nyc: RIDES_KEY, dc: DC_RIDES_KEY, path: PATH_TRIPS_KEY, ...definedSystems(def => genericKeys(def).records) };
+const nextLegListeners = new Set();
+
+function readNextLeg() {
+  const pending = readStorageJSON(NEXT_LEG_KEY);
+  return pending && Date.now() - pending.at < JOURNEY_GAP_MS ? pending : null;
+}
+function writeNextLeg(pending) {
+  writeStorageJSON(NEXT_LEG_KEY, pending);
+  nextLegListeners.forEach(fn => fn(pending));
+}
+function useNextLeg() {
+  const [pending, setPending] = useState(readNextLeg);
+  useEffect(() => {
+    nextLegListeners.add(setPending);
+    return () => { nextLegListeners.delete(setPending); };
+  }, []);
+  return pending;
+}
+
+function journeyLegs(journeyId) {
+  return Object.entries(JOURNEY_SOURCES).flatMap(([system, key]) =>
+    (readStorageJSON(key) || []).filter(r => r.journeyId === journeyId).map(record => ({ system, record })));
+}
+
+function setRecordJourney(system, id, journeyId) {
+  const key = JOURNEY_SOURCES[system];
+  replaceStoredValue(key, (readStorageJSON(key) || []).map(r => {
+    if (r.id !== id) return r;
+    const { journeyId: _previous, ...rest } = r;
+    return journeyId ? { ...rest, journeyId } : rest;
+  }));
+}
+
+/* Live Riders pass every new record through here before saving it. */
+function joinPendingJourney(record) {
+  const pending = readNextLeg();
+  if (!pending) return record;
+  writeNextLeg(null);
+  return { ...record, journeyId: pending.id };
+}
+
+/* Waits for another leg after `record`, starting a journey from it if it
+   isn't part of one yet. Returns the journey id. */
+function startNextLeg(system, record) {
+  const journeyId = record.journeyId || crypto.randomUUID();
+  if (!record.journeyId) setRecordJourney(system, record.id, journeyId);
+  writeNextLeg({ id: journeyId, at: Date.now(), from: { system, station: record.exitStation || null } });
+  return journeyId;
+}
+
+/* A journey that never got its second leg isn't one — untag the lone ride. */
+function cancelNextLeg() {
+  const pending = readNextLeg();
+  writeNextLeg(null);
+  if (!pending) return;
+  const legs = journeyLegs(pending.id);
+  if (legs.length === 1) setRecordJourney(legs[0].system, legs[0].record.id, null);
+}
+
+/* The station a pending next leg should board at, if it's in this system. */
+function nextLegBoardStation(pending, system, stations) {
+  const station = pending?.from.system === system ? pending.from.station : null;
+  return station && stations.includes(station) ? station : null;
+}
+
+/* Every journey with two or more legs, legs in ride order, newest first.
+   Duration runs from the first leg's time to the last leg's. */
+function collectJourneys() {
+  const byId = new Map();
+  Object.entries(JOURNEY_SOURCES).forEach(([system, key]) => (readStorageJSON(key) || []).forEach(record => {
+    if (!record.journeyId) return;
+    if (!byId.has(record.journeyId)) byId.set(record.journeyId, []);
+    byId.get(record.journeyId).push({ system, record });
+  }));
+  return [...byId.entries()]
+    .filter(([, legs]) => legs.length > 1)
+    .map(([id, legs]) => {
+      legs.sort((a, b) => Date.parse(a.record.timestamp) - Date.parse(b.record.timestamp));
+      const start = Date.parse(legs[0].record.timestamp), end = Date.parse(legs[legs.length - 1].record.timestamp);
+      return { id, legs, start, duration: end - start, systems: [...new Set(legs.map(l => l.system))] };
+    })
+    .sort((a, b) => b.start - a.start);
+}
+
+/* collectJourneys() for a component, redone only when a source's records are
+   replaced. Every write stores a new array, so comparing references is enough. */
+function useJourneys() {
+  const snapshots = Object.values(JOURNEY_SOURCES).map(key => readStorageJSON(key));
+  const memo = React.useRef(null);
+  if (!memo.current || snapshots.some((s, i) => s !== memo.current.snapshots[i])) memo.current = { snapshots, journeys: collectJourneys() };
+  return memo.current.journeys;
+}
+
+function describeLeg(system, r) {
+  const route = r.boardStation || r.exitStation ? `${r.boardStation || "?"} → ${r.exitStation || "?"}` : null;
+  return [r.lineLabel || r.line, r.model, route].filter(Boolean).join(" · ");
+}
+
+function formatDuration(ms) {
+  const mins = Math.round(ms / 60000);
+  return mins < 60 ? `${mins} min` : `${Math.floor(mins / 60)} h ${String(mins % 60).padStart(2, "0")} min`;
+}
+
+function NextLegBanner({ system, accent = "#FCCC0A", muted = "rgba(255,255,255,0.45)" }) {
+  const pending = useNextLeg();
+  if (!pending) return null;
+  const legs = journeyLegs(pending.id).length;
+  const { from } = pending;
+  return (
+    <div style={{display:"flex",alignItems:"center",gap:"0.75rem",marginBottom:"1.25rem",padding:"0.65rem 0.9rem",
+      borderLeft:`3px solid ${accent}`,background:"rgba(255,255,255,0.04)",borderRadius:6,fontSize:"0.8rem",color:muted}}>
+      <span style={{flex:1}}>
+        <strong style={{color:"#f0f0f4"}}>Next leg</strong> · {legs} leg{legs === 1 ? "" : "s"} so far
+        {from.station && <> · from {from.station}{from.system !== system && ` (${SYSTEM_NAMES[from.system]})`}</>}
+        {from.system === system && from.station && <> — pick a line that serves it to board there</>}
+      </span>
+      <button onClick={cancelNextLeg}
+        style={{background:"none",border:"1px solid rgba(255,255,255,0.2)",borderRadius:4,color:muted,cursor:"pointer",fontSize:"0.72rem",padding:"0.25rem 0.6rem"}}>
+        Cancel</button>
+    </div>
+  );
+}
+
+/* Sits in each Live Rider's "logged" card. */
+function NextLegButton({ system, record, onStarted, accent = "#FCCC0A" }) {
+  const pending = useNextLeg();
+  const legs = record.journeyId ? journeyLegs(record.journeyId).length : 0;
+  const waiting = pending && pending.id === record.journeyId;
+  return (
+    <div style={{display:"flex",alignItems:"center",gap:"0.6rem",marginTop:"0.5rem",fontSize:"0.75rem",color:"rgba(255,255,255,0.45)"}}>
+      {legs > 1 && <span>Leg {legs} of a journey</span>}
+      {waiting
+        ? <span>Waiting for the next leg — log it here or switch systems</span>
+        : <button onClick={() => onStarted(startNextLeg(system, record))}
+            style={{background:"none",border:`1px solid ${accent}`,borderRadius:4,color:accent,cursor:"pointer",fontSize:"0.72rem",fontWeight:700,padding:"0.25rem 0.65rem"}}>
+            ＋ Next leg</button>}
+    </div>
+  );
+}
+
+/* Reads every system's storage, so it shows legs ridden elsewhere too. */
+function JourneyStats({ system, accent, cardProps, headStyle, muted = "rgba(255,255,255,0.4)" }) {
+  const all = useJourneys();
+  const journeys = useMemo(() => all.filter(j => j.systems.includes(system)), [all, system]);
+  if (journeys.length === 0) return null;
+  const totalLegs = journeys.reduce((n, j) => n + j.legs.length, 0);
+  const longest = journeys.reduce((a, b) => b.duration > a.duration ? b : a);
+  const stat = (label, value, sub) => (
+    <div key={label}>
+      <div style={{fontSize:"0.68rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em"}}>{label}</div>
+      <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.6rem",color:accent,lineHeight:1.1}}>{value}</div>
+      {sub && <div style={{fontSize:"0.68rem",color:muted}}>{sub}</div>}
+    </div>
+  );
+  return (
+    <div {...cardProps}>
+      <div style={headStyle}>Journeys</div>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(110px,1fr))",gap:"0.75rem",marginBottom:"1rem"}}>
+        {stat("Journeys", journeys.length, `${journeys.filter(j => j.systems.length > 1).length} across systems`)}
+        {stat("Avg legs", (totalLegs / journeys.length).toFixed(1), `${totalLegs} legs in all`)}
+        {stat("Avg duration", formatDuration(journeys.reduce((n, j) => n + j.duration, 0) / journeys.length), "first leg to last")}
+        {stat("Longest", formatDuration(longest.duration), new Date(longest.start).toLocaleDateString())}
+      </div>
+      <div style={{display:"flex",flexDirection:"column",gap:"0.6rem"}}>
+        {journeys.slice(0, 5).map(j => (
+          <div key={j.id} style={{fontSize:"0.78rem"}}>
+            <div style={{color:muted,marginBottom:"0.2rem"}}>
+              {new Date(j.start).toLocaleString()} · {j.legs.length} legs · {formatDuration(j.duration)}
+            </div>
+            {j.legs.map(({ system: legSystem, record }, i) => (
+              <div key={record.id} style={{paddingLeft:"0.75rem",borderLeft:`2px solid ${record.lineColor || muted}`,marginBottom:"0.15rem"}}>
+                <span style={{color:muted}}>{i + 1}. {SYSTEM_NAMES[legSystem]} · </span>{describeLeg(legSystem, record)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   HISTORY SEARCH — one query language for all three histories
+   Bare words match anywhere in a record; facet:value narrows by field.
+   Quote values with spaces (station:"Times Sq"), prefix "-" to exclude
+   (-line:F). Dates are local calendar periods: 2026, 2026-03, 2026-03-14.
+═══════════════════════════════════════════════════════════════════ */
+const searchNorm = (v) => String(v ?? "").toLowerCase();
+const SEARCH_SYSTEMS = ["nyc", "dc", "path", ...SYSTEM_DEFINITIONS.map(def => def.id)];
+// Model and car only mean something where car numbers can be logged
+const SEARCH_CAR_SYSTEMS = ["nyc", "dc", "path", ...SYSTEM_DEFINITIONS.filter(def => def.rollingStock.length).map(def => def.id)];
+const SEARCH_FACETS = {
+  line:     { systems:SEARCH_SYSTEMS,     match:"exact",  values:(sys, r) => [sys === "nyc" ? r.line : r.lineId, r.lineLabel, r.exitLineId, r.exitLineLabel] },
+  model:    { systems:SEARCH_CAR_SYSTEMS, match:"prefix", values:(sys, r) => r.consist ? r.consist.map(c => c.model) : [r.model] },
+  division: { systems:["nyc"],            match:"exact",  values:(sys, r) => [r.division] },
+  car:      { systems:SEARCH_CAR_SYSTEMS, match:"prefix", values:(sys, r) => r.consist ? r.consist.map(c => c.trainNumber) : [r.trainNumber] },
+  station:  { systems:SEARCH_SYSTEMS,     match:"substr", values:(sys, r) => [r.boardStation, r.exitStation] },
+  from:     { systems:SEARCH_SYSTEMS,     match:"substr", values:(sys, r) => [r.boardStation] },
+  to:       { systems:SEARCH_SYSTEMS,     match:"substr", values:(sys, r) => [r.exitStation] },
+  transfer: { systems:SEARCH_SYSTEMS,     match:"exact",  values:(sys, r) => [r.transferLineId, r.transferLineLabel, ...(r.transfers || []).map(t => t.station)] },
+  after:    { systems:SEARCH_SYSTEMS,     match:"date" },
+  before:   { systems:SEARCH_SYSTEMS,     match:"date" },
+  on:       { systems:SEARCH_SYSTEMS,     match:"date" },
+};
+const SEARCH_ALIASES = { div:"division", board:"from", exit:"to", xfer:"transfer", date:"on" };
+
+/* "2026" | "2026-03" | "2026-03-14" → [start, end) in local time, or null. */
+function parseSearchDate(value) {
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!m) return null;
+  const [y, mo, d] = [+m[1], m[2] ? +m[2] - 1 : null, m[3] ? +m[3] : null];
+  const start = new Date(y, mo ?? 0, d ?? 1);
+  const end = d != null ? new Date(y, mo, d + 1) : mo != null ? new Date(y, mo + 1, 1) : new Date(y + 1, 0, 1);
+  if (start.getMonth() !== (mo ?? 0) || (d != null && start.getDate() !== d)) return null;
+  return [start.getTime(), end.getTime()];
+}
+
+function searchFacetTest(system, facet, value) {
+  const def = SEARCH_FACETS[facet];
+  const q = searchNorm(value);
+  if (def.match === "date") {
+    const range = parseSearchDate(value);
+    if (!range) return null;
+    const [start, end] = range;
+    return (r) => {
+      const t = Date.parse(r.timestamp);
+      return facet === "after" ? t >= start : facet === "before" ? t < start : t >= start && t < end;
+    };
+  }
+  if (facet === "transfer" && (q === "yes" || q === "no")) return (r) => !!r.transferLineId === (q === "yes");
+  const cmp = def.match === "exact" ? (v) => v === q : def.match === "prefix" ? (v) => v.startsWith(q) : (v) => v.includes(q);
+  return (r) => def.values(system, r).some(v => v != null && cmp(searchNorm(v)));
+}
+
+function searchText(system, r) {
+  return Object.entries(SEARCH_FACETS)
+    .filter(([, def]) => def.values && def.systems.includes(system))
+    .flatMap(([, def]) => def.values(system, r)).filter(Boolean).map(searchNorm).join("\n");
+}
+
+/* Returns { conditions, errors }. Problems are reported but never throw —
+   the rest of the query still applies while the rider is mid-typing. */
+function parseSearchQuery(system, text) {
+  const conditions = [], errors = [];
+  for (const [, neg, rawFacet, quoted, bare] of text.matchAll(/(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S*))/gi)) {
+    const value = (quoted ?? bare ?? "").trim();
+    if (!rawFacet) {
+      if (value) conditions.push({ negate: !!neg, test: (r) => searchText(system, r).includes(searchNorm(value)) });
+      continue;
+    }
+    const facet = SEARCH_ALIASES[searchNorm(rawFacet)] || searchNorm(rawFacet);
+    if (!SEARCH_FACETS[facet]) { errors.push(`Unknown filter "${rawFacet}:"`); continue; }
+    if (!SEARCH_FACETS[facet].systems.includes(system)) { errors.push(`${facet}: isn't recorded for ${SYSTEM_NAMES[system]}`); continue; }
+    if (!value) continue;
+    const test = searchFacetTest(system, facet, value);
+    if (!test) { errors.push(`${facet}: expects a date like 2026-03-14`); continue; }
+    conditions.push({ negate: !!neg, test });
+  }
+  return { conditions, errors };
+}
+
+function searchRecords(system, records, text) {
+  const parsed = parseSearchQuery(system, text);
+  const results = parsed.conditions.length ? records.filter(r => parsed.conditions.every(c => c.test(r) !== c.negate)) : records;
+  return { results, errors: parsed.errors };
+}
+
+function useHistorySearch(system, records) {
+  const [query, setQuery] = useState("");
+  const { results, errors } = useMemo(() => searchRecords(system, records, query), [system, records, query]);
+  return { query, setQuery, results, errors, active: query.trim() !== "" };
+}
+
+const SEARCH_EXPORT_NAMES = { nyc:"nyc-rides", dc:"wmata-trips", path:"path-trips", ...definedSystems(def => `${def.id}-${def.noun}s`) };
+const SEARCH_EXAMPLES = {
+  nyc: "model:R160 line:F after:2026-01-01",
+  dc: 'line:red station:"Metro Center" after:2026-01',
+  path: "transfer:yes to:Hoboken after:2026-01",
+};
+
+/* Filtered exports carry only the visited stations their own records credit,
+   so importing one elsewhere doesn't mark stations the rides never touched. */
+function downloadSearchResults(system, records, format) {
+  const name = `${SEARCH_EXPORT_NAMES[system]}-filtered-${new Date().toISOString().slice(0,10)}`;
+  if (format === "csv") { downloadCSV(system, records, `${name}.csv`); return; }
+  const visited = new Set(records.flatMap(r => recordVisitedKeys(system, r)));
+  const blob = new Blob([JSON.stringify(buildExport(system, records, visited), null, 2)], {type:"application/json"});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = `${name}.json`; a.click(); URL.revokeObjectURL(url);
+}
+
+/* Input + match count + filtered export. Styling comes from the page so it
+   sits in NYC/WMATA cards and the PATH theme alike. */
+function HistorySearchBar({ system, search, total, noun, inputStyle: fieldStyle, buttonStyle, mutedColor = "rgba(255,255,255,0.4)" }) {
+  const facets = Object.keys(SEARCH_FACETS).filter(f => SEARCH_FACETS[f].systems.includes(system));
+  const example = SEARCH_EXAMPLES[system] || `line:${segmentLines(system)[0]?.id} after:2026-01`;
+  const small = {fontSize:"0.74rem",color:mutedColor,lineHeight:1.6};
+  return (
+    <div style={{marginBottom:"1rem"}}>
+      <input placeholder={`Search — e.g. ${example}`} value={search.query} onChange={e => search.setQuery(e.target.value)} style={{...fieldStyle,marginBottom:"0.4rem"}}/>
+      {!search.active && <div style={small}>Filters: {facets.map(f => `${f}:`).join(" ")} · "-" to exclude</div>}
+      {search.active && (
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:"0.5rem",flexWrap:"wrap"}}>
+          <span style={small}>{search.results.length} of {total} {noun}{total === 1 ? "" : "s"} match</span>
+          <span style={{display:"flex",gap:"0.4rem"}}>
+            <button onClick={() => downloadSearchResults(system, search.results, "json")} disabled={!search.results.length} style={buttonStyle}>⬇ Export matches</button>
+            <button onClick={() => downloadSearchResults(system, search.results, "csv")} disabled={!search.results.length} style={buttonStyle}>⬇ CSV</button>
+          </span>
+        </div>
+      )}
+      {search.errors.map(err => <div key={err} style={{...small,color:"#f87171"}}>{err}</div>)}
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RIDDEN SEGMENTS — the track a WMATA or PATH trip covered
+   Stored on each trip as runs along one line: [{ lineId, stations }]. A
+   PATH trip that changes lines goes via whichever shared station makes it
+   shortest; WMATA trips follow their dcRoute. Track is counted per pair of
+   adjacent stations, whichever line ran over it, so Blue and Silver share
+   credit for Rosslyn–Largo.
+═══════════════════════════════════════════════════════════════════ */
+// Declarations, not consts: DC_MAP_LAYOUT is built with these at module load
+function trackKey(a, b) { return a < b ? `${a}|${b}` : `${b}|${a}`; }
+function segmentLines(system) {
+  if (system === "dc") return DC_LINES_DATA;
+  return system === "path" ? PATH_LINES_DATA : systemDefinition(system)?.lines || [];
+}
+
+function lineSpan(line, from, to) {
+  const i = line.stations.indexOf(from), j = line.stations.indexOf(to);
+  if (i < 0 || j < 0) return [];
+  return i <= j ? line.stations.slice(i, j + 1) : line.stations.slice(j, i + 1).reverse();
+}
+
+function tripSegments(system, trip) {
+  if (system === "dc") return dcRoute(trip.lineId, trip.boardStation, trip.exitStation, trip.transferInferred === false ? trip.transfers : null)?.legs || [];
+  const lines = segmentLines(system);
+  const board = lines.find(l => l.id === trip.lineId);
+  const exit = lines.find(l => l.id === (trip.transferLineId || trip.lineId));
+  if (!board || !exit) return [];
+  if (board.stations.includes(trip.exitStation)) return [{ lineId: board.id, stations: lineSpan(board, trip.boardStation, trip.exitStation) }];
+  let best = null;
+  board.stations.filter(st => exit.stations.includes(st)).forEach(via => {
+    const first = lineSpan(board, trip.boardStation, via), second = lineSpan(exit, via, trip.exitStation);
+    if (!first.length || !second.length) return;
+    const stops = first.length + second.length;
+    if (!best || stops < best.stops) best = { stops, segments: [{ lineId: board.id, stations: first }, { lineId: exit.id, stations: second }] };
+  });
+  return best ? best.segments : [];
+}
+
+/* Stored segments feed the coverage map and station credit as they are, so
+   each must be on a known line and step between neighbouring stations on it. */
+function validSegments(system, segments) {
+  if (!Array.isArray(segments)) return false;
+  const lines = segmentLines(system);
+  return segments.every(seg => {
+    const line = lines.find(l => l.id === seg?.lineId);
+    if (!line || !Array.isArray(seg.stations) || !seg.stations.length) return false;
+    const at = seg.stations.map(st => line.stations.indexOf(st));
+    return at.every((i, n) => i >= 0 && (n === 0 || Math.abs(i - at[n - 1]) === 1));
+  });
+}
+
+function trackCoverage(system, trips) {
+  const ridden = new Set();
+  trips.forEach(t => (t.segments || []).forEach(({ stations }) => {
+    for (let i = 0; i < stations.length - 1; i++) ridden.add(trackKey(stations[i], stations[i + 1]));
+  }));
+  const all = new Set(), perLine = {};
+  segmentLines(system).forEach(l => {
+    const keys = l.stations.slice(1).map((st, i) => trackKey(l.stations[i], st));
+    keys.forEach(k => all.add(k));
+    perLine[l.id] = { ridden: keys.filter(k => ridden.has(k)).length, total: keys.length };
+  });
+  const riddenTotal = [...all].filter(k => ridden.has(k)).length;
+  return { ridden: riddenTotal, total: all.size, pct: all.size ? Math.round((riddenTotal / all.size) * 100) : 0, perLine };
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   RECORD EDITING — shared by the three history editors
+═══════════════════════════════════════════════════════════════════ */
+/* Visited-set keys a record credits: "lineId::station" for NYC and WMATA,
+   bare station names for PATH. WMATA and PATH trips also credit every
+   station on their ridden segments. */
+function recordVisitedKeys(system, rec) {
+  const passed = (rec.segments || []).flatMap(s => s.stations.map(st => system === "path" ? st : `${s.lineId}::${st}`));
+  if (system === "path") return [...new Set([rec.boardStation, rec.exitStation, ...passed].filter(Boolean))];
+  const lineId = system === "nyc" ? rec.line : rec.lineId;
+  const keys = [];
+  if (rec.boardStation) keys.push(`${lineId}::${rec.boardStation}`);
+  if (rec.exitStation) keys.push(`${rec.exitLineId || lineId}::${rec.exitStation}`);
+  return [...new Set([...keys, ...passed])];
+}
+
+/* The new version's stations are marked. Nothing is un-marked: the visited
+   set doesn't record whether a station came from a ride or was ticked by
+   hand on the Stations tab, so the rider clears stale ones there. */
+function updateVisitedForEdit(visited, system, after) {
+  const next = new Set(visited);
+  recordVisitedKeys(system, after).forEach(k => next.add(k));
+  return next;
+}
+
+/* Keeps a stored value selectable even if it's no longer in the station list. */
+function withCurrentOption(options, current) {
+  return current && !options.includes(current) ? [current, ...options] : options;
+}
+
+function RecordEditDialog({ title, subtitle, accent = "#FCCC0A", canSave, onSave, onCancel, children }) {
+  const mono = "'IBM Plex Mono',monospace";
+  const btn = {padding:"0.45rem 0.85rem",border:"1px solid rgba(255,255,255,0.14)",borderRadius:4,background:"rgba(255,255,255,0.05)",
+    color:"rgba(255,255,255,0.75)",fontFamily:mono,fontSize:"0.66rem",letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer"};
+  return (
+    <div onClick={onCancel} style={{position:"fixed",inset:0,zIndex:200,background:"rgba(0,0,0,0.72)",display:"flex",alignItems:"center",justifyContent:"center",padding:"1rem"}}>
+      <motion.div onClick={e => e.stopPropagation()} initial={{opacity:0,y:12}} animate={{opacity:1,y:0}}
+        style={{width:"100%",maxWidth:520,maxHeight:"85vh",overflowY:"auto",background:"#111218",border:"1px solid rgba(255,255,255,0.1)",
+          borderTop:`3px solid ${accent}`,borderRadius:6,padding:"1.25rem",color:"#f0f0f4",fontFamily:"'IBM Plex Sans',sans-serif"}}>
+        <div style={{fontWeight:500,fontSize:"1rem"}}>{title}</div>
+        {subtitle && <div style={{fontFamily:mono,fontSize:"0.62rem",color:"rgba(255,255,255,0.35)",marginTop:"0.2rem",letterSpacing:"0.04em"}}>{subtitle}</div>}
+        <div style={{display:"flex",flexDirection:"column",gap:"1rem",margin:"1.25rem 0"}}>{children}</div>
+        <div style={{display:"flex",gap:"0.5rem",justifyContent:"flex-end"}}>
+          <button onClick={onCancel} style={btn}>Cancel</button>
+          <button onClick={onSave} disabled={!canSave}
+            style={{...btn,background:accent,color:"#000",borderColor:accent,opacity:canSave?1:0.4,cursor:canSave?"pointer":"not-allowed"}}>Save changes</button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   IMPORT MERGE — shared by every system's history importer
+   Records match on id first, then on a per-system fingerprint so the same
+   ride exported from two devices is recognised even if ids were regenerated.
+═══════════════════════════════════════════════════════════════════ */
+const RIDE_FINGERPRINTS = {
+  nyc: (r) => `${r.timestamp}|${r.trainNumber}`,
+  dc: (r) => `${r.timestamp}|${r.boardStation}|${r.exitStation}`,
+  path: (r) => `${r.timestamp}|${r.boardStation}|${r.exitStation}`,
+  ...definedSystems(def => def.logging === "car-number"
+    ? (r) => `${r.timestamp}|${r.trainNumber}` : (r) => `${r.timestamp}|${r.boardStation}|${r.exitStation}`),
+};
+
+function sameRecord(a, b) {
+  const strip = (r) => { const o = {...r}; delete o.id; return JSON.stringify(o, Object.keys(o).sort()); };
+  return strip(a) === strip(b);
+}
+
+/* Sorts incoming records into added / skipped (identical duplicates) / conflicts
+   (same ride, different contents). Nothing is written until resolveMerge. */
+function mergeRecords(current, incoming, fingerprint) {
+  const byId = new Map(current.filter(r => r.id != null).map(r => [r.id, r]));
+  const byPrint = new Map(current.map(r => [fingerprint(r), r]));
+  const seenIds = new Set(), seenPrints = new Set();
+  const added = [], skipped = [], conflicts = [];
+  incoming.forEach(rec => {
+    const print = fingerprint(rec);
+    const existing = (rec.id != null && byId.get(rec.id)) || byPrint.get(print);
+    if (existing) {
+      if (sameRecord(existing, rec)) skipped.push(rec);
+      else conflicts.push({ existing, incoming: rec });
+      return;
+    }
+    if ((rec.id != null && seenIds.has(rec.id)) || seenPrints.has(print)) { skipped.push(rec); return; }
+    if (rec.id != null) seenIds.add(rec.id);
+    seenPrints.add(print);
+    added.push(rec.id != null ? rec : { ...rec, id: crypto.randomUUID() });
+  });
+  return { added, skipped, conflicts };
+}
+
+/* choices[i] === "theirs" replaces the local record for conflict i (keeping its id). */
+function resolveMerge(current, result, choices = {}) {
+  const replace = new Map();
+  result.conflicts.forEach((c, i) => {
+    if (choices[i] === "theirs") replace.set(c.existing, { ...c.incoming, id: c.existing.id ?? c.incoming.id });
+  });
+  const records = [...current.map(r => replace.get(r) || r), ...result.added];
+  return {
+    records,
+    report: { added: result.added.length, skipped: result.skipped.length, conflicts: result.conflicts.length,
+      replaced: replace.size, kept: result.conflicts.length - replace.size },
+  };
+}
+
+function describeImportReport(report, noun) {
+  const plural = (n) => `${n} ${noun}${n === 1 ? "" : "s"}`;
+  const invalid = report.rejected ? ` ${plural(report.rejected)} failed validation and ${report.rejected === 1 ? "was" : "were"} not imported.` : "";
+  if (report.replacedAll != null) return `Replaced history with ${plural(report.replacedAll)}.${invalid}`;
+  let text = `Import complete: ${plural(report.added)} added, ${report.skipped} duplicate${report.skipped === 1 ? "" : "s"} skipped`;
+  if (report.conflicts) text += `, ${report.conflicts} conflict${report.conflicts === 1 ? "" : "s"} (${report.replaced} replaced with imported, ${report.kept} kept)`;
+  return text + "." + invalid;
+}
+
+function ImportMergeDialog({ title, noun, current, incoming, rejected = [], fingerprint, describe, extra, accent = "#FCCC0A", onApply, onCancel }) {
+  const [mode, setMode] = useState("merge");
+  const [choices, setChoices] = useState({});
+  const result = useMemo(() => mergeRecords(current, incoming, fingerprint), [current, incoming, fingerprint]);
+
+  function apply() {
+    if (mode === "replace") {
+      if (!confirm(`Replace all ${current.length} ${noun}s on this device with ${incoming.length} from the file?`)) return;
+      onApply({ mode, records: incoming.map(r => r.id != null ? r : { ...r, id: crypto.randomUUID() }), report: { replacedAll: incoming.length, rejected: rejected.length } });
+      return;
+    }
+    const { records, report } = resolveMerge(current, result, choices);
+    onApply({ mode, records, report: { ...report, rejected: rejected.length } });
+  }
+  function chooseAll(side) { setChoices(Object.fromEntries(result.conflicts.map((_, i) => [i, side]))); }
+
+  const mono = "'IBM Plex Mono',monospace";
+  const btn = {padding:"0.4rem 0.75rem",border:"1px solid rgba(255,255,255,0.14)",borderRadius:4,background:"rgba(255,255,255,0.05)",
+    color:"rgba(255,255,255,0.75)",fontFamily:mono,fontSize:"0.66rem",letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer"};
+  const stat = (n, label, color) => (
+    <div style={{flex:1,minWidth:90,padding:"0.6rem 0.75rem",background:"rgba(255,255,255,0.04)",borderRadius:4}}>
+      <div style={{fontFamily:mono,fontSize:"1.2rem",fontWeight:500,color}}>{n}</div>
+      <div style={{fontFamily:mono,fontSize:"0.58rem",color:"rgba(255,255,255,0.35)",letterSpacing:"0.08em",textTransform:"uppercase"}}>{label}</div>
+    </div>
+  );
+
+  return (
+    <div onClick={onCancel} style={{position:"fixed",inset:0,zIndex:200,background:"rgba(0,0,0,0.72)",display:"flex",alignItems:"center",justifyContent:"center",padding:"1rem"}}>
+      <motion.div onClick={e => e.stopPropagation()} initial={{opacity:0,y:12}} animate={{opacity:1,y:0}}
+        style={{width:"100%",maxWidth:620,maxHeight:"85vh",overflowY:"auto",background:"#111218",border:"1px solid rgba(255,255,255,0.1)",
+          borderRadius:6,padding:"1.25rem",color:"#f0f0f4",fontFamily:"'IBM Plex Sans',sans-serif"}}>
+        <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:"1rem",marginBottom:"1rem",flexWrap:"wrap"}}>
+          <div style={{fontWeight:500,fontSize:"1rem"}}>{title}</div>
+          <div style={{display:"flex",gap:"0.25rem"}}>
+            {["merge","replace"].map(m => (
+              <button key={m} onClick={() => setMode(m)} style={{...btn,padding:"0.3rem 0.6rem",
+                background:mode===m?(m==="replace"?"rgba(238,53,46,0.25)":"rgba(255,255,255,0.16)"):"transparent",
+                color:mode===m?"#fff":"rgba(255,255,255,0.4)"}}>{m}</button>
+            ))}
+          </div>
+        </div>
+
+        {mode === "merge" ? (
+          <>
+            <div style={{display:"flex",gap:"0.5rem",flexWrap:"wrap",marginBottom:"1rem"}}>
+              {stat(result.added.length, "New", "#4ade80")}
+              {stat(result.skipped.length, "Duplicates", "rgba(255,255,255,0.6)")}
+              {stat(result.conflicts.length, "Conflicts", result.conflicts.length ? "#fbbf24" : "rgba(255,255,255,0.6)")}
+            </div>
+            {result.conflicts.length > 0 && (
+              <div style={{marginBottom:"1rem"}}>
+                <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:"0.5rem",marginBottom:"0.5rem",flexWrap:"wrap"}}>
+                  <span style={{fontFamily:mono,fontSize:"0.62rem",color:"rgba(255,255,255,0.4)",letterSpacing:"0.06em"}}>
+                    Same {noun}, different details — choose which copy to keep</span>
+                  <span style={{display:"flex",gap:"0.25rem"}}>
+                    <button onClick={() => chooseAll("mine")} style={{...btn,padding:"0.25rem 0.5rem",fontSize:"0.58rem"}}>Keep all mine</button>
+                    <button onClick={() => chooseAll("theirs")} style={{...btn,padding:"0.25rem 0.5rem",fontSize:"0.58rem"}}>Take all imported</button>
+                  </span>
+                </div>
+                {result.conflicts.map((c, i) => {
+                  const side = choices[i] || "mine";
+                  const option = (key, label, rec) => (
+                    <button onClick={() => setChoices(prev => ({...prev,[i]:key}))}
+                      style={{flex:1,minWidth:200,textAlign:"left",padding:"0.5rem 0.6rem",borderRadius:4,cursor:"pointer",
+                        border:`1px solid ${side===key?accent:"rgba(255,255,255,0.08)"}`,background:side===key?"rgba(255,255,255,0.06)":"transparent",color:"#f0f0f4"}}>
+                      <div style={{fontFamily:mono,fontSize:"0.56rem",color:"rgba(255,255,255,0.35)",letterSpacing:"0.08em",textTransform:"uppercase",marginBottom:"0.2rem"}}>{label}</div>
+                      <div style={{fontSize:"0.8rem"}}>{describe(rec)}</div>
+                    </button>
+                  );
+                  return (
+                    <div key={i} style={{display:"flex",gap:"0.4rem",marginBottom:"0.4rem",flexWrap:"wrap"}}>
+                      {option("mine", "On this device", c.existing)}
+                      {option("theirs", "Imported", c.incoming)}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        ) : (
+          <div style={{fontFamily:mono,fontSize:"0.7rem",color:"#f87171",marginBottom:"1rem",lineHeight:1.6}}>
+            All {current.length} {noun}s on this device will be replaced by the {incoming.length} in the file.
+          </div>
+        )}
+        {rejected.length > 0 && (
+          <div style={{fontFamily:mono,fontSize:"0.64rem",color:"#f87171",marginBottom:"1rem",lineHeight:1.6}}>
+            {rejected.length} record{rejected.length === 1 ? "" : "s"} in the file failed validation and will be skipped:
+            {rejected.slice(0, 3).map(r => <div key={r.index} style={{color:"rgba(248,113,113,0.75)"}}>#{r.index + 1}: {r.errors.join("; ")}</div>)}
+            {rejected.length > 3 && <div style={{color:"rgba(248,113,113,0.75)"}}>…and {rejected.length - 3} more</div>}
+          </div>
+        )}
+        {extra && <div style={{fontFamily:mono,fontSize:"0.64rem",color:"rgba(255,255,255,0.45)",marginBottom:"1rem"}}>{extra(mode)}</div>}
+
+        <div style={{display:"flex",gap:"0.5rem",justifyContent:"flex-end"}}>
+          <button onClick={onCancel} style={btn}>Cancel</button>
+          <button onClick={apply} style={{...btn,background:accent,color:"#000",borderColor:accent}}>
+            {mode === "merge" ? `Import ${result.added.length + Object.values(choices).filter(v => v === "theirs").length}` : "Replace"}</button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   BACKUP & RESTORE — one versioned file for every system
+═══════════════════════════════════════════════════════════════════ */
+const BACKUP_FORMAT = "haveiridden-backup";
+const BACKUP_VERSION = 1;
+
+/* Every storage key the app owns. `kind` decides how a merge combines them:
+   records → union by id, set → union of members, object → keep local if present,
+   unlocks → earliest date per badge. `field` picks one system's slice of a shared key;
+   `usable` checks an object entry before it's restored. */
+const BACKUP_ENTRIES = [
+  { system:"nyc",  key:RIDES_KEY,        kind:"records", label:"Rides" },
+  { system:"nyc",  key:NYC_VISITED_KEY,  kind:"set",     label:"Visited stations" },
+  { system:"nyc",  key:USER_DATA_KEY,    kind:"object",  label:"Edited fleet data", usable:isUsableDatasets },
+  { system:"nyc",  key:REMOTE_CACHE_KEY, kind:"object",  label:"Cached fleet data",
+    usable:(v) => typeof v?.timestamp === "number" && isUsableDatasets(v.data) },
+  { system:"nyc",  key:ACHIEVEMENTS_KEY, kind:"unlocks", label:"Achievements", field:"nyc" },
+  { system:"dc",   key:DC_RIDES_KEY,     kind:"records", label:"Trips" },
+  { system:"dc",   key:DC_VISITED_KEY,   kind:"set",     label:"Visited stations" },
+  { system:"dc",   key:ACHIEVEMENTS_KEY, kind:"unlocks", label:"Achievements", field:"dc" },
+  { system:"path", key:PATH_TRIPS_KEY,   kind:"records", label:"Trips" },
+  { system:"path", key:PATH_VISITED_KEY, kind:"set",     label:"Visited stations" },
+  { system:"path", key:ACHIEVEMENTS_KEY, kind:"unlocks", label:"Achievements", field:"path" },
+  ...SYSTEM_DEFINITIONS.flatMap(def => [
+    { system:def.id, key:genericKeys(def).records, kind:"records", label:`${def.noun[0].toUpperCase()}${def.noun.slice(1)}s` },
+    { system:def.id, key:genericKeys(def).visited, kind:"set",     label:"Visited stations" },
+  ]),
+];
+const BACKUP_SYSTEMS = [
+  { id:"nyc", label:"NYC Subway", color:"#FCCC0A" },
+  { id:"dc", label:"WMATA", color:"#BF0D3E" },
+  { id:"path", label:"PATH", color:"#0082C6" },
+  ...SYSTEM_DEFINITIONS.map(def => ({ id:def.id, label:def.name, color:def.accent })),
+];
+
+function buildBackup() {
+  const storage = {};
+  BACKUP_ENTRIES.forEach(({ key }) => { const v = readStorageJSON(key); if (v !== null) storage[key] = v; });
+  return {
+    format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(),
+    preferences: { system: readSystemCookie() },
+    storage,
+  };
+}
+
+function downloadBackup() {
+  const blob = new Blob([JSON.stringify(buildBackup(), null, 2)], {type:"application/json"});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url;
+  a.download = `haveiridden-backup-${new Date().toISOString().slice(0,10)}.json`; a.click(); URL.revokeObjectURL(url);
+}
+
+function parseBackup(text) {
+  const p = JSON.parse(text);
+  if (!p || p.format !== BACKUP_FORMAT) throw new Error("Not a HaveIRidden backup file");
+  if (typeof p.version !== "number" || p.version > BACKUP_VERSION) throw new Error(`Unsupported backup version ${p.version}`);
+  if (!p.storage || typeof p.storage !== "object" || Array.isArray(p.storage)) throw new Error("Backup has no data");
+  return p;
+}
+
+function entrySize(kind, value) {
+  if (value == null) return 0;
+  if (kind === "object") return 1;
+  if (kind === "unlocks") return Object.keys(value).length;
+  return Array.isArray(value) ? value.length : 0;
+}
+
+const entryValue = (entry, stored) => (entry.field ? stored?.[entry.field] : stored) ?? null;
+
+/* A backup entry as it may be restored: { value, dropped, invalid }. An entry
+   with the wrong shape is treated as absent and `invalid` says why; records
+   and stations that fail validation are left out and counted in `dropped`. */
+function readBackupEntry(entry, raw) {
+  if (raw == null) return { value: null, dropped: 0, invalid: null };
+  const invalid = (why) => ({ value: null, dropped: 0, invalid: why });
+  if (entry.kind === "records" || entry.kind === "set") {
+    if (!Array.isArray(raw)) return invalid("not a list");
+    const value = entry.kind === "records" ? sanitizeRecords(entry.system, raw).valid : sanitizeVisited(entry.system, raw);
+    return { value, dropped: raw.length - value.length, invalid: null };
+  }
+  if (entry.kind === "unlocks") {
+    const ok = typeof raw === "object" && !Array.isArray(raw) && Object.values(raw).every(at => typeof at === "string" && !isNaN(Date.parse(at)));
+    return ok ? { value: raw, dropped: 0, invalid: null } : invalid("unlock dates are not valid");
+  }
+  return entry.usable && !entry.usable(raw) ? invalid("fleet data has errors") : { value: raw, dropped: 0, invalid: null };
+}
+
+function combineEntry(entry, mode, current, incoming) {
+  const { kind } = entry;
+  if (mode === "replace") return incoming ?? null;
+  if (incoming == null) return current;
+  if (current == null) return incoming;
+  // Conflicting copies of the same ride keep the device's version
+  if (kind === "records") return resolveMerge(current, mergeRecords(current, incoming, RIDE_FINGERPRINTS[entry.system])).records;
+  if (kind === "set") return [...new Set([...current, ...incoming])];
+  if (kind === "unlocks") {
+    const merged = { ...incoming };
+    Object.entries(current).forEach(([id, at]) => { if (!merged[id] || at < merged[id]) merged[id] = at; });
+    return merged;
+  }
+  return current;
+}
+
+/* What each key would look like after restoring with the chosen per-system modes. */
+function planRestore(backup, modes) {
+  return BACKUP_ENTRIES.map(entry => {
+    const mode = modes[entry.system] || "skip";
+    const current = entryValue(entry, readStorageJSON(entry.key));
+    const { value: incoming, dropped, invalid } = readBackupEntry(entry, entryValue(entry, backup.storage[entry.key]));
+    // A broken entry leaves this device's copy alone, even when replacing
+    const next = mode === "skip" || invalid ? current : combineEntry(entry, mode, current, incoming);
+    return { ...entry, mode, current, incoming, dropped, invalid, next,
+      before: entrySize(entry.kind, current), backup: entrySize(entry.kind, incoming), after: entrySize(entry.kind, next) };
+  });
+}
+
+function applyRestore(plan, restorePreference, backup) {
+  plan.forEach(({ key, field, mode, invalid, next }) => {
+    if (mode === "skip" || invalid) return;
+    if (!field) { writeStorageJSON(key, next); return; }
+    const { [field]: _old, ...rest } = readStorageJSON(key) || {};
+    writeStorageJSON(key, next == null ? rest : { ...rest, [field]: next });
+  });
+  const system = backup.preferences?.system;
+  if (restorePreference && isKnownSystem(system)) writeSystemCookie(system);
+}
+
+function BackupRestorePanel({ onRestored }) {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [modes, setModes] = useState(() => Object.fromEntries(BACKUP_SYSTEMS.map(s => [s.id, "merge"])));
+  const [restorePreference, setRestorePreference] = useState(false);
+  const [status, setStatus] = useState(null);
+  const plan = useMemo(() => backup ? planRestore(backup, modes) : [], [backup, modes]);
+
+  function handleFile(e) {
+    const file = e.target.files?.[0]; if (!file) return;
+    e.target.value = "";
+    const reader = new FileReader();
+    reader.onload = () => {
+      try { setBackup(parseBackup(String(reader.result))); setFileName(file.name); setStatus(null); }
+      catch (err) { setBackup(null); setStatus({ error: true, text: err.message }); }
+    };
+    reader.readAsText(file);
+  }
+  function handleApply() {
+    const replacing = BACKUP_SYSTEMS.filter(s => modes[s.id] === "replace").map(s => s.label);
+    if (replacing.length && !confirm(`Replace all ${replacing.join(", ")} data on this device with the backup?`)) return;
+    try {
+      applyRestore(plan, restorePreference, backup);
+      setStatus({ error: false, text: `Restored from ${fileName}.` });
+      setBackup(null);
+      onRestored?.(restorePreference ? backup.preferences?.system : null);
+    } catch (err) {
+      setStatus({ error: true, text: "Restore failed: " + err.message });
+    }
+  }
+
+  const mono = "'IBM Plex Mono',monospace";
+  const btn = {padding:"0.45rem 0.85rem",border:"1px solid rgba(255,255,255,0.14)",borderRadius:4,background:"rgba(255,255,255,0.05)",
+    color:"rgba(255,255,255,0.75)",fontFamily:mono,fontSize:"0.68rem",letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer"};
+
+  return (
+    <div style={{border:"1px solid rgba(255,255,255,0.1)",borderRadius:4,background:"#0d0e12",padding:"1.25rem",textAlign:"left"}}>
+      <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:"1rem",flexWrap:"wrap"}}>
+        <div>
+          <div style={{fontFamily:"'IBM Plex Sans',sans-serif",fontWeight:500,color:"#f0f0f4",fontSize:"0.95rem"}}>Backup &amp; Restore</div>
+          <div style={{fontFamily:mono,fontSize:"0.62rem",color:"rgba(255,255,255,0.35)",marginTop:"0.2rem",letterSpacing:"0.04em"}}>
+            One file with every system's rides, visited stations, fleet edits and your system choice.</div>
+        </div>
+        <div style={{display:"flex",gap:"0.5rem"}}>
+          <button onClick={downloadBackup} style={btn}>⬇ Download backup</button>
+          <label style={{...btn,display:"inline-flex",alignItems:"center"}}>⬆ Restore…
+            <input type="file" accept="application/json" style={{display:"none"}} onChange={handleFile}/></label>
+        </div>
+      </div>
+
+      {status && (
+        <div style={{marginTop:"0.85rem",fontFamily:mono,fontSize:"0.68rem",color:status.error?"#f87171":"#4ade80"}}>{status.text}</div>
+      )}
+
+      {backup && (
+        <div style={{marginTop:"1rem"}}>
+          <div style={{fontFamily:mono,fontSize:"0.62rem",color:"rgba(255,255,255,0.4)",marginBottom:"0.75rem",letterSpacing:"0.04em"}}>
+            {fileName} · created {new Date(backup.createdAt).toLocaleString()} · format v{backup.version}
+          </div>
+          {BACKUP_SYSTEMS.map(sys => (
+            <div key={sys.id} style={{borderTop:"1px solid rgba(255,255,255,0.07)",padding:"0.75rem 0"}}>
+              <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:"0.75rem",flexWrap:"wrap",marginBottom:"0.5rem"}}>
+                <span style={{fontFamily:"'IBM Plex Sans',sans-serif",fontWeight:500,color:"#f0f0f4",fontSize:"0.85rem",borderLeft:`3px solid ${sys.color}`,paddingLeft:"0.5rem"}}>{sys.label}</span>
+                <div style={{display:"flex",gap:"0.25rem"}}>
+                  {["skip","merge","replace"].map(m => (
+                    <button key={m} onClick={() => setModes(prev => ({...prev,[sys.id]:m}))}
+                      style={{...btn,padding:"0.3rem 0.6rem",fontSize:"0.6rem",
+                        background:modes[sys.id]===m?(m==="replace"?"rgba(238,53,46,0.25)":"rgba(255,255,255,0.16)"):"transparent",
+                        color:modes[sys.id]===m?"#fff":"rgba(255,255,255,0.4)"}}>{m}</button>
+                  ))}
+                </div>
+              </div>
+              <table style={{width:"100%",borderCollapse:"collapse",fontFamily:mono,fontSize:"0.66rem",color:"rgba(255,255,255,0.55)"}}>
+                <thead><tr>{["","On device","In backup","After"].map(h => (
+                  <th key={h} style={{textAlign:h?"right":"left",fontWeight:500,color:"rgba(255,255,255,0.3)",padding:"0.15rem 0.3rem"}}>{h}</th>))}</tr></thead>
+                <tbody>
+                  {plan.filter(p => p.system === sys.id).map(p => {
+                    const changed = JSON.stringify(p.current) !== JSON.stringify(p.next);
+                    const fmt = (n) => p.kind === "object" ? (n ? "yes" : "—") : n;
+                    return (
+                      <tr key={p.key}>
+                        <td style={{padding:"0.15rem 0.3rem"}}>{p.label}</td>
+                        <td style={{padding:"0.15rem 0.3rem",textAlign:"right"}}>{fmt(p.before)}</td>
+                        <td style={{padding:"0.15rem 0.3rem",textAlign:"right"}}>{fmt(p.backup)}</td>
+                        <td style={{padding:"0.15rem 0.3rem",textAlign:"right",color:changed?"#FCCC0A":"rgba(255,255,255,0.55)"}}>
+                          {fmt(p.after)}{changed ? " •" : ""}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {plan.filter(p => p.system === sys.id && (p.invalid || p.dropped > 0)).map(p => (
+                <div key={p.key} style={{marginTop:"0.3rem",fontFamily:mono,fontSize:"0.62rem",color:"#f87171"}}>
+                  {p.label}: {p.invalid ? `${p.invalid} — left as it is on this device` : `${p.dropped} invalid left out`}</div>
+              ))}
+            </div>
+          ))}
+          <label style={{display:"flex",alignItems:"center",gap:"0.5rem",fontFamily:mono,fontSize:"0.66rem",color:"rgba(255,255,255,0.5)",
+            borderTop:"1px solid rgba(255,255,255,0.07)",paddingTop:"0.75rem"}}>
+            <input type="checkbox" checked={restorePreference} onChange={e => setRestorePreference(e.target.checked)}
+              disabled={!backup.preferences?.system}/>
+            Also restore system choice{backup.preferences?.system ? ` (${backup.preferences.system.toUpperCase()})` : " (none in backup)"}
+          </label>
+          <div style={{display:"flex",gap:"0.5rem",marginTop:"1rem",justifyContent:"flex-end"}}>
+            <button onClick={() => setBackup(null)} style={btn}>Cancel</button>
+            <button onClick={handleApply} style={{...btn,background:"#FCCC0A",color:"#000",borderColor:"#FCCC0A"}}>Apply restore</button>
+          </div>
+          <div style={{marginTop:"0.5rem",fontFamily:mono,fontSize:"0.58rem",color:"rgba(255,255,255,0.25)",textAlign:"right"}}>
+            • = will change · merge keeps everything on this device and adds what's new</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   COMBINED DASHBOARD — every system at once
+   Read-only. It uses the same storage hooks as the system apps, so an
+   undo or restore shows up here straight away. Models only count for
+   systems with car-level data.
+═══════════════════════════════════════════════════════════════════ */
+const DASHBOARD_SYSTEMS = [
+  { id:"nyc",  accent:"#FCCC0A", noun:"ride", tag:"NYC" },
+  { id:"dc",   accent:"#BF0D3E", noun:"trip", tag:"WMATA" },
+  { id:"path", accent:"#0082C6", noun:"trip", tag:"PATH" },
+  ...SYSTEM_DEFINITIONS.map(def => ({ id:def.id, accent:def.accent, noun:def.noun, tag:def.shortName })),
+];
+
+function currentNYCDatasets() { return getUserDatasets() || getRemoteCache()?.data || FALLBACK_DATASETS; }
+
+/* Every line a record rode on, including transfers and ridden segments. */
+function recordLineIds(system, r) {
+  const ids = system === "nyc" ? [r.line, r.transferLineId] : [r.lineId, r.transferLineId, ...(r.segments || []).map(s => s.lineId)];
+  return ids.filter(Boolean);
+}
+
+function systemSummary(system, records, visited, datasets) {
+  const lines = system === "nyc" ? datasets.lines : segmentLines(system);
+  // Counted by the system's own visited keys: an NYC "86 St" on three lines is three stops
+  const stationKeys = new Set(lines.flatMap(l => (system === "nyc" ? nycStationsForLine(l) : l.stations)
+    .map(st => system === "path" ? st : `${l.id}::${st}`)));
+  const models = systemRollingStock(system, datasets).map(m => m.model);
+  const riddenLines = new Set(records.flatMap(r => recordLineIds(system, r)));
+  const riddenModels = new Set(records.flatMap(rideCars).map(c => c.model));
+  return {
+    records: records.length,
+    stations: [...visited].filter(k => stationKeys.has(k)).length, stationTotal: stationKeys.size,
+    lines: lines.filter(l => riddenLines.has(l.id)).length, lineTotal: lines.length,
+    models: models.filter(m => riddenModels.has(m)).length, modelTotal: models.length,
+    last: records.reduce((max, r) => Math.max(max, Date.parse(r.timestamp) || 0), 0),
+  };
+}
+
+const TIMELINE_PAGE = 50;
+
+function CombinedDashboard({ onSwitchSystem, onOpenSystem }) {
+  const [nycRides] = useRides();
+  const [nycVisited] = useNYCVisited();
+  const [dcTrips] = useDCRides();
+  const [dcVisited] = useDCVisited();
+  const [pathTrips] = usePATHTrips();
+  const [pathVisited] = usePATHVisited();
+  const generic = useGenericSnapshots();
+  const [shown, setShown] = useState(TIMELINE_PAGE);
+  const datasets = useMemo(currentNYCDatasets, []);
+
+  const records = { nyc: nycRides, dc: dcTrips, path: pathTrips };
+  const visited = { nyc: nycVisited, dc: dcVisited, path: pathVisited };
+  generic.forEach(g => { records[g.def.id] = g.records; visited[g.def.id] = g.visited; });
+  const summaries = Object.fromEntries(DASHBOARD_SYSTEMS.map(s => [s.id, systemSummary(s.id, records[s.id], visited[s.id], datasets)]));
+  const timeline = DASHBOARD_SYSTEMS.flatMap(s => records[s.id].map(record => ({ system:s.id, record })))
+    .sort((a, b) => Date.parse(b.record.timestamp) - Date.parse(a.record.timestamp));
+
+  const sum = (field) => DASHBOARD_SYSTEMS.reduce((n, s) => n + summaries[s.id][field], 0);
+  const split = (field) => DASHBOARD_SYSTEMS.filter(s => field !== "models" || summaries[s.id].modelTotal)
+    .map(s => `${SYSTEM_NAMES[s.id]} ${summaries[s.id][field]}${field === "models" ? ` of ${summaries[s.id].modelTotal}` : ""}`).join(" · ");
+  const muted = "rgba(255,255,255,0.4)";
+  const days = [];
+  timeline.slice(0, shown).forEach(entry => {
+    const day = localDayKey(new Date(entry.record.timestamp));
+    if (days[days.length - 1]?.day !== day) days.push({ day, entries: [] });
+    days[days.length - 1].entries.push(entry);
+  });
+
+  return (
+    <div style={{minHeight:"100vh",background:"#111116",color:"#f0f0f4",fontFamily:"'Barlow',system-ui,sans-serif"}}>
+      <header style={{position:"sticky",top:0,zIndex:50,background:"rgba(17,17,22,0.9)",backdropFilter:"blur(14px)",borderBottom:"1px solid rgba(255,255,255,0.07)",padding:"0 1rem"}}>
+        <div style={{maxWidth:900,margin:"0 auto",display:"flex",alignItems:"center",justifyContent:"space-between",padding:"0.75rem 0",gap:"1rem",flexWrap:"wrap"}}>
+          <div style={{display:"flex",alignItems:"center",gap:"0.65rem"}}>
+            <div style={{width:38,height:38,borderRadius:9,overflow:"hidden",display:"flex"}}>
+              {DASHBOARD_SYSTEMS.map(s => <div key={s.id} style={{flex:1,background:s.accent}}/>)}
+            </div>
+            <div>
+              <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.35rem",lineHeight:1,letterSpacing:"0.03em"}}>HaveIRidden<span style={{color:"#FCCC0A"}}>?</span></div>
+              <div style={{fontSize:"0.65rem",color:"rgba(255,255,255,0.35)",letterSpacing:"0.1em",textTransform:"uppercase"}}>All systems</div>
+            </div>
+          </div>
+          <button onClick={onSwitchSystem}
+            style={{padding:"0.35rem 0.75rem",border:"1px solid rgba(255,255,255,0.12)",borderRadius:6,background:"transparent",color:"rgba(255,255,255,0.35)",fontFamily:"'Barlow Condensed',sans-serif",fontSize:"0.72rem",letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer",transition:"all 0.15s"}}>
+            Switch →
+          </button>
+        </div>
+      </header>
+      <div style={{maxWidth:900,margin:"0 auto",padding:"1.5rem 1rem 3rem",display:"flex",flexDirection:"column",gap:"1.25rem"}}>
+        <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(180px,1fr))",gap:"0.75rem"}}>
+          {[["Rides & trips","records"],["Stations visited","stations"],["Lines ridden","lines"],["Models ridden","models"]].map(([label, field]) => (
+            <div key={field} style={{...cardStyle,padding:"1rem 1.25rem"}}>
+              <div style={{fontSize:"0.72rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em"}}>{label}</div>
+              <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"2rem",marginTop:"0.2rem"}}>{sum(field)}</div>
+              <div style={{fontSize:"0.68rem",color:muted}}>{split(field)}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(240px,1fr))",gap:"0.75rem"}}>
+          {DASHBOARD_SYSTEMS.map(s => {
+            const m = summaries[s.id];
+            const pct = m.stationTotal ? Math.round(m.stations / m.stationTotal * 100) : 0;
+            return (
+              <div key={s.id} style={{...cardStyle,borderTop:`3px solid ${s.accent}`}}>
+                <div style={{...sectionHeadStyle,justifyContent:"space-between"}}>
+                  <span>{SYSTEM_NAMES[s.id]}</span>
+                  <button onClick={() => onOpenSystem(s.id)}
+                    style={{background:"none",border:"none",color:s.accent,cursor:"pointer",fontFamily:"inherit",fontWeight:700,fontSize:"0.8rem",letterSpacing:"0.04em"}}>Open →</button>
+                </div>
+                <div style={{display:"flex",justifyContent:"space-between",fontSize:"0.78rem",color:muted,marginBottom:"0.35rem"}}>
+                  <span>Stations {m.stations}/{m.stationTotal}</span><span>{pct}%</span>
+                </div>
+                <ProgressBar value={pct} color={s.accent}/>
+                <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:"0.4rem",marginTop:"0.85rem",fontSize:"0.8rem"}}>
+                  <span><strong>{m.records}</strong> <span style={{color:muted}}>{s.noun}s</span></span>
+                  <span><strong>{m.lines}/{m.lineTotal}</strong> <span style={{color:muted}}>lines</span></span>
+                  {m.modelTotal > 0 && <span><strong>{m.models}/{m.modelTotal}</strong> <span style={{color:muted}}>models</span></span>}
+                  <span style={{color:muted}}>{m.last ? `Last ${new Date(m.last).toLocaleDateString()}` : "Nothing logged yet"}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div style={cardStyle}>
+          <div style={sectionHeadStyle}>Timeline <span style={badgeStyle}>{timeline.length}</span></div>
+          {timeline.length === 0 && <div style={{color:muted,fontSize:"0.85rem"}}>Nothing logged yet — pick a system to start riding.</div>}
+          {days.map(({ day, entries }) => (
+            <div key={day} style={{marginBottom:"0.9rem"}}>
+              <div style={{fontSize:"0.7rem",color:muted,textTransform:"uppercase",letterSpacing:"0.1em",marginBottom:"0.35rem"}}>
+                {new Date(`${day}T00:00`).toLocaleDateString(undefined, { weekday:"short", year:"numeric", month:"short", day:"numeric" })}
+              </div>
+              {entries.map(({ system, record }) => (
+                <div key={`${system}:${record.id}`} style={{display:"flex",alignItems:"center",gap:"0.6rem",padding:"0.3rem 0",fontSize:"0.85rem"}}>
+                  <span style={{width:44,flexShrink:0,fontSize:"0.62rem",fontWeight:700,letterSpacing:"0.06em",textTransform:"uppercase",
+                    color:DASHBOARD_SYSTEMS.find(s => s.id === system).accent}}>{DASHBOARD_SYSTEMS.find(s => s.id === system).tag}</span>
+                  <span style={{width:8,height:8,borderRadius:"50%",background:record.lineColor || muted,flexShrink:0}}/>
+                  <span style={{flex:1,minWidth:0}}>
+                    {describeLeg(system, record)}
+                    {record.trainNumber && <span style={{color:muted}}> · #{record.trainNumber}</span>}
+                    {record.journeyId && <span style={{color:muted}} title="Part of a multi-leg journey"> · journey</span>}
+                  </span>
+                  <span style={{color:muted,fontSize:"0.75rem",flexShrink:0}}>{new Date(record.timestamp).toLocaleTimeString([], { hour:"numeric", minute:"2-digit" })}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+          {timeline.length > shown && <SmallBtn onClick={() => setShown(n => n + TIMELINE_PAGE)}>Show more ({timeline.length - shown} older)</SmallBtn>}
+        </div>
+        <div style={{fontSize:"0.72rem",color:"rgba(255,255,255,0.25)",textAlign:"center"}}>
+          {Object.values(records).some(r => r.length) && "Open a system to log rides, edit history or export."}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   GENERIC TRACKER — Live Rider, Stats and history for a definition file
+═══════════════════════════════════════════════════════════════════ */
+/* Ride fields from the rider's picks; exitValue is "lineId::station". */
+function buildGenericRecord(def, { lineId, boardStation, exitValue, trainNumber, pickedModel }) {
+  const line = def.lines.find(l => l.id === lineId);
+  const [exitLineId, ...rest] = exitValue ? exitValue.split("::") : [];
+  const exitStation = rest.join("::") || null;
+  const exitLine = def.lines.find(l => l.id === exitLineId) || line;
+  const isTransfer = !!exitStation && exitLine.id !== line.id;
+  const record = {
+    lineId: line.id, lineLabel: line.label, lineColor: line.color, lineTextColor: line.textColor,
+    boardStation: boardStation || null, exitStation, exitLineId: exitStation ? exitLine.id : null,
+    transferLineId: isTransfer ? exitLine.id : null, transferLineLabel: isTransfer ? exitLine.label : null,
+  };
+  record.segments = record.boardStation && exitStation ? tripSegments(def.id, record) : [];
+  return { ...record, ...carNumberFields(trainNumber, def.rollingStock, pickedModel) };
+}
+
+function genericRecordSchema(def) {
+  const lineOf = (id) => def.lines.find(l => l.id === id);
+  return {
+    noun: def.noun,
+    fields: { id:"string", lineId:"string", lineLabel:"string", transferLineId:"string?", journeyId:"string?", timestamp:"timestamp",
+      ...(def.logging === "car-number" ? { trainNumber:"string", boardStation:"string?", exitStation:"string?" } : { boardStation:"string", exitStation:"string" }) },
+    upgrade: (r) => ({ ...r, boardStation: r.boardStation || null, exitStation: r.exitStation || null, transferLineId: r.transferLineId ?? null,
+      segments: validSegments(def.id, r.segments) ? r.segments : r.boardStation && r.exitStation ? tripSegments(def.id, r) : [] }),
+    check: (r) => {
+      const board = lineOf(r.lineId), exit = lineOf(r.exitLineId || r.transferLineId || r.lineId);
+      if (!board) return [`unknown ${def.shortName} line "${r.lineId}"`];
+      const errors = [];
+      if (r.boardStation && !board.stations.includes(r.boardStation)) errors.push(`"${r.boardStation}" is not on the ${board.label} line`);
+      if (r.exitStation && !exit?.stations.includes(r.exitStation)) errors.push(`"${r.exitStation}" is not on the ${exit?.label || r.exitLineId} line`);
+      return errors;
+    },
+  };
+}
+
+function useGenericRecords(def) {
+  const key = genericKeys(def).records;
+  const [records, setR] = useState(() => readStorageJSON(key) || []);
+  const setRecords = React.useCallback((fn) => {
+    setR(prev => { const next = typeof fn === "function" ? fn(prev) : fn; writeStorageJSON(key, next); return next; });
+  }, [key]);
+  useStorageKeySync(key, React.useCallback(v => setR(Array.isArray(v) ? v : []), []));
+  return [records, setRecords];
+}
+function useGenericVisited(def) {
+  const key = genericKeys(def).visited;
+  const [visited, setV] = useState(() => new Set(readStorageJSON(key) || []));
+  const setVisited = React.useCallback((fn) => {
+    setV(prev => { const next = typeof fn === "function" ? fn(prev) : fn; writeStorageJSON(key, [...next]); return next; });
+  }, [key]);
+  useStorageKeySync(key, React.useCallback(v => setV(new Set(v || [])), []));
+  return [visited, setVisited];
+}
+
+/* Every definition-driven system's records and visited set, for the
+   dashboard. Re-renders when undo or restore replaces any of them. */
+function useGenericSnapshots() {
+  const [, setVersion] = useState(0);
+  useStorageKeySync(GENERIC_STORAGE_KEYS, React.useCallback(() => setVersion(v => v + 1), []));
+  return SYSTEM_DEFINITIONS.map(def => ({ def,
+    records: readStorageJSON(genericKeys(def).records) || [], visited: new Set(readStorageJSON(genericKeys(def).visited) || []) }));
+}
+
+/* The pick-a-line, stations and car number fields, shared by the Live Rider
+   and the history editor. value: { lineId, boardStation, exitValue, trainNumber, pickedModel }. */
+function GenericRideFields({ def, value, onChange, visited }) {
+  const line = def.lines.find(l => l.id === value.lineId) || null;
+  const carMode = def.logging === "car-number";
+  const optional = carMode && <span style={{opacity:0.6,textTransform:"none",letterSpacing:0}}>(optional)</span>;
+  const mark = (lineId, st) => visited?.has(`${lineId}::${st}`) ? " ✓" : "";
+  return (
+    <>
+      {def.rollingStock.length > 0 && (
+        <CarNumberField value={value.trainNumber} picked={value.pickedModel} rollingStock={def.rollingStock} optional={!carMode} accent={def.accent}
+          onChange={(trainNumber, pickedModel) => onChange({ trainNumber, pickedModel })}/>
+      )}
+      <div>
+        <label style={labelStyle}>Line</label>
+        <div style={{display:"flex",flexWrap:"wrap",gap:"0.5rem"}}>
+          {def.lines.map(l => (
+            <button key={l.id} onClick={() => onChange({ lineId: l.id, boardStation: "", exitValue: "" })}
+              style={{padding:"0.45rem 0.9rem",borderRadius:6,border:value.lineId === l.id ? "2px solid #fff" : "2px solid transparent",
+                background:l.color,color:l.textColor,fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1rem",letterSpacing:"0.04em",cursor:"pointer",
+                opacity:value.lineId && value.lineId !== l.id ? 0.5 : 1}}>{l.label}</button>
+          ))}
+        </div>
+      </div>
+      {line && line.stations.length > 0 && (
+        <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(200px,1fr))",gap:"0.75rem"}}>
+          <div>
+            <label style={labelStyle}>Boarded at {optional}</label>
+            <select value={value.boardStation} onChange={e => onChange({ boardStation: e.target.value })} style={{...inputStyle,borderLeft:`4px solid ${line.color}`}}>
+              <option value="">— Select station —</option>
+              {line.stations.map(st => <option key={st} value={st}>{st}{mark(line.id, st)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Exited at {optional}</label>
+            <select value={value.exitValue} onChange={e => onChange({ exitValue: e.target.value })} style={inputStyle}>
+              <option value="">— Select station —</option>
+              {[line, ...def.lines.filter(l => l.id !== line.id)].map((l, i) => l.stations.length > 0 && (
+                <optgroup key={l.id} label={i === 0 ? `${l.label} (your line)` : `Transfer to ${l.label}`}>
+                  {l.stations.filter(st => !(l.id === line.id && st === value.boardStation))
+                    .map(st => <option key={st} value={`${l.id}::${st}`}>{st}{mark(l.id, st)}</option>)}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function genericFieldsReady(def, value) {
+  if (!def.lines.some(l => l.id === value.lineId)) return false;
+  if (def.logging === "car-number") {
+    if (!value.trainNumber) return false;
+  } else if (!value.boardStation || !value.exitValue) return false;
+  return carNumberReady(value.trainNumber, def.rollingStock, value.pickedModel);
+}
+
+const EMPTY_GENERIC_FIELDS = { lineId: "", boardStation: "", exitValue: "", trainNumber: "", pickedModel: null };
+
+function GenericLiveRider({ def, setRecords, visited, setVisited }) {
+  const [fields, setFields] = useState(EMPTY_GENERIC_FIELDS);
+  const [rideTime, setRideTime] = useState("");
+  const [lastRide, setLastRide] = useState(null);
+
+  function handleChange(patch) {
+    const next = { ...fields, ...patch };
+    // A next leg that starts where the last one ended boards there
+    if (patch.lineId) next.boardStation = nextLegBoardStation(readNextLeg(), def.id, def.lines.find(l => l.id === patch.lineId).stations) || "";
+    setFields(next);
+  }
+  function handleLog() {
+    const record = joinPendingJourney({ id: crypto.randomUUID(), ...buildGenericRecord(def, fields), timestamp: rideTimestamp(rideTime) });
+    setRecords(prev => [...prev, record]);
+    setVisited(prev => new Set([...prev, ...recordVisitedKeys(def.id, record)]));
+    setLastRide(record);
+    setFields(EMPTY_GENERIC_FIELDS); setRideTime("");
+  }
+
+  const canLog = genericFieldsReady(def, fields) && !isFutureRideTime(rideTime);
+  return (
+    <div style={{maxWidth:640,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      <NextLegBanner system={def.id} accent={def.accent}/>
+      <div style={{display:"flex",flexDirection:"column",gap:"1.25rem",marginBottom:"1.25rem"}}>
+        <GenericRideFields def={def} value={fields} onChange={handleChange} visited={visited}/>
+      </div>
+      <RideTimePicker value={rideTime} onChange={setRideTime} accent={def.accent} style={{marginBottom:"1rem"}}/>
+      <motion.button onClick={handleLog} disabled={!canLog} whileTap={canLog ? {scale:0.97} : {}}
+        style={{width:"100%",padding:"1rem",borderRadius:12,border:"none",background:canLog?def.accent:"rgba(255,255,255,0.08)",
+          color:canLog?"#fff":"rgba(255,255,255,0.3)",fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.3rem",letterSpacing:"0.08em",
+          cursor:canLog?"pointer":"not-allowed",transition:"background 0.2s,color 0.2s",marginBottom:"1.5rem"}}>
+        LOG {def.noun.toUpperCase()} →
+      </motion.button>
+      <AnimatePresence>
+        {lastRide && (
+          <motion.div key={lastRide.id} initial={{opacity:0,y:10}} animate={{opacity:1,y:0}} exit={{opacity:0}}
+            style={{background:"rgba(0,147,60,0.15)",border:"1px solid rgba(0,147,60,0.4)",borderRadius:12,padding:"1rem 1.25rem"}}>
+            <div style={{fontWeight:700,color:"#4ade80"}}>✓ {def.noun[0].toUpperCase()}{def.noun.slice(1)} logged!</div>
+            <div style={{color:"rgba(255,255,255,0.55)",fontSize:"0.85rem",marginTop:"0.2rem"}}>
+              {describeLeg(def.id, lastRide)}{lastRide.trainNumber && ` · Car #${lastRide.trainNumber}`}
+              {lastRide.transferLineLabel && <span style={{color:"rgba(255,255,255,0.35)"}}> via {lastRide.transferLineLabel}</span>}
+            </div>
+            <NextLegButton system={def.id} record={lastRide} accent="#4ade80" onStarted={journeyId => setLastRide(r => ({ ...r, journeyId }))}/>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+function GenericRecordEditor({ def, record, onSave, onCancel }) {
+  const [fields, setFields] = useState({ lineId: record.lineId, boardStation: record.boardStation || "",
+    exitValue: record.exitStation ? `${record.exitLineId || record.lineId}::${record.exitStation}` : "",
+    trainNumber: record.trainNumber || "", pickedModel: record.model || null });
+  const initialTime = toLocalInputValue(record.timestamp);
+  const [time, setTime] = useState(initialTime);
+  const canSave = genericFieldsReady(def, fields) && !!fromLocalInputValue(time) && !isFutureRideTime(time);
+  return (
+    <RecordEditDialog title={`Edit ${def.noun} · ${describeLeg(def.id, record)}`} subtitle={`Logged ${new Date(record.timestamp).toLocaleString()}`}
+      accent={def.accent} canSave={canSave} onCancel={onCancel}
+      onSave={() => onSave({ ...record, trainNumber: undefined, model: undefined, ...buildGenericRecord(def, fields),
+        timestamp: time === initialTime ? record.timestamp : fromLocalInputValue(time) })}>
+      <RideTimeField value={time} onChange={setTime}/>
+      <GenericRideFields def={def} value={fields} onChange={patch => setFields(f => ({ ...f, ...patch }))}/>
+    </RecordEditDialog>
+  );
+}
+
+function GenericStatsPage({ def, records, setRecords, visited, setVisited }) {
+  const [tab, setTab] = useState("progress");
+  const [editing, setEditing] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const search = useHistorySearch(def.id, records);
+  const keys = genericKeys(def);
+  const Noun = `${def.noun[0].toUpperCase()}${def.noun.slice(1)}`;
+  const stamp = () => new Date().toISOString().slice(0,10);
+
+  function deleteRecord(id) {
+    const record = records.find(r => r.id === id);
+    pushUndo(def.id, `Deleted ${def.noun} · ${describeLeg(def.id, record)}`, [recordsChange(keys.records, records, records.filter(r => r.id !== id))]);
+    setRecords(prev => prev.filter(r => r.id !== id));
+  }
+  function saveEdit(updated) {
+    setRecords(prev => prev.map(r => r.id === updated.id ? updated : r));
+    setVisited(prev => updateVisitedForEdit(prev, def.id, updated));
+    setEditing(null);
+  }
+  function clearRecords() {
+    if (!confirm(`Delete all ${def.shortName} ${def.noun}s?`)) return;
+    pushUndo(def.id, `Cleared ${records.length} ${def.noun}s`, [recordsChange(keys.records, records, [])]);
+    setRecords([]);
+  }
+  function clearVisited() {
+    if (!confirm("Clear all visited stations?")) return;
+    pushUndo(def.id, `Cleared ${visited.size} visited stations`, [setChange(keys.visited, visited, new Set())]);
+    setVisited(new Set());
+  }
+  function exportData() {
+    const blob = new Blob([JSON.stringify(buildExport(def.id, records, visited), null, 2)], {type:"application/json"});
+    const url = URL.createObjectURL(blob); const a = document.createElement("a");
+    a.href = url; a.download = `${def.id}-data-${stamp()}.json`; a.click(); URL.revokeObjectURL(url);
+  }
+  function importData(e) {
+    const file = e.target.files?.[0]; if (!file) return;
+    e.target.value = "";
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const text = String(reader.result);
+        setPendingImport(isCSVFile(file) ? readCSVImport(def.id, text) : readImportFile(def.id, JSON.parse(text)));
+      } catch (err) { alert("Import failed: " + err.message); }
+    };
+    reader.readAsText(file);
+  }
+  function applyImport({ mode, records: next, report }) {
+    const nextVisited = mode === "replace" ? new Set(pendingImport.visited) : new Set([...visited, ...pendingImport.visited]);
+    pushUndo(def.id, mode === "replace" ? `Replaced ${def.noun} history from file` : `Imported ${def.noun}s from file`,
+      [recordsChange(keys.records, records, next), setChange(keys.visited, visited, nextVisited)]);
+    setRecords(next);
+    setVisited(nextVisited);
+    setPendingImport(null);
+    alert(describeImportReport(report, def.noun));
+  }
+  function toggleStation(key) {
+    setVisited(prev => { const next = new Set(prev); if (next.has(key)) next.delete(key); else next.add(key); return next; });
+  }
+  function markLine(line, on) {
+    setVisited(prev => { const next = new Set(prev); line.stations.forEach(st => on ? next.add(`${line.id}::${st}`) : next.delete(`${line.id}::${st}`)); return next; });
+  }
+
+  const allStations = new Set(def.lines.flatMap(l => l.stations));
+  const visitedNames = new Set(def.lines.flatMap(l => l.stations.filter(st => visited.has(`${l.id}::${st}`))));
+  const track = useMemo(() => trackCoverage(def.id, records), [def.id, records]);
+  const riddenModels = new Set(records.map(r => r.model).filter(Boolean));
+  const riddenLines = new Set(records.flatMap(r => recordLineIds(def.id, r)));
+  const hasStations = allStations.size > 0;
+  const columns = ["Time", "Line", ...(def.rollingStock.length ? ["Car"] : []), ...(hasStations ? ["Boarded", "Exited", "Transfer"] : []), ""];
+  const cell = {padding:"0.55rem 0.8rem",fontSize:"0.82rem"};
+  const innerTabs = [{key:"progress",label:"Progress"}, ...(hasStations ? [{key:"stations",label:"Stations"}] : []), {key:"history",label:`${Noun} History`}];
+
+  return (
+    <div style={{maxWidth:900,margin:"0 auto",padding:"1.5rem 1rem 3rem"}}>
+      {editing && <GenericRecordEditor def={def} record={editing} onSave={saveEdit} onCancel={() => setEditing(null)}/>}
+      {pendingImport && (
+        <ImportMergeDialog title={`Import ${def.shortName} ${def.noun}s`} noun={def.noun} current={records} incoming={pendingImport.records} rejected={pendingImport.rejected}
+          fingerprint={RIDE_FINGERPRINTS[def.id]} accent={def.accent} onApply={applyImport} onCancel={() => setPendingImport(null)}
+          describe={r => `${describeLeg(def.id, r)} · ${new Date(r.timestamp).toLocaleString()}`}
+          extra={mode => `${pendingImport.visited.length} visited stations in file · ${mode === "replace" ? "replaces" : "added to"} this device's ${visited.size}`}/>
+      )}
+      <div style={{display:"flex",gap:"0.3rem",background:"rgba(255,255,255,0.05)",borderRadius:12,padding:"0.3rem",marginBottom:"1.5rem",overflowX:"auto"}}>
+        {innerTabs.map(t => (
+          <button key={t.key} onClick={() => setTab(t.key)}
+            style={{flex:1,padding:"0.55rem 1rem",border:"none",borderRadius:9,fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,fontSize:"1rem",
+              letterSpacing:"0.04em",whiteSpace:"nowrap",background:tab===t.key?def.accent:"transparent",color:tab===t.key?"#fff":"rgba(255,255,255,0.5)",cursor:"pointer"}}>
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === "progress" && (
+        <div style={{display:"flex",flexDirection:"column",gap:"1.5rem"}}>
+          <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(140px,1fr))",gap:"0.75rem"}}>
+            {[
+              {label:`Total ${Noun}s`,value:records.length},
+              hasStations && {label:"Unique Stations",value:`${visitedNames.size}/${allStations.size}`},
+              hasStations && {label:"Track Ridden",value:`${track.pct}%`},
+              {label:"Lines Ridden",value:`${def.lines.filter(l => riddenLines.has(l.id)).length}/${def.lines.length}`},
+              def.rollingStock.length > 0 && {label:"Models",value:`${def.rollingStock.filter(m => riddenModels.has(m.model)).length}/${def.rollingStock.length}`},
+            ].filter(Boolean).map(({ label, value }) => (
+              <div key={label} style={{background:"rgba(255,255,255,0.05)",border:"1px solid rgba(255,255,255,0.08)",borderRadius:14,padding:"1rem 1.25rem"}}>
+                <div style={{fontSize:"0.72rem",color:"rgba(255,255,255,0.4)",textTransform:"uppercase",letterSpacing:"0.1em"}}>{label}</div>
+                <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"2rem",color:def.accent,marginTop:"0.2rem"}}>{value}</div>
+              </div>
+            ))}
+          </div>
+          <RidingPatterns records={records} noun={def.noun} accent={def.accent} cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          <JourneyStats system={def.id} accent={def.accent} cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          {hasStations && (
+            <div style={cardStyle}>
+              <div style={sectionHeadStyle}>Line Coverage</div>
+              <div style={{display:"flex",flexDirection:"column",gap:"0.75rem"}}>
+                {def.lines.filter(l => l.stations.length).map(l => {
+                  const count = l.stations.filter(st => visited.has(`${l.id}::${st}`)).length, t = track.perLine[l.id];
+                  return (
+                    <div key={l.id}>
+                      <div style={{display:"flex",justifyContent:"space-between",marginBottom:"0.35rem",fontSize:"0.9rem"}}>
+                        <span style={{fontWeight:700,color:l.color}}>{l.label}</span>
+                        <span style={{color:"rgba(255,255,255,0.4)"}}>{count}/{l.stations.length} stations · {t.ridden}/{t.total} track</span>
+                      </div>
+                      <ProgressBar value={(count / l.stations.length) * 100} color={l.color}/>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+          {def.rollingStock.length > 0 && (
+            <ModelProgress records={records} rollingStock={def.rollingStock} noun={def.noun} accent={def.accent} cardProps={{style:cardStyle}} headStyle={sectionHeadStyle}/>
+          )}
+        </div>
+      )}
+
+      {tab === "stations" && (
+        <div style={{display:"flex",flexDirection:"column",gap:"1rem"}}>
+          {def.lines.filter(l => l.stations.length).map(l => {
+            const all = l.stations.every(st => visited.has(`${l.id}::${st}`));
+            return (
+              <div key={l.id} style={{...cardStyle,borderLeft:`4px solid ${l.color}`}}>
+                <div style={{...sectionHeadStyle,justifyContent:"space-between"}}>
+                  <span>{l.label}</span>
+                  <SmallBtn onClick={() => markLine(l, !all)}>{all ? "Unmark line" : "Mark whole line"}</SmallBtn>
+                </div>
+                <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(200px,1fr))",gap:"0.35rem"}}>
+                  {l.stations.map(st => {
+                    const on = visited.has(`${l.id}::${st}`);
+                    return (
+                      <button key={st} onClick={() => toggleStation(`${l.id}::${st}`)}
+                        style={{display:"flex",alignItems:"center",gap:"0.5rem",padding:"0.45rem 0.6rem",borderRadius:8,border:"1px solid rgba(255,255,255,0.06)",
+                          background:on ? `${l.color}22` : "transparent",color:"#f0f0f4",cursor:"pointer",textAlign:"left",fontSize:"0.85rem"}}>
+                        <span style={{width:10,height:10,borderRadius:"50%",flexShrink:0,background:on ? l.color : "transparent",border:`2px solid ${l.color}`}}/>
+                        {st}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+          <div><SmallBtn onClick={clearVisited} danger>🗑 Clear visited stations</SmallBtn></div>
+        </div>
+      )}
+
+      {tab === "history" && (
+        <div style={cardStyle}>
+          <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",marginBottom:"1rem",flexWrap:"wrap",gap:"0.5rem"}}>
+            <span style={sectionHeadStyle}>{Noun} History <span style={badgeStyle}>{records.length}</span></span>
+            <div style={{display:"flex",gap:"0.5rem",flexWrap:"wrap"}}>
+              <SmallBtn onClick={exportData}>⬇ Export</SmallBtn>
+              <SmallBtn onClick={() => downloadCSV(def.id, records, `${def.id}-${def.noun}s-${stamp()}.csv`)}>⬇ CSV</SmallBtn>
+              <label style={{...smallBtnStyle,display:"inline-flex",alignItems:"center"}}>⬆ Import
+                <input type="file" accept="application/json,.csv,text/csv" style={{display:"none"}} onChange={importData}/></label>
+              <SmallBtn onClick={clearRecords} danger>🗑 Clear All</SmallBtn>
+            </div>
+          </div>
+          {records.length > 0 && <HistorySearchBar system={def.id} search={search} total={records.length} noun={def.noun} inputStyle={inputStyle} buttonStyle={smallBtnStyle}/>}
+          <div style={{overflowX:"auto",borderRadius:10,border:"1px solid rgba(255,255,255,0.08)"}}>
+            <table style={{width:"100%",borderCollapse:"collapse",fontSize:"0.88rem"}}>
+              <thead><tr style={{background:"rgba(0,0,0,0.4)"}}>
+                {columns.map(h => (
+                  <th key={h} style={{padding:"0.6rem 0.8rem",textAlign:"left",color:"rgba(255,255,255,0.4)",fontWeight:700,fontSize:"0.72rem",
+                    letterSpacing:"0.08em",textTransform:"uppercase",borderBottom:"1px solid rgba(255,255,255,0.08)",whiteSpace:"nowrap"}}>{h}</th>
+                ))}
+              </tr></thead>
+              <tbody>
+                {records.length === 0 && <tr><td colSpan={columns.length} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No {def.noun}s yet. Log a ride!</td></tr>}
+                {records.length > 0 && search.results.length === 0 && <tr><td colSpan={columns.length} style={{padding:"2rem",textAlign:"center",color:"rgba(255,255,255,0.3)"}}>No {def.noun}s match.</td></tr>}
+                {sortByRideTime(search.results).map((r, i) => (
+                  <tr key={r.id} style={{background:i%2===0?"transparent":"rgba(255,255,255,0.02)",borderBottom:"1px solid rgba(255,255,255,0.05)"}}>
+                    <td style={{...cell,color:"rgba(255,255,255,0.45)",whiteSpace:"nowrap",fontSize:"0.8rem"}}>{new Date(r.timestamp).toLocaleString()}</td>
+                    <td style={{...cell,fontWeight:700,color:r.lineColor}}>{r.lineLabel}</td>
+                    {def.rollingStock.length > 0 && <td style={cell}>{r.trainNumber ? `#${r.trainNumber} · ${r.model}` : "—"}</td>}
+                    {hasStations && <>
+                      <td style={cell}>{r.boardStation || "—"}</td>
+                      <td style={cell}>{r.exitStation || "—"}</td>
+                      <td style={{...cell,color:"rgba(255,255,255,0.4)"}}>{r.transferLineLabel || "—"}</td>
+                    </>}
+                    <td style={{...cell,whiteSpace:"nowrap"}}>
+                      <SmallBtn onClick={() => setEditing(r)} title={`Edit ${def.noun}`}>✎</SmallBtn>{" "}
+                      <SmallBtn onClick={() => deleteRecord(r.id)} danger>✕</SmallBtn>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GenericSystemApp({ def, onSwitchSystem }) {
+  const [page, setPage] = useState("live");
+  const [records, setRecords] = useGenericRecords(def);
+  const [visited, setVisited] = useGenericVisited(def);
+  return (
+    <div style={{minHeight:"100vh",background:"#111116",color:"#f0f0f4",fontFamily:"'Barlow',system-ui,sans-serif"}}>
+      <header style={{position:"sticky",top:0,zIndex:50,background:"rgba(17,17,22,0.9)",backdropFilter:"blur(14px)",borderBottom:"1px solid rgba(255,255,255,0.07)",padding:"0 1rem"}}>
+        <div style={{maxWidth:900,margin:"0 auto",display:"flex",alignItems:"center",justifyContent:"space-between",padding:"0.75rem 0",gap:"1rem",flexWrap:"wrap"}}>
+          <div style={{display:"flex",alignItems:"center",gap:"0.65rem"}}>
+            <div style={{minWidth:38,height:38,padding:"0 0.3rem",borderRadius:9,background:def.accent,color:"#fff",display:"flex",alignItems:"center",justifyContent:"center",
+              fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"0.7rem",letterSpacing:"0.02em"}}>{def.shortName.slice(0, 5)}</div>
+            <div>
+              <div style={{fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.35rem",lineHeight:1,letterSpacing:"0.03em"}}>HaveIRidden<span style={{color:def.accent}}>?</span></div>
+              <div style={{fontSize:"0.65rem",color:"rgba(255,255,255,0.35)",letterSpacing:"0.1em",textTransform:"uppercase"}}>{def.name} Tracker</div>
+            </div>
+          </div>
+          <nav style={{display:"flex",gap:"0.25rem",background:"rgba(255,255,255,0.06)",borderRadius:10,padding:"0.25rem",border:"1px solid rgba(255,255,255,0.07)"}}>
+            {[{key:"live",label:"🚇 Live Rider"},{key:"stats",label:"📊 Stats"}].map(t => (
+              <button key={t.key} onClick={() => setPage(t.key)}
+                style={{padding:"0.45rem 1rem",borderRadius:7,border:"none",fontFamily:"'Barlow Condensed',sans-serif",fontWeight:700,fontSize:"0.95rem",letterSpacing:"0.03em",
+                  background:page===t.key?def.accent:"transparent",color:page===t.key?"#fff":"rgba(255,255,255,0.45)",cursor:"pointer",transition:"all 0.15s"}}>
+                {t.label}
+              </button>
+            ))}
+          </nav>
+          <div style={{display:"flex",alignItems:"center",gap:"1rem"}}>
+            <div style={{fontSize:"0.82rem",color:"rgba(255,255,255,0.35)",display:"flex",alignItems:"center",gap:"0.3rem"}}>
+              <span style={{color:def.accent,fontFamily:"'Barlow Condensed',sans-serif",fontWeight:900,fontSize:"1.15rem"}}>{records.length}</span> {def.noun}s
+            </div>
+            <button onClick={onSwitchSystem}
+              style={{padding:"0.35rem 0.75rem",border:"1px solid rgba(255,255,255,0.12)",borderRadius:6,background:"transparent",color:"rgba(255,255,255,0.35)",fontFamily:"'Barlow Condensed',sans-serif",fontSize:"0.72rem",letterSpacing:"0.08em",textTransform:"uppercase",cursor:"pointer",transition:"all 0.15s"}}>
+              Switch →
+            </button>
+          </div>
+        </div>
+        <div style={{height:3,display:"flex"}}>
+          {def.lines.map(l => <div key={l.id} style={{flex:1,background:l.color,opacity:0.75}}/>)}
+        </div>
+      </header>
+      <AnimatePresence mode="wait">
+        <motion.div key={page} initial={{opacity:0,y:6}} animate={{opacity:1,y:0}} exit={{opacity:0}} transition={{duration:0.2}}>
+          {page === "live"
+            ? <GenericLiveRider def={def} setRecords={setRecords} visited={visited} setVisited={setVisited}/>
+            : <GenericStatsPage def={def} records={records} setRecords={setRecords} visited={visited} setVisited={setVisited}/>}
+        </motion.div>
+      </AnimatePresence>
+      <footer style={{borderTop:"1px solid rgba(255,255,255,0.06)",padding:"1rem",textAlign:"center",fontSize:"0.72rem",color:"rgba(255,255,255,0.2)",letterSpacing:"0.06em"}}>
+        HaveIRidden? · {def.name} · Loaded from a system definition file
+      </footer>
+    </div>
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────────
+   ROOT APP
+───────────────────────────────────────────────────────────────── */
+export default function App() {
+  const [system, setSystem] = useState(() => readSystemCookie());
+  const [storeReady, setStoreReady] = useState(false);
+
+  useEffect(() => {
+    initStore()
+      .then(runStorageMigrations)
+      // A store that opened keeps being used; only an IndexedDB that never came up falls back
+      .catch(e => { console.error("[HaveIRidden] Storage setup failed:", e); if (!storeDB) fallBackToLocalStorage(e); })
+      .finally(() => setStoreReady(true));
+  }, []);
+
+  function handleSelectSystem(id) { writeSystemCookie(id); setSystem(id); }
+  function handleSwitchSystem() {
+    document.cookie = `${SYSTEM_COOKIE}=; Max-Age=0; Path=/`;
+    setSystem(null);
+  }
+
+  if (!storeReady) return <div style={{minHeight:"100vh",background:"#0a0a0f"}}/>;
+
+  return (
+    <>
+    <StorageErrorBanner/>
+    <UndoToast/>
+    <AnimatePresence mode="wait">
+      {!system
+        ? <motion.div key="selector" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+            <SystemSelector onSelect={handleSelectSystem}/>
+          </motion.div>
+        : system === "nyc"
+          ? <motion.div key="nyc" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+              <NYCApp onSwitchSystem={handleSwitchSystem}/>
+            </motion.div>
+          : system === "dc"
+            ? <motion.div key="dc" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+                <DCApp onSwitchSystem={handleSwitchSystem}/>
+              </motion.div>
+            : system === "path"
+              ? <motion.div key="path" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+                  <PATHApp onSwitchSystem={handleSwitchSystem}/>
+                </motion.div>
+              : system === "all"
+                ? <motion.div key="all" initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+                    <CombinedDashboard onSwitchSystem={handleSwitchSystem} onOpenSystem={handleSelectSystem}/>
+                  </motion.div>
+                : <motion.div key={system} initial={{opacity:0}} animate={{opacity:1}} exit={{opacity:0}} transition={{duration:0.25}}>
+                    <GenericSystemApp def={systemDefinition(system)} onSwitchSystem={handleSwitchSystem}/>
+                  </motion.div>}
+    </AnimatePresence>
+    </>
+  );
 }
\ No newline at end of file